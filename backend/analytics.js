@@ -0,0 +1,339 @@
+/**
+ * Engagement analytics for TTSNewsReader
+ * The server-side counterpart of the app's MetricsModel: clients send the same interactions
+ * as events, which are kept in an append-only store and aggregated on request.
+ *
+ *   { id, type, timestamp, userId?, sessionId?, articleId?, category?, source?, voice?, language?, fromLanguage?, receivedAt }
+ *
+ * Events are appended to one NDJSON file per UTC day (by event time) under the data
+ * directory, or kept in a bounded in-memory buffer without one. Recent events are also
+ * indexed by user in memory, so per-user reads (headline ranking) never scan the files.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Interactions tracked by MetricsModel
+const EVENT_TYPES = ['articleView', 'headlineListen', 'skip', 'repeat', 'moreOnThis', 'languageChange'];
+
+const MAX_EVENT_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MEMORY_EVENT_LIMIT = 100000;
+// Event IDs remembered to drop client retries of the same batch
+const RECENT_ID_LIMIT = 20000;
+// Most recent events kept per user in the user index
+const USER_INDEX_LIMIT = 2000;
+
+const ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+const TAG_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const GROUP_FIELDS = ['category', 'voice', 'language'];
+const INTERVALS = ['hour', 'day', 'week'];
+
+/**
+ * Validate one event from a client
+ * @param {Object} input - Event as sent
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{event?: Object, error?: string}}
+ */
+function validateEvent(input, now = Date.now()) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'event must be an object' };
+    }
+    if (!EVENT_TYPES.includes(input.type)) {
+        return { error: `type must be one of ${EVENT_TYPES.join(', ')}` };
+    }
+
+    const time = typeof input.timestamp === 'number' ? input.timestamp : Date.parse(input.timestamp);
+    if (!Number.isFinite(time)) {
+        return { error: 'timestamp must be an ISO date or a timestamp in milliseconds' };
+    }
+    if (time < now - MAX_EVENT_AGE_MS || time > now + MAX_CLOCK_SKEW_MS) {
+        return { error: 'timestamp must be within the last 30 days' };
+    }
+
+    const event = { id: null, type: input.type, timestamp: new Date(Math.min(time, now)).toISOString() };
+    for (const field of ['id', 'userId', 'sessionId', 'articleId']) {
+        if (input[field] !== undefined && input[field] !== null) {
+            if (!ID_PATTERN.test(String(input[field]))) {
+                return { error: `Invalid ${field}` };
+            }
+            event[field] = String(input[field]);
+        }
+    }
+    for (const field of [...GROUP_FIELDS, 'fromLanguage']) {
+        if (input[field] !== undefined && input[field] !== null) {
+            if (!TAG_PATTERN.test(String(input[field]))) {
+                return { error: `Invalid ${field}` };
+            }
+            event[field] = String(input[field]);
+        }
+    }
+    if (input.source !== undefined && input.source !== null) {
+        if (typeof input.source !== 'string' || !input.source.trim() || input.source.length > 100) {
+            return { error: 'source must be a news source name of up to 100 characters' };
+        }
+        event.source = input.source.trim();
+    }
+    if (event.type === 'languageChange' && !event.language) {
+        return { error: 'languageChange needs the new language' };
+    }
+
+    event.id = event.id || `evt_${crypto.randomUUID()}`;
+    return { event };
+}
+
+/**
+ * Create the event store
+ * @param {Object} options
+ * @param {string} [options.directory] - Directory for the daily NDJSON files; omit to keep events in memory
+ * @param {number} [options.userIndexDays] - Days of events kept in the per-user index
+ */
+function createEventStore({ directory, userIndexDays = 30 }) {
+    const memory = [];
+    const recentIds = new Set();
+    // User ID -> that user's indexed events, in arrival order
+    const byUser = new Map();
+    let pendingWrite = Promise.resolve();
+    const counters = { accepted: 0, duplicates: 0 };
+
+    const fileFor = day => path.join(directory, `${day}.ndjson`);
+
+    const rememberId = (id) => {
+        recentIds.add(id);
+        if (recentIds.size > RECENT_ID_LIMIT) {
+            recentIds.delete(recentIds.values().next().value);
+        }
+    };
+
+    const indexStart = () => new Date(Date.now() - userIndexDays * 86400000).toISOString();
+
+    const indexEvent = (event) => {
+        if (!event.userId || event.timestamp < indexStart()) {
+            return;
+        }
+        const events = byUser.get(event.userId) || [];
+        events.push(event);
+        events.splice(0, Math.max(0, events.length - USER_INDEX_LIMIT));
+        byUser.set(event.userId, events);
+    };
+
+    return {
+        /**
+         * Create the directory and index the stored events of the last userIndexDays by user
+         */
+        async init() {
+            if (directory) {
+                await fs.promises.mkdir(directory, { recursive: true });
+                for await (const event of this.read(new Date(indexStart()), new Date(Date.now() + MAX_CLOCK_SKEW_MS))) {
+                    indexEvent(event);
+                }
+            }
+        },
+
+        /**
+         * Append validated events; events whose ID was seen recently are dropped
+         * @param {Object[]} events - From validateEvent
+         * @returns {Promise<{stored: number, duplicates: number}>}
+         */
+        async append(events) {
+            const receivedAt = new Date().toISOString();
+            const batchIds = new Set();
+            const fresh = events
+                .filter((event) => {
+                    const seen = recentIds.has(event.id) || batchIds.has(event.id);
+                    batchIds.add(event.id);
+                    return !seen;
+                })
+                .map(event => ({ ...event, receivedAt }));
+            const duplicates = events.length - fresh.length;
+
+            if (!directory) {
+                memory.push(...fresh);
+                memory.splice(0, Math.max(0, memory.length - MEMORY_EVENT_LIMIT));
+                fresh.forEach((event) => {
+                    rememberId(event.id);
+                    indexEvent(event);
+                });
+                counters.accepted += fresh.length;
+                counters.duplicates += duplicates;
+                return { stored: fresh.length, duplicates };
+            }
+
+            const byDay = new Map();
+            for (const event of fresh) {
+                const day = event.timestamp.slice(0, 10);
+                byDay.set(day, (byDay.get(day) || '') + `${JSON.stringify(event)}\n`);
+            }
+            // Appends are serialized so lines from concurrent batches never interleave
+            const write = pendingWrite.then(async () => {
+                for (const [day, lines] of byDay) {
+                    await fs.promises.appendFile(fileFor(day), lines);
+                }
+            });
+            pendingWrite = write.catch(() => {});
+            await write;
+
+            // Remembered only once stored, so a client can retry a batch that failed
+            fresh.forEach((event) => {
+                rememberId(event.id);
+                indexEvent(event);
+            });
+            counters.accepted += fresh.length;
+            counters.duplicates += duplicates;
+            return { stored: fresh.length, duplicates };
+        },
+
+        /**
+         * Events with a timestamp in [from, to)
+         * @param {Date} from - Window start
+         * @param {Date} to - Window end
+         * @returns {AsyncIterable<Object>}
+         */
+        async *read(from, to) {
+            const inWindow = event => event.timestamp >= from.toISOString() && event.timestamp < to.toISOString();
+            if (!directory) {
+                yield* memory.filter(inWindow);
+                return;
+            }
+
+            await pendingWrite;
+            for (let day = new Date(from.toISOString().slice(0, 10)); day < to; day = new Date(day.getTime() + 86400000)) {
+                const file = fileFor(day.toISOString().slice(0, 10));
+                if (!fs.existsSync(file)) {
+                    continue;
+                }
+                const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+                for await (const line of lines) {
+                    if (!line.trim()) {
+                        continue;
+                    }
+                    try {
+                        const event = JSON.parse(line);
+                        if (inWindow(event)) {
+                            yield event;
+                        }
+                    } catch (error) {
+                        // A torn line from a crash mid-append; the rest of the file is still good
+                    }
+                }
+            }
+        },
+
+        /**
+         * One user's events with a timestamp in [from, to), from the user index; events older
+         * than userIndexDays (or beyond the user's most recent 2000) are not included
+         * @param {string} userId - User ID
+         * @param {Date} from - Window start
+         * @param {Date} to - Window end
+         * @returns {Object[]} Events
+         */
+        readUser(userId, from, to) {
+            const events = byUser.get(userId);
+            if (!events) {
+                return [];
+            }
+            const start = indexStart();
+            const indexed = events.filter(event => event.timestamp >= start);
+            if (indexed.length === 0) {
+                byUser.delete(userId);
+                return [];
+            }
+            if (indexed.length < events.length) {
+                byUser.set(userId, indexed);
+            }
+            return indexed.filter(event => event.timestamp >= from.toISOString() && event.timestamp < to.toISOString());
+        },
+
+        /**
+         * Store status for /health
+         */
+        getStats() {
+            return { storage: directory ? 'disk' : 'memory', indexedUsers: byUser.size, ...counters };
+        }
+    };
+}
+
+/**
+ * Start of the period an instant falls in (UTC)
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} interval - 'hour' | 'day' | 'week' (weeks start on Monday)
+ * @returns {string} Period label
+ */
+function periodOf(timestamp, interval) {
+    if (interval === 'hour') {
+        return `${timestamp.slice(0, 13)}:00Z`;
+    }
+    if (interval === 'week') {
+        const date = new Date(timestamp.slice(0, 10));
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        return date.toISOString().slice(0, 10);
+    }
+    return timestamp.slice(0, 10);
+}
+
+/**
+ * Rates as MetricsModel computes them, per article view (null without views)
+ */
+function withRates(counts) {
+    const views = counts.articleView;
+    const rate = value => (views > 0 ? Math.round(value / views * 1000) / 1000 : null);
+    return {
+        articleViews: views,
+        headlineListens: counts.headlineListen,
+        skips: counts.skip,
+        repeats: counts.repeat,
+        moreOnThisRequests: counts.moreOnThis,
+        languageChanges: counts.languageChange,
+        engagementRate: rate(counts.headlineListen + counts.moreOnThis),
+        averageListensPerArticle: rate(counts.headlineListen),
+        skipRate: rate(counts.skip)
+    };
+}
+
+/**
+ * Aggregate events into engagement figures
+ * @param {AsyncIterable<Object>} events - From the event store
+ * @param {Object} [options]
+ * @param {string[]} [options.groupBy] - Any of 'category', 'voice', 'language'
+ * @param {string} [options.interval] - 'hour' | 'day' | 'week'; omit for one row per group
+ * @returns {Promise<{groups: Object[], totals: Object}>} Groups sorted by period, then by group values
+ */
+async function aggregateEngagement(events, { groupBy = [], interval } = {}) {
+    const emptyCounts = () => Object.fromEntries(EVENT_TYPES.map(type => [type, 0]));
+    const groups = new Map();
+    const totals = emptyCounts();
+
+    for await (const event of events) {
+        const key = {};
+        groupBy.forEach((field) => {
+            key[field] = event[field] || null;
+        });
+        const period = interval ? periodOf(event.timestamp, interval) : null;
+        const id = JSON.stringify([period, ...groupBy.map(field => key[field])]);
+        if (!groups.has(id)) {
+            groups.set(id, { period, key, counts: emptyCounts() });
+        }
+        groups.get(id).counts[event.type]++;
+        totals[event.type]++;
+    }
+
+    const rows = Array.from(groups.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([, group]) => ({
+            ...(interval ? { period: group.period } : {}),
+            ...group.key,
+            ...withRates(group.counts)
+        }));
+    return { groups: rows, totals: withRates(totals) };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    GROUP_FIELDS,
+    INTERVALS,
+    validateEvent,
+    createEventStore,
+    aggregateEngagement
+};
@@ -0,0 +1,342 @@
+/**
+ * Readable text extraction for full articles ("more on this" listening)
+ * Fetches an article page, drops scripts, navigation, ads and other boilerplate,
+ * picks the container holding most of the article prose and returns it as paragraphs.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+const MAX_HTML_BYTES = 5 * 1024 * 1024;
+const MIN_PARAGRAPH_LENGTH = 40;
+const MAX_LINK_DENSITY = 0.5;
+
+// Article URLs come from feeds, so pages on loopback, link-local or private addresses are never fetched
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+// NAT64 prefixes embed an IPv4 address, so 64:ff9b::7f00:1 reaches 127.0.0.1 through a translator
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Elements whose whole subtree is never article text
+const SKIP_TAGS = new Set([
+    'nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'iframe',
+    'figure', 'figcaption', 'object', 'embed', 'canvas', 'video', 'audio', 'dialog'
+]);
+
+// Raw-text elements stripped before tokenizing, since their content may contain '<'
+const RAW_TEXT_PATTERN = /<(script|style|noscript|template|svg|math)\b[\s\S]*?<\/\1\s*>/gi;
+
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Blocks whose text becomes a paragraph
+const PARAGRAPH_TAGS = new Set(['p', 'h2', 'h3', 'blockquote', 'pre']);
+
+// Elements paragraphs are grouped under when looking for the article body
+const CONTAINER_TAGS = new Set(['body', 'article', 'main', 'section', 'div', 'td']);
+
+// class / id / role values that mark boilerplate
+const BOILERPLATE_PATTERN = /(^|[\s_-])(nav|navbar|navigation|menu|footer|header|masthead|sidebar|comments?|share|sharing|social|promo|advert|advertisement|ads?|sponsored?|related|recommended|newsletter|subscribe|subscription|paywall|cookies?|consent|banner|breadcrumbs?|popup|modal|toolbar|byline-share)([\s_-]|$)/i;
+
+// class / id values that suggest the article body
+const CONTENT_PATTERN = /(article|content|story|post|entry|body|text)/i;
+
+const NAMED_ENTITIES = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    ndash: '–', mdash: '—', hellip: '…', copy: '©', reg: '®', euro: '€', pound: '£'
+};
+
+/**
+ * Decode HTML character references
+ */
+function decodeHTMLEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) && value > 0 && value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+        }
+        const named = NAMED_ENTITIES[code.toLowerCase()];
+        return named !== undefined ? named : entity;
+    });
+}
+
+/**
+ * Read one attribute from a tag's attribute string
+ */
+function getAttribute(attributes, name) {
+    const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+    return match ? decodeHTMLEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Content of <meta property|name="..."> (e.g. og:title)
+ */
+function getMetaContent(html, key) {
+    const pattern = /<meta\b([^>]*)>/gi;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const attributes = match[1];
+        if (getAttribute(attributes, 'property') === key || getAttribute(attributes, 'name') === key) {
+            return getAttribute(attributes, 'content');
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether an element is boilerplate judging by its tag, class, id, role or hidden state
+ */
+function isBoilerplate(tag, attributes) {
+    if (SKIP_TAGS.has(tag)) {
+        return true;
+    }
+    const marker = [getAttribute(attributes, 'class'), getAttribute(attributes, 'id'), getAttribute(attributes, 'role')]
+        .filter(Boolean)
+        .join(' ');
+    return BOILERPLATE_PATTERN.test(marker) ||
+        /\bhidden\b/i.test(attributes.replace(/"[^"]*"|'[^']*'/g, '')) ||
+        getAttribute(attributes, 'aria-hidden') === 'true';
+}
+
+/**
+ * Extract readable paragraphs from an HTML document
+ * @param {string} html - Article page HTML
+ * @returns {{title: string|null, byline: string|null, siteName: string|null, paragraphs: string[]}}
+ */
+function extractReadableText(html) {
+    const cleaned = html.replace(/<!--[\s\S]*?-->/g, '').replace(RAW_TEXT_PATTERN, ' ');
+
+    const containers = [{ id: 0, parent: null, score: 0, weight: 1 }];
+    const stack = [{ tag: '#root', skip: false, container: 0 }];
+    const paragraphs = [];
+    let current = null; // Paragraph being collected
+    let linkDepth = 0;
+
+    const skipping = () => stack[stack.length - 1].skip;
+    const currentContainer = () => stack[stack.length - 1].container;
+
+    function flushParagraph() {
+        if (!current) {
+            return;
+        }
+        const text = current.text.replace(/\s+/g, ' ').trim();
+        if (text.length > 0) {
+            paragraphs.push({ text, linkText: current.linkText, container: current.container, heading: current.heading });
+        }
+        current = null;
+    }
+
+    const tokenPattern = /<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/?([a-zA-Z][\w:-]*)([^>]*)>|[^<]+|</g;
+    let match;
+    while ((match = tokenPattern.exec(cleaned)) !== null) {
+        const token = match[0];
+        const tag = match[1] && match[1].toLowerCase();
+
+        if (!tag) {
+            if (token[0] !== '<' && current && !skipping()) {
+                const text = decodeHTMLEntities(token);
+                current.text += text;
+                if (linkDepth > 0) {
+                    current.linkText += text.trim().length;
+                }
+            }
+            continue;
+        }
+
+        const attributes = match[2] || '';
+        const isClosing = token[1] === '/';
+
+        if (isClosing) {
+            // Pop up to the matching element; stray closing tags are ignored
+            const index = stack.map(entry => entry.tag).lastIndexOf(tag);
+            if (index <= 0) {
+                continue;
+            }
+            if (PARAGRAPH_TAGS.has(tag) && !stack[index].skip) {
+                flushParagraph();
+            }
+            if (tag === 'a' && linkDepth > 0) {
+                linkDepth--;
+            }
+            stack.length = index;
+            continue;
+        }
+
+        if (VOID_TAGS.has(tag) || attributes.trim().endsWith('/')) {
+            if (tag === 'br' && current) {
+                current.text += ' ';
+            }
+            continue;
+        }
+
+        const skip = skipping() || isBoilerplate(tag, attributes);
+        let container = currentContainer();
+
+        if (!skip && CONTAINER_TAGS.has(tag)) {
+            const marker = `${getAttribute(attributes, 'class') || ''} ${getAttribute(attributes, 'id') || ''}`;
+            let weight = 1;
+            if (tag === 'article' || tag === 'main') {
+                weight *= 1.5;
+            }
+            if (getAttribute(attributes, 'itemprop') === 'articleBody') {
+                weight *= 2;
+            }
+            if (CONTENT_PATTERN.test(marker)) {
+                weight *= 1.25;
+            }
+            containers.push({ id: containers.length, parent: container, score: 0, weight });
+            container = containers.length - 1;
+        }
+
+        if (!skip && PARAGRAPH_TAGS.has(tag)) {
+            // <p> may be closed implicitly by the next block
+            flushParagraph();
+            current = { text: '', linkText: 0, container, heading: tag === 'h2' || tag === 'h3' };
+        }
+        if (tag === 'a' && current) {
+            linkDepth++;
+        }
+
+        stack.push({ tag, skip, container });
+    }
+    flushParagraph();
+
+    // Score containers by the prose they hold; parents get part of their children's score
+    const prose = paragraphs.filter(paragraph => !paragraph.heading &&
+        paragraph.text.length >= MIN_PARAGRAPH_LENGTH &&
+        paragraph.linkText / paragraph.text.length <= MAX_LINK_DENSITY);
+
+    for (const paragraph of prose) {
+        let node = containers[paragraph.container];
+        let share = paragraph.text.length;
+        while (node) {
+            node.score += share;
+            share /= 2;
+            node = node.parent === null ? null : containers[node.parent];
+        }
+    }
+
+    const best = containers.reduce((top, node) => (node.score * node.weight > top.score * top.weight ? node : top), containers[0]);
+
+    const isWithinBest = (containerId) => {
+        for (let node = containers[containerId]; node; node = node.parent === null ? null : containers[node.parent]) {
+            if (node.id === best.id) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    const bodyParagraphs = paragraphs
+        .filter(paragraph => isWithinBest(paragraph.container))
+        .filter(paragraph => paragraph.heading || prose.includes(paragraph));
+
+    // Drop trailing headings with nothing after them
+    while (bodyParagraphs.length > 0 && bodyParagraphs[bodyParagraphs.length - 1].heading) {
+        bodyParagraphs.pop();
+    }
+
+    const titleMatch = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+    return {
+        title: getMetaContent(html, 'og:title') || (titleMatch ? decodeHTMLEntities(titleMatch[1]).trim() : null),
+        byline: getMetaContent(html, 'author'),
+        siteName: getMetaContent(html, 'og:site_name'),
+        paragraphs: bodyParagraphs.map(paragraph => paragraph.text)
+    };
+}
+
+/**
+ * Whether an IP address is loopback, link-local, private or otherwise not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isNonPublicAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that fails for hosts resolving to a non-public address; used for every
+ * connection (redirects included), so a host cannot pass a check and then resolve elsewhere
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isNonPublicAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`Refusing to fetch ${hostname}: ${blocked.address} is not a public address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Reject URLs that cannot be article pages: other protocols, and IP literal hosts
+ * (which connect without a lookup) on non-public addresses
+ * @param {string} url - URL to fetch
+ * @throws {Error} When the URL must not be fetched
+ */
+function assertFetchableUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Unsupported article URL protocol: ${parsed.protocol}`);
+    }
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isNonPublicAddress(host)) {
+        throw new Error(`Refusing to fetch ${parsed.hostname}: not a public address`);
+    }
+}
+
+/**
+ * Fetch an article page and extract its readable text
+ * @param {string} url - Article URL (http or https, on a public address)
+ * @returns {Promise<Object>} Extraction result (see extractReadableText)
+ */
+async function fetchArticleText(url) {
+    assertFetchableUrl(url);
+
+    const response = await axios.get(url, {
+        responseType: 'text',
+        maxContentLength: MAX_HTML_BYTES,
+        timeout: 15000,
+        // Connections go through publicLookup; a proxy would resolve hosts itself
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        beforeRedirect: options => assertFetchableUrl(options.href),
+        headers: {
+            'Accept': 'text/html,application/xhtml+xml',
+            'User-Agent': 'TTSNewsReader/1.0 (article reader)'
+        }
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    if (!/html/i.test(contentType)) {
+        throw new Error(`Article is not HTML (${contentType || 'unknown content type'})`);
+    }
+
+    return extractReadableText(response.data);
+}
+
+module.exports = {
+    decodeHTMLEntities,
+    extractReadableText,
+    isNonPublicAddress,
+    fetchArticleText
+};
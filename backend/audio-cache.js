@@ -0,0 +1,364 @@
+/**
+ * Bounded audio cache for TTSNewsReader
+ * Entries are evicted least-recently-used first once the byte budget is exceeded,
+ * and expire after their TTL. Pinned entries count against the budget but are never evicted. With a directory configured, audio is kept on disk
+ * (plus an index.json, written at most once a second) so it survives restarts;
+ * otherwise it lives in memory.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { createETag } = require('./http-range');
+
+const INDEX_FILE = 'index.json';
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Index writes are batched: one write at most this long after the last change
+const INDEX_WRITE_DELAY_MS = 1000;
+
+/**
+ * In-memory storage backend
+ */
+function createMemoryBackend() {
+    const buffers = new Map();
+
+    return {
+        name: 'memory',
+        async load() {
+            return [];
+        },
+        async read(key) {
+            return buffers.get(key) || null;
+        },
+        async write(key, audio) {
+            buffers.set(key, audio);
+        },
+        async remove(key) {
+            buffers.delete(key);
+        },
+        async saveIndex() {}
+    };
+}
+
+/**
+ * On-disk storage backend - one file per entry plus an index of entry metadata
+ * @param {string} directory - Cache directory
+ */
+function createDiskBackend(directory) {
+    const fileFor = key => path.join(directory, `${crypto.createHash('sha1').update(key).digest('hex')}.bin`);
+    let indexWrite = Promise.resolve();
+
+    return {
+        name: 'disk',
+        directory,
+
+        async load() {
+            await fs.mkdir(directory, { recursive: true });
+            try {
+                const index = JSON.parse(await fs.readFile(path.join(directory, INDEX_FILE), 'utf8'));
+                return Array.isArray(index.entries) ? index.entries : [];
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.warn('⚠️  Audio cache index unreadable, starting empty:', error.message);
+                }
+                return [];
+            }
+        },
+
+        async read(key) {
+            try {
+                return await fs.readFile(fileFor(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async write(key, audio) {
+            await fs.writeFile(fileFor(key), audio);
+        },
+
+        async remove(key) {
+            await fs.rm(fileFor(key), { force: true });
+        },
+
+        /**
+         * Write the index atomically; writes are serialized so the last one wins
+         */
+        saveIndex(entries) {
+            const data = JSON.stringify({ version: 1, entries });
+            indexWrite = indexWrite
+                .then(async () => {
+                    const tmpFile = path.join(directory, `${INDEX_FILE}.tmp`);
+                    await fs.writeFile(tmpFile, data);
+                    await fs.rename(tmpFile, path.join(directory, INDEX_FILE));
+                })
+                .catch(error => console.warn('⚠️  Failed to write audio cache index:', error.message));
+            return indexWrite;
+        }
+    };
+}
+
+/**
+ * Create an audio cache
+ * @param {Object} options
+ * @param {number} options.maxBytes - Byte budget across all entries
+ * @param {number} options.defaultTtlMs - TTL used when set() is not given one
+ * @param {string} [options.directory] - Keep audio on disk in this directory
+ * @param {string} [options.name] - Name used in log messages
+ */
+function createAudioCache({ maxBytes, defaultTtlMs, directory, name = 'Audio cache' }) {
+    const backend = directory ? createDiskBackend(directory) : createMemoryBackend();
+
+    // key -> { key, size, etag, contentType, metadata, pinned, createdAt, expiresAt }
+    // Map order doubles as recency order: the first entry is the least recently used
+    const entries = new Map();
+    let totalBytes = 0;
+    let pinnedBytes = 0;
+    // Bytes of audio being written, counted against the budget before their entry exists
+    let pendingBytes = 0;
+    const counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+    // key -> tail of the operations queued on that key
+    const keyQueues = new Map();
+    let indexTimer = null;
+
+    const isExpired = (entry, now = Date.now()) => entry.expiresAt !== null && entry.expiresAt <= now;
+
+    const persistIndex = () => backend.saveIndex(Array.from(entries.values()));
+
+    /**
+     * Write the index soon, batching the changes made until then into one write
+     */
+    function scheduleIndexWrite() {
+        if (indexTimer === null) {
+            indexTimer = setTimeout(() => {
+                indexTimer = null;
+                persistIndex();
+            }, INDEX_WRITE_DELAY_MS);
+            indexTimer.unref();
+        }
+    }
+
+    /**
+     * Run an operation once the operations already queued on the same key have settled
+     */
+    function serialized(key, operation) {
+        const previous = keyQueues.get(key) || Promise.resolve();
+        const result = previous.then(operation);
+        const tail = result.catch(() => {});
+        keyQueues.set(key, tail);
+        tail.then(() => {
+            if (keyQueues.get(key) === tail) {
+                keyQueues.delete(key);
+            }
+        });
+        return result;
+    }
+
+    async function removeEntry(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return;
+        }
+        entries.delete(key);
+        totalBytes -= entry.size;
+        if (entry.pinned) {
+            pinnedBytes -= entry.size;
+        }
+        await backend.remove(key);
+    }
+
+    async function evictToFit(incomingBytes) {
+        for (const entry of entries.values()) {
+            if (totalBytes + pendingBytes + incomingBytes <= maxBytes) {
+                break;
+            }
+            if (!entry.pinned) {
+                await removeEntry(entry.key);
+                counters.evictions++;
+            }
+        }
+    }
+
+    async function sweepExpired() {
+        const now = Date.now();
+        let removed = 0;
+        for (const entry of Array.from(entries.values())) {
+            if (isExpired(entry, now)) {
+                await removeEntry(entry.key);
+                counters.expirations++;
+                removed++;
+            }
+        }
+        if (removed > 0) {
+            scheduleIndexWrite();
+        }
+        return removed;
+    }
+
+    return {
+        /**
+         * Load a persisted index (disk backend) and start the expiry sweep
+         */
+        async init() {
+            const now = Date.now();
+            for (const entry of await backend.load()) {
+                if (!isExpired(entry, now)) {
+                    entries.set(entry.key, entry);
+                    totalBytes += entry.size;
+                    pinnedBytes += entry.pinned ? entry.size : 0;
+                } else {
+                    await backend.remove(entry.key);
+                }
+            }
+            await evictToFit(0);
+            await persistIndex();
+
+            setInterval(() => {
+                sweepExpired().catch(error => console.warn('⚠️  Audio cache sweep failed:', error.message));
+            }, SWEEP_INTERVAL_MS).unref();
+
+            console.log(`💾 ${name} ready (${backend.name}, ${entries.size} entries, ${totalBytes} bytes)`);
+        },
+
+        /**
+         * Store audio. Operations on one key run one at a time, in call order.
+         * @param {string} key - Cache key (audio ID)
+         * @param {Buffer} audio - Audio bytes
+         * @param {Object} [options]
+         * @param {number} [options.ttlMs] - Time to live; Infinity never expires
+         * @param {string} [options.contentType] - MIME type served with the audio
+         * @param {Object} [options.metadata] - Extra JSON-serializable data kept with the entry
+         * @param {boolean} [options.pinned] - Never evict the entry to make room (it still expires after ttlMs)
+         * @returns {Promise<boolean>} false when the audio does not fit next to the pinned entries
+         */
+        set(key, audio, { ttlMs = defaultTtlMs, contentType = 'audio/wav', metadata = {}, pinned = false } = {}) {
+            return serialized(key, async () => {
+                if (audio.length > maxBytes) {
+                    console.warn(`⚠️  Audio ${key} (${audio.length} bytes) exceeds cache budget, not cached`);
+                    return false;
+                }
+
+                await removeEntry(key);
+                if (pinnedBytes + pendingBytes + audio.length > maxBytes) {
+                    console.warn(`⚠️  Audio ${key} (${audio.length} bytes) does not fit next to ${pinnedBytes} pinned bytes, not cached`);
+                    return false;
+                }
+                await evictToFit(audio.length);
+
+                pendingBytes += audio.length;
+                try {
+                    await backend.write(key, audio);
+                } finally {
+                    pendingBytes -= audio.length;
+                }
+
+                const now = Date.now();
+                entries.set(key, {
+                    key,
+                    size: audio.length,
+                    etag: createETag(audio),
+                    contentType,
+                    metadata,
+                    pinned,
+                    createdAt: now,
+                    expiresAt: Number.isFinite(ttlMs) ? now + ttlMs : null
+                });
+                totalBytes += audio.length;
+                pinnedBytes += pinned ? audio.length : 0;
+                scheduleIndexWrite();
+                return true;
+            });
+        },
+
+        /**
+         * Fetch audio and mark it as recently used
+         * @param {string} key - Cache key
+         * @returns {Promise<Object|null>} { audio, etag, contentType, metadata, createdAt, expiresAt } or null
+         */
+        get(key) {
+            return serialized(key, async () => {
+                const entry = entries.get(key);
+                if (!entry) {
+                    counters.misses++;
+                    return null;
+                }
+
+                if (isExpired(entry)) {
+                    await removeEntry(key);
+                    scheduleIndexWrite();
+                    counters.expirations++;
+                    counters.misses++;
+                    return null;
+                }
+
+                const audio = await backend.read(key);
+                if (!audio) {
+                    // File vanished underneath us (disk backend)
+                    await removeEntry(key);
+                    scheduleIndexWrite();
+                    counters.misses++;
+                    return null;
+                }
+
+                entries.delete(key);
+                entries.set(key, entry);
+                counters.hits++;
+                // Indexes written before ETags were tracked have none
+                return { audio, ...entry, etag: entry.etag || createETag(audio) };
+            });
+        },
+
+        /**
+         * Entry metadata without reading the audio or touching recency
+         */
+        peek(key) {
+            const entry = entries.get(key);
+            return entry && !isExpired(entry) ? { ...entry } : null;
+        },
+
+        delete(key) {
+            return serialized(key, async () => {
+                await removeEntry(key);
+                scheduleIndexWrite();
+            });
+        },
+
+        sweepExpired,
+
+        /**
+         * Write the index now instead of after the batching delay (on shutdown)
+         */
+        async flush() {
+            if (indexTimer !== null) {
+                clearTimeout(indexTimer);
+                indexTimer = null;
+            }
+            await persistIndex();
+        },
+
+        /**
+         * Cache statistics for /health
+         */
+        getStats() {
+            const lookups = counters.hits + counters.misses;
+            return {
+                backend: backend.name,
+                entries: entries.size,
+                bytes: totalBytes,
+                pinnedBytes,
+                maxBytes,
+                defaultTtlSeconds: Math.round(defaultTtlMs / 1000),
+                ...counters,
+                hitRate: lookups > 0 ? counters.hits / lookups : 0
+            };
+        }
+    };
+}
+
+module.exports = {
+    createAudioCache
+};
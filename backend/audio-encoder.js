@@ -0,0 +1,157 @@
+/**
+ * Compressed audio output (MP3, Opus in Ogg, AAC) through an ffmpeg child process
+ * WAV stays the internal and default format; other formats are encoded from it on demand.
+ * FFMPEG_PATH points at the ffmpeg binary (defaults to 'ffmpeg' on the PATH).
+ */
+
+const { spawn } = require('child_process');
+
+const ENCODE_TIMEOUT_MS = 60 * 1000;
+
+const FORMATS = {
+    wav: {
+        contentType: 'audio/wav',
+        mediaTypes: ['audio/wav', 'audio/wave', 'audio/x-wav', 'audio/vnd.wave']
+    },
+    mp3: {
+        contentType: 'audio/mpeg',
+        mediaTypes: ['audio/mpeg', 'audio/mp3'],
+        args: ['-codec:a', 'libmp3lame', '-b:a', '64k', '-f', 'mp3']
+    },
+    opus: {
+        contentType: 'audio/ogg; codecs=opus',
+        mediaTypes: ['audio/ogg', 'audio/opus', 'application/ogg'],
+        // libopus only takes 8/12/16/24/48 kHz input
+        args: ['-ar', '24000', '-codec:a', 'libopus', '-b:a', '32k', '-f', 'ogg']
+    },
+    aac: {
+        contentType: 'audio/aac',
+        mediaTypes: ['audio/aac', 'audio/aacp', 'audio/x-aac', 'audio/mp4', 'audio/x-m4a'],
+        args: ['-codec:a', 'aac', '-b:a', '64k', '-f', 'adts']
+    }
+};
+
+// Alternative names accepted in ?format=
+const FORMAT_ALIASES = { ogg: 'opus', m4a: 'aac', mpeg: 'mp3', wave: 'wav' };
+
+/**
+ * Pick the output format from a format parameter or an Accept header.
+ * The parameter wins; without either, or when Accept allows anything, WAV is used.
+ * Among acceptable formats, ones in `available` are preferred so clients that list
+ * several types still get audio when ffmpeg is missing.
+ * @param {string} [format] - Format parameter (wav, mp3, opus, aac)
+ * @param {string} [accept] - Accept header
+ * @param {string[]} [available] - Formats that can be produced right now
+ * @returns {string|null} Format name, or null when nothing acceptable is supported
+ */
+function negotiateFormat(format, accept, available = Object.keys(FORMATS)) {
+    if (format) {
+        const name = String(format).toLowerCase();
+        const resolved = FORMAT_ALIASES[name] || name;
+        return FORMATS[resolved] ? resolved : null;
+    }
+    if (!accept) {
+        return 'wav';
+    }
+
+    // Accept entries ordered by quality; equal quality keeps the client's order
+    const ranges = accept.split(',')
+        .map((entry, index) => {
+            const [type, ...params] = entry.trim().toLowerCase().split(';').map(part => part.trim());
+            const quality = params.find(param => param.startsWith('q='));
+            return { type, index, q: quality ? parseFloat(quality.slice(2)) : 1 };
+        })
+        .filter(range => range.type && range.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    const acceptable = [];
+    for (const range of ranges) {
+        const matches = range.type === '*/*' || range.type === 'audio/*'
+            ? ['wav']
+            : Object.keys(FORMATS).filter(name => FORMATS[name].mediaTypes.includes(range.type));
+        acceptable.push(...matches.filter(name => !acceptable.includes(name)));
+    }
+    return acceptable.find(name => available.includes(name)) || acceptable[0] || null;
+}
+
+/**
+ * Content-Type served for a format
+ * @param {string} format - Format name
+ */
+function contentTypeFor(format) {
+    return FORMATS[format].contentType;
+}
+
+/**
+ * Encode audio into another format
+ * @param {Buffer} wav - Source audio, normally WAV (ffmpeg probes the input)
+ * @param {string} format - Target format name
+ * @returns {Promise<Buffer>} Encoded audio
+ */
+function encodeAudio(wav, format) {
+    const spec = FORMATS[format];
+    if (!spec) {
+        return Promise.reject(new Error(`Unsupported audio format: ${format}`));
+    }
+    if (!spec.args) {
+        return Promise.resolve(wav);
+    }
+
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+            '-hide_banner', '-loglevel', 'error',
+            '-i', 'pipe:0',
+            '-ac', '1',
+            ...spec.args,
+            'pipe:1'
+        ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+        const output = [];
+        let errorOutput = '';
+        const timer = setTimeout(() => {
+            ffmpeg.kill('SIGKILL');
+            reject(new Error(`ffmpeg timed out encoding ${format}`));
+        }, ENCODE_TIMEOUT_MS);
+
+        ffmpeg.stdout.on('data', chunk => output.push(chunk));
+        ffmpeg.stderr.on('data', (chunk) => {
+            errorOutput = (errorOutput + chunk.toString()).slice(-2000);
+        });
+        ffmpeg.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT' ? new Error('ffmpeg not found (set FFMPEG_PATH)') : error);
+        });
+        ffmpeg.on('close', (code) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(Buffer.concat(output));
+            } else {
+                reject(new Error(`ffmpeg exited with code ${code}: ${errorOutput.trim()}`));
+            }
+        });
+
+        // ffmpeg may exit early on bad input; the close handler reports it
+        ffmpeg.stdin.on('error', () => {});
+        ffmpeg.stdin.end(wav);
+    });
+}
+
+/**
+ * Check whether ffmpeg can be run, for /health
+ * @returns {Promise<boolean>}
+ */
+function isEncoderAvailable() {
+    return new Promise((resolve) => {
+        const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', ['-hide_banner', '-version'], { stdio: 'ignore' });
+        ffmpeg.on('error', () => resolve(false));
+        ffmpeg.on('close', code => resolve(code === 0));
+    });
+}
+
+module.exports = {
+    FORMATS,
+    negotiateFormat,
+    contentTypeFor,
+    encodeAudio,
+    isEncoderAvailable
+};
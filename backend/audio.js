@@ -0,0 +1,307 @@
+/**
+ * Audio helpers shared by the TTS providers and routes
+ * Internally audio is passed around as mono Float32 samples in [-1, 1] plus a sample rate,
+ * and only converted to 16-bit PCM WAV when it leaves the server.
+ */
+
+/**
+ * Concatenate Float32 sample chunks into one array
+ * @param {Array<Float32Array|number[]>} chunks - Sample chunks
+ * @returns {Float32Array} Joined samples
+ */
+function concatSamples(chunks) {
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const samples = new Float32Array(totalLength);
+    let offset = 0;
+    for (const chunk of chunks) {
+        samples.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return samples;
+}
+
+/**
+ * Build a 44 byte PCM WAV header
+ * @param {number} dataSize - Size of the data chunk in bytes
+ * @param {number} sampleRate - Sample rate
+ * @returns {Buffer} WAV header
+ */
+function createWAVHeader(dataSize, sampleRate) {
+    const numChannels = 1; // Mono
+    const bitsPerSample = 16;
+    const byteRate = sampleRate * numChannels * bitsPerSample / 8;
+    const blockAlign = numChannels * bitsPerSample / 8;
+    const chunkSize = 36 + dataSize;
+
+    const header = Buffer.alloc(44);
+    let offset = 0;
+
+    // RIFF header
+    header.write('RIFF', offset); offset += 4;
+    header.writeUInt32LE(chunkSize, offset); offset += 4;
+    header.write('WAVE', offset); offset += 4;
+
+    // fmt chunk
+    header.write('fmt ', offset); offset += 4;
+    header.writeUInt32LE(16, offset); offset += 4; // fmt chunk size
+    header.writeUInt16LE(1, offset); offset += 2; // audio format (PCM)
+    header.writeUInt16LE(numChannels, offset); offset += 2;
+    header.writeUInt32LE(sampleRate, offset); offset += 4;
+    header.writeUInt32LE(byteRate, offset); offset += 4;
+    header.writeUInt16LE(blockAlign, offset); offset += 2;
+    header.writeUInt16LE(bitsPerSample, offset); offset += 2;
+
+    // data chunk
+    header.write('data', offset); offset += 4;
+    header.writeUInt32LE(dataSize, offset);
+
+    return header;
+}
+
+/**
+ * Build a WAV header for a stream of unknown length.
+ * RIFF and data sizes are set to 0xFFFFFFFF, which players treat as "read until EOF".
+ * @param {number} sampleRate - Sample rate
+ * @returns {Buffer} WAV header
+ */
+function createStreamingWAVHeader(sampleRate) {
+    const header = createWAVHeader(0, sampleRate);
+    header.writeUInt32LE(0xFFFFFFFF, 4);
+    header.writeUInt32LE(0xFFFFFFFF, 40);
+    return header;
+}
+
+/**
+ * Convert float samples to 16-bit little endian PCM
+ * @param {Float32Array|number[]} samples - Samples in [-1, 1]
+ * @returns {Buffer} PCM data
+ */
+function samplesToPCM16(samples) {
+    const pcmData = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+        // Convert float (-1 to 1) to 16-bit signed integer
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        pcmData.writeInt16LE(Math.floor(sample * 32767), i * 2);
+    }
+    return pcmData;
+}
+
+/**
+ * Convert Float32Array audio data to WAV buffer
+ * @param {Float32Array|number[]} audioData - Array of audio samples
+ * @param {number} sampleRate - Sample rate (default 22050)
+ * @returns {Buffer} WAV audio buffer
+ */
+function convertAudioDataToWAV(audioData, sampleRate = 22050) {
+    const pcmData = samplesToPCM16(audioData);
+    return Buffer.concat([createWAVHeader(pcmData.length, sampleRate), pcmData]);
+}
+
+/**
+ * Decode a 16-bit PCM WAV buffer (or headerless 16-bit PCM) into float samples
+ * @param {Buffer} buffer - WAV or raw PCM data
+ * @param {number} fallbackSampleRate - Sample rate assumed for headerless PCM
+ * @returns {{samples: Float32Array, sampleRate: number}}
+ */
+function decodeWAV(buffer, fallbackSampleRate = 22050) {
+    let sampleRate = fallbackSampleRate;
+    let data = buffer;
+
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+        let offset = 12;
+        data = null;
+        while (offset + 8 <= buffer.length) {
+            const chunkId = buffer.toString('ascii', offset, offset + 4);
+            const chunkSize = buffer.readUInt32LE(offset + 4);
+            const body = offset + 8;
+
+            if (chunkId === 'fmt ') {
+                const format = buffer.readUInt16LE(body);
+                const channels = buffer.readUInt16LE(body + 2);
+                const bitsPerSample = buffer.readUInt16LE(body + 14);
+                if (format !== 1 || channels !== 1 || bitsPerSample !== 16) {
+                    throw new Error(`Unsupported WAV format (format ${format}, ${channels} channels, ${bitsPerSample} bit)`);
+                }
+                sampleRate = buffer.readUInt32LE(body + 4);
+            } else if (chunkId === 'data') {
+                // Streaming writers may leave the size open-ended
+                const end = chunkSize === 0 || chunkSize === 0xFFFFFFFF ? buffer.length : body + chunkSize;
+                data = buffer.subarray(body, Math.min(end, buffer.length));
+                break;
+            }
+            offset = body + chunkSize + (chunkSize % 2);
+        }
+        if (!data) {
+            throw new Error('WAV data chunk not found');
+        }
+    }
+
+    const samples = new Float32Array(Math.floor(data.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = data.readInt16LE(i * 2) / 32768;
+    }
+    return { samples, sampleRate };
+}
+
+/**
+ * Resample with linear interpolation
+ * @param {Float32Array} samples - Samples
+ * @param {number} fromRate - Current sample rate
+ * @param {number} toRate - Target sample rate
+ * @returns {Float32Array} Resampled samples
+ */
+function resampleLinear(samples, fromRate, toRate) {
+    if (fromRate === toRate || samples.length === 0) {
+        return samples;
+    }
+    const ratio = fromRate / toRate;
+    const output = new Float32Array(Math.max(1, Math.round(samples.length / ratio)));
+    for (let i = 0; i < output.length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        const fraction = position - index;
+        output[i] = samples[Math.min(index, samples.length - 1)] * (1 - fraction) + samples[next] * fraction;
+    }
+    return output;
+}
+
+/**
+ * Change duration without changing pitch (WSOLA: overlap-add of windowed frames, each
+ * nudged to line up with the previous one so the joins stay in phase)
+ * @param {Float32Array} samples - Samples
+ * @param {number} sampleRate - Sample rate
+ * @param {number} rate - Speed factor; 2 halves the duration
+ * @returns {Float32Array} Stretched samples
+ */
+function timeStretch(samples, sampleRate, rate) {
+    if (rate === 1 || samples.length === 0) {
+        return samples;
+    }
+
+    const frameSize = Math.max(64, Math.round(sampleRate * 0.04));
+    const hop = Math.floor(frameSize / 2);
+    const tolerance = Math.round(sampleRate * 0.01);
+    const outputLength = Math.max(1, Math.round(samples.length / rate));
+    const output = new Float32Array(outputLength + frameSize);
+    const weights = new Float32Array(outputLength + frameSize);
+    const window = Float32Array.from({ length: frameSize }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frameSize - 1)));
+    const at = index => (index >= 0 && index < samples.length ? samples[index] : 0);
+
+    let naturalNext = 0; // Where the previous frame would have continued in the input
+    for (let outputPosition = 0; outputPosition < outputLength; outputPosition += hop) {
+        let inputPosition = Math.round(outputPosition * rate);
+
+        if (outputPosition > 0) {
+            // Coarse search (every 2nd offset, every 4th sample) for the best-matching frame start
+            let bestOffset = 0;
+            let bestScore = -Infinity;
+            for (let offset = -tolerance; offset <= tolerance; offset += 2) {
+                let score = 0;
+                for (let i = 0; i < hop; i += 4) {
+                    score += at(inputPosition + offset + i) * at(naturalNext + i);
+                }
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestOffset = offset;
+                }
+            }
+            inputPosition += bestOffset;
+        }
+
+        for (let i = 0; i < frameSize; i++) {
+            output[outputPosition + i] += at(inputPosition + i) * window[i];
+            weights[outputPosition + i] += window[i];
+        }
+        naturalNext = inputPosition + hop;
+    }
+
+    for (let i = 0; i < outputLength; i++) {
+        if (weights[i] > 1e-3) {
+            output[i] /= weights[i];
+        }
+    }
+    return output.subarray(0, outputLength);
+}
+
+/**
+ * Apply speaking rate and pitch to synthesized audio, for engines that can't do it themselves.
+ * Pitch is in semitones: the audio is stretched and then resampled back to the original length.
+ * @param {Float32Array} samples - Samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} prosody
+ * @param {number} [prosody.speakingRate] - Speed factor (1 = unchanged)
+ * @param {number} [prosody.pitch] - Pitch shift in semitones (0 = unchanged)
+ * @returns {Float32Array} Adjusted samples
+ */
+function adjustProsody(samples, sampleRate, { speakingRate = 1, pitch = 0 } = {}) {
+    if (speakingRate === 1 && pitch === 0) {
+        return samples;
+    }
+    const pitchFactor = Math.pow(2, pitch / 12);
+    const stretched = timeStretch(samples, sampleRate, speakingRate / pitchFactor);
+    return resampleLinear(stretched, sampleRate * pitchFactor, sampleRate);
+}
+
+/**
+ * Join synthesized segments into one track, inserting silence between them.
+ * Segment edges get a short fade so joins don't click; segments at other sample
+ * rates are resampled to the first segment's rate.
+ * @param {Array<{samples: Float32Array, sampleRate: number, pauseAfterMs?: number}>} segments - Segments in order
+ * @param {number} [fadeMs] - Fade length at each segment edge
+ * @returns {{samples: Float32Array, sampleRate: number}}
+ */
+function stitchSegments(segments, fadeMs = 5) {
+    const sampleRate = segments.length > 0 ? segments[0].sampleRate : 22050;
+    const fadeLength = Math.floor(sampleRate * fadeMs / 1000);
+    const parts = [];
+
+    segments.forEach((segment, index) => {
+        const samples = Float32Array.from(resampleLinear(segment.samples, segment.sampleRate, sampleRate));
+        const fade = Math.min(fadeLength, Math.floor(samples.length / 2));
+        for (let i = 0; i < fade; i++) {
+            const gain = i / fade;
+            samples[i] *= gain;
+            samples[samples.length - 1 - i] *= gain;
+        }
+        parts.push(samples);
+
+        const pauseMs = index < segments.length - 1 ? segment.pauseAfterMs || 0 : 0;
+        if (pauseMs > 0) {
+            parts.push(new Float32Array(Math.round(sampleRate * pauseMs / 1000)));
+        }
+    });
+
+    return { samples: concatSamples(parts), sampleRate };
+}
+
+/**
+ * Generate a sine tone
+ * @param {number} frequency - Tone frequency in Hz
+ * @param {number} durationSeconds - Duration in seconds
+ * @param {number} sampleRate - Sample rate
+ * @param {number} amplitude - Peak amplitude in [0, 1]
+ * @returns {Float32Array} Samples
+ */
+function generateTone(frequency, durationSeconds, sampleRate = 22050, amplitude = 0.3) {
+    const numSamples = Math.floor(sampleRate * durationSeconds);
+    const samples = new Float32Array(numSamples);
+    for (let i = 0; i < numSamples; i++) {
+        samples[i] = Math.sin(2 * Math.PI * frequency * i / sampleRate) * amplitude;
+    }
+    return samples;
+}
+
+module.exports = {
+    concatSamples,
+    createWAVHeader,
+    createStreamingWAVHeader,
+    samplesToPCM16,
+    convertAudioDataToWAV,
+    decodeWAV,
+    resampleLinear,
+    timeStretch,
+    adjustProsody,
+    stitchSegments,
+    generateTone
+};
@@ -0,0 +1,173 @@
+/**
+ * Briefing planner for TTSNewsReader
+ * Turns articles from several categories into the script of one continuous episode:
+ * an intro, a transition whenever the category changes ("Next, in technology."), the
+ * articles themselves and an outro. Synthesis and stitching happen in server.js; this
+ * module only decides what is said and in which order.
+ */
+
+// Typical speaking rate, used to fit articles into the target duration
+const CHARACTERS_PER_SECOND = 15;
+
+// Script lines per base language; other languages use English lines, translated by the caller
+const SCRIPTS = {
+    en: {
+        intro: 'Here is your news briefing for {date}. Today: {topics}.',
+        first: 'First, in {category}.',
+        next: 'Next, in {category}.',
+        outro: 'That\'s your briefing. Thanks for listening.',
+        categories: {
+            general: 'top stories', business: 'business', technology: 'technology', science: 'science',
+            health: 'health', sports: 'sports', entertainment: 'entertainment'
+        }
+    },
+    es: {
+        intro: 'Este es tu resumen de noticias del {date}. Hoy: {topics}.',
+        first: 'Primero, en {category}.',
+        next: 'A continuación, en {category}.',
+        outro: 'Ese fue tu resumen. Gracias por escuchar.',
+        categories: {
+            general: 'titulares', business: 'negocios', technology: 'tecnología', science: 'ciencia',
+            health: 'salud', sports: 'deportes', entertainment: 'entretenimiento'
+        }
+    },
+    fr: {
+        intro: 'Voici votre point info du {date}. Au programme : {topics}.',
+        first: 'D\'abord, {category}.',
+        next: 'Ensuite, {category}.',
+        outro: 'C\'était votre point info. Merci de votre écoute.',
+        categories: {
+            general: 'les grands titres', business: 'l\'économie', technology: 'la technologie', science: 'la science',
+            health: 'la santé', sports: 'le sport', entertainment: 'le divertissement'
+        }
+    },
+    de: {
+        intro: 'Hier ist Ihr Nachrichtenüberblick für {date}. Heute: {topics}.',
+        first: 'Zuerst: {category}.',
+        next: 'Weiter mit {category}.',
+        outro: 'Das war Ihr Überblick. Danke fürs Zuhören.',
+        categories: {
+            general: 'Schlagzeilen', business: 'Wirtschaft', technology: 'Technologie', science: 'Wissenschaft',
+            health: 'Gesundheit', sports: 'Sport', entertainment: 'Unterhaltung'
+        }
+    }
+};
+
+/**
+ * Base language of a locale ('es-ES' -> 'es')
+ */
+const baseLanguage = language => String(language).toLowerCase().split(/[-_]/)[0];
+
+/**
+ * Whether the script has lines for a language (otherwise they need translating)
+ * @param {string} language - Locale
+ */
+function hasScript(language) {
+    return Boolean(SCRIPTS[baseLanguage(language)]);
+}
+
+/**
+ * Rough speaking time of a text
+ * @param {string} text - Text
+ * @returns {number} Seconds
+ */
+function estimateSpeechSeconds(text) {
+    return text.length / CHARACTERS_PER_SECOND;
+}
+
+/**
+ * Pick articles round-robin across categories until the estimated length reaches the target.
+ * At least one article is picked whenever any is available.
+ * @param {Array<{category: string, items: Array<{text: string}>}>} pools - Candidates per category, best first
+ * @param {number} targetSeconds - Target episode length
+ * @returns {Array<{category: string, items: Object[]}>} Picked items, grouped in category order
+ */
+function selectBriefingItems(pools, targetSeconds) {
+    const picked = pools.map(pool => ({ category: pool.category, items: [] }));
+    const positions = pools.map(() => 0);
+    let totalSeconds = 0;
+
+    let progress = true;
+    while (progress && totalSeconds < targetSeconds) {
+        progress = false;
+        for (let i = 0; i < pools.length && totalSeconds < targetSeconds; i++) {
+            const item = pools[i].items[positions[i]];
+            if (!item) {
+                continue;
+            }
+            positions[i]++;
+            picked[i].items.push(item);
+            totalSeconds += estimateSpeechSeconds(item.text);
+            progress = true;
+        }
+    }
+    return picked.filter(section => section.items.length > 0);
+}
+
+/**
+ * Write the episode script
+ * @param {Object} options
+ * @param {Array<{category: string, items: Object[]}>} options.sections - From selectBriefingItems
+ * @param {string} options.language - Locale
+ * @param {Date} [options.date] - Episode date, spoken in the intro
+ * @param {string} [options.timeZone] - Time zone the date is read in
+ * @returns {Array<Object>} Parts in playback order:
+ *   { kind: 'intro' | 'outro', text } | { kind: 'transition', category, text } | { kind: 'item', category, item }
+ */
+function planBriefing({ sections, language, date = new Date(), timeZone }) {
+    const script = SCRIPTS[baseLanguage(language)] || SCRIPTS.en;
+    const scriptLocale = SCRIPTS[baseLanguage(language)] ? language : 'en-US';
+    const categoryName = category => script.categories[category] || category;
+
+    const spokenDate = new Intl.DateTimeFormat(scriptLocale, { weekday: 'long', month: 'long', day: 'numeric', timeZone })
+        .format(date);
+    const topics = new Intl.ListFormat(scriptLocale, { type: 'conjunction' })
+        .format(sections.map(section => categoryName(section.category)));
+
+    const parts = [{ kind: 'intro', text: script.intro.replace('{date}', spokenDate).replace('{topics}', topics) }];
+    sections.forEach((section, index) => {
+        // A single-category briefing needs no "First, in ..." line
+        if (sections.length > 1) {
+            const line = index === 0 ? script.first : script.next;
+            parts.push({ kind: 'transition', category: section.category, text: line.replace('{category}', categoryName(section.category)) });
+        }
+        section.items.forEach(item => parts.push({ kind: 'item', category: section.category, item }));
+    });
+    parts.push({ kind: 'outro', text: script.outro });
+    return parts;
+}
+
+/**
+ * Local date and time of day in a time zone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (server time zone when omitted)
+ * @returns {{day: string, time: string}} 'YYYY-MM-DD' and 'HH:MM'
+ */
+function localDateTime(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return { day: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * Whether a daily schedule should run now: its time has passed today and it has not run today
+ * @param {Object} schedule - { time: 'HH:MM', timeZone?, lastRunDay? }
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+function isScheduleDue(schedule, now = new Date()) {
+    const { day, time } = localDateTime(now, schedule.timeZone);
+    return time >= schedule.time && schedule.lastRunDay !== day;
+}
+
+module.exports = {
+    hasScript,
+    estimateSpeechSeconds,
+    selectBriefingItems,
+    planBriefing,
+    localDateTime,
+    isScheduleDue
+};
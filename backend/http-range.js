@@ -0,0 +1,194 @@
+/**
+ * HTTP byte-range and conditional request handling for audio responses
+ * Implements single and multi-range requests (206 / 416, RFC 9110) plus ETag
+ * revalidation (If-None-Match, If-Range) so AVPlayer can seek and clients can resume.
+ */
+
+const crypto = require('crypto');
+
+// Requests with more ranges than this get the full body instead
+const MAX_RANGES = 10;
+
+/**
+ * Strong ETag for a buffer
+ * @param {Buffer} buffer - Response body
+ * @returns {string} Quoted ETag
+ */
+function createETag(buffer) {
+    return `"${crypto.createHash('sha1').update(buffer).digest('base64url')}"`;
+}
+
+/**
+ * Parse a Range header against a body size
+ * @param {string|undefined} header - Range header value
+ * @param {number} size - Body size in bytes
+ * @returns {null|'unsatisfiable'|Array<{start: number, end: number}>}
+ *          null when the header is absent or malformed (serve the full body)
+ */
+function parseRange(header, size) {
+    if (!header) {
+        return null;
+    }
+
+    const match = /^bytes=(.+)$/.exec(header.trim());
+    if (!match) {
+        return null;
+    }
+
+    const specs = match[1].split(',').map(spec => spec.trim());
+    if (specs.length > MAX_RANGES) {
+        return null;
+    }
+
+    const ranges = [];
+    for (const spec of specs) {
+        const parts = /^(\d*)-(\d*)$/.exec(spec);
+        if (!parts || (parts[1] === '' && parts[2] === '')) {
+            return null;
+        }
+
+        let start;
+        let end;
+        if (parts[1] === '') {
+            // Suffix range: the last N bytes
+            const suffixLength = parseInt(parts[2], 10);
+            if (suffixLength === 0) {
+                continue;
+            }
+            start = Math.max(0, size - suffixLength);
+            end = size - 1;
+        } else {
+            start = parseInt(parts[1], 10);
+            end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+            if (parts[2] !== '' && parseInt(parts[2], 10) < start) {
+                return null;
+            }
+        }
+
+        if (start < size) {
+            ranges.push({ start, end });
+        }
+    }
+
+    if (ranges.length === 0) {
+        return 'unsatisfiable';
+    }
+
+    // Merge overlapping or adjacent ranges
+    ranges.sort((a, b) => a.start - b.start);
+    const merged = [ranges[0]];
+    for (const range of ranges.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Whether an If-None-Match header matches the current ETag (weak comparison)
+ */
+function matchesIfNoneMatch(header, etag) {
+    if (!header) {
+        return false;
+    }
+    if (header.trim() === '*') {
+        return true;
+    }
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+/**
+ * Whether an If-Range precondition still holds, i.e. the client's partial copy is current
+ */
+function ifRangeHolds(header, etag, lastModified) {
+    if (!header) {
+        return true;
+    }
+    const value = header.trim();
+    if (value.startsWith('"')) {
+        return value === etag; // Strong comparison only
+    }
+    const date = Date.parse(value);
+    return !Number.isNaN(date) && lastModified && Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000);
+}
+
+/**
+ * Send a buffer honouring Range, If-Range and If-None-Match
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (extra headers such as Cache-Control already set)
+ * @param {Buffer} buffer - Full body
+ * @param {Object} options
+ * @param {string} options.contentType - MIME type of the body
+ * @param {string} options.etag - Strong ETag of the body
+ * @param {Date} [options.lastModified] - When the body was created
+ */
+function sendWithRanges(req, res, buffer, { contentType, etag, lastModified }) {
+    res.set({
+        'Accept-Ranges': 'bytes',
+        'ETag': etag
+    });
+    if (lastModified) {
+        res.set('Last-Modified', lastModified.toUTCString());
+    }
+
+    if (matchesIfNoneMatch(req.get('If-None-Match'), etag)) {
+        return res.status(304).end();
+    }
+
+    const ranges = ifRangeHolds(req.get('If-Range'), etag, lastModified)
+        ? parseRange(req.get('Range'), buffer.length)
+        : null;
+
+    if (ranges === 'unsatisfiable') {
+        return res.status(416).set('Content-Range', `bytes */${buffer.length}`).json({
+            success: false,
+            error: 'Requested range not satisfiable'
+        });
+    }
+
+    if (!ranges) {
+        return res.status(200).set({
+            'Content-Type': contentType,
+            'Content-Length': buffer.length
+        }).end(buffer);
+    }
+
+    if (ranges.length === 1) {
+        const { start, end } = ranges[0];
+        return res.status(206).set({
+            'Content-Type': contentType,
+            'Content-Length': end - start + 1,
+            'Content-Range': `bytes ${start}-${end}/${buffer.length}`
+        }).end(buffer.subarray(start, end + 1));
+    }
+
+    // Multiple ranges: multipart/byteranges body
+    const boundary = crypto.randomBytes(12).toString('hex');
+    const parts = [];
+    for (const { start, end } of ranges) {
+        parts.push(Buffer.from(
+            `\r\n--${boundary}\r\n` +
+            `Content-Type: ${contentType}\r\n` +
+            `Content-Range: bytes ${start}-${end}/${buffer.length}\r\n\r\n`
+        ));
+        parts.push(buffer.subarray(start, end + 1));
+    }
+    parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+    const body = Buffer.concat(parts);
+
+    return res.status(206).set({
+        'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+        'Content-Length': body.length
+    }).end(body);
+}
+
+module.exports = {
+    createETag,
+    parseRange,
+    sendWithRanges
+};
@@ -0,0 +1,189 @@
+/**
+ * In-process job queue with a concurrency limit
+ * Used to run TTS synthesis in the background so endpoints can answer immediately
+ * with job IDs. Jobs move pending -> running -> completed | failed; every change is
+ * emitted as a 'job' event, and finished jobs are kept for polling until they age out.
+ * While running, a task can report finer-grained stages with job.progress(stage, details),
+ * which are emitted as 'progress' events.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a job queue
+ * @param {Object} options
+ * @param {number} options.concurrency - Maximum number of jobs running at once
+ * @param {number} options.retentionMs - How long finished jobs stay available
+ */
+function createJobQueue({ concurrency, retentionMs }) {
+    const events = new EventEmitter();
+    events.setMaxListeners(0); // One listener per waiting client
+
+    const jobs = new Map();
+    const pending = [];
+    let running = 0;
+
+    const snapshot = job => ({
+        id: job.id,
+        type: job.type,
+        batchId: job.batchId,
+        status: job.status,
+        stage: job.stage,
+        data: job.data,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    });
+
+    const isFinished = job => job.status === 'completed' || job.status === 'failed';
+
+    function emitChange(job) {
+        events.emit('job', snapshot(job));
+    }
+
+    function pump() {
+        while (running < concurrency && pending.length > 0) {
+            const job = pending.shift();
+            run(job);
+        }
+    }
+
+    async function run(job) {
+        running++;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        emitChange(job);
+
+        try {
+            job.result = await job.task(job);
+            job.status = 'completed';
+        } catch (error) {
+            console.error(`❌ Job ${job.id} failed:`, error.message);
+            job.status = 'failed';
+            job.error = error.message;
+        } finally {
+            job.finishedAt = new Date().toISOString();
+            job.task = null;
+            running--;
+            emitChange(job);
+            pump();
+        }
+    }
+
+    setInterval(() => {
+        const cutoff = Date.now() - retentionMs;
+        for (const job of jobs.values()) {
+            if (isFinished(job) && Date.parse(job.finishedAt) < cutoff) {
+                jobs.delete(job.id);
+            }
+        }
+    }, PRUNE_INTERVAL_MS).unref();
+
+    return {
+        events,
+
+        /**
+         * Queue a task
+         * @param {Function} task - async (job) => result; job.progress(stage, details) reports stages
+         * @param {Object} [options]
+         * @param {string} [options.type] - Job type (e.g., 'news-audio')
+         * @param {string} [options.batchId] - Groups jobs created by one request
+         * @param {Object} [options.data] - JSON data describing the job
+         * @returns {Object} Job snapshot
+         */
+        enqueue(task, { type = 'job', batchId = null, data = {} } = {}) {
+            const job = {
+                id: `job_${crypto.randomUUID()}`,
+                type,
+                batchId,
+                status: 'pending',
+                stage: null,
+                data,
+                result: null,
+                error: null,
+                createdAt: new Date().toISOString(),
+                startedAt: null,
+                finishedAt: null,
+                task,
+                progress(stage, details = {}) {
+                    job.stage = stage;
+                    events.emit('progress', { ...snapshot(job), details });
+                }
+            };
+
+            jobs.set(job.id, job);
+            pending.push(job);
+            emitChange(job);
+            // Start on the next tick so callers can respond before work begins
+            setImmediate(pump);
+            return snapshot(job);
+        },
+
+        /**
+         * @param {string} jobId - Job ID
+         * @returns {Object|null} Job snapshot
+         */
+        get(jobId) {
+            const job = jobs.get(jobId);
+            return job ? snapshot(job) : null;
+        },
+
+        /**
+         * @param {string} batchId - Batch ID
+         * @returns {Object[]} Snapshots of the jobs in the batch, in creation order
+         */
+        listBatch(batchId) {
+            return Array.from(jobs.values())
+                .filter(job => job.batchId === batchId)
+                .map(snapshot);
+        },
+
+        /**
+         * Resolve once a job has finished, or with its current state after the timeout
+         * @param {string} jobId - Job ID
+         * @param {number} timeoutMs - Longest time to wait
+         * @returns {Promise<Object|null>} Job snapshot
+         */
+        waitFor(jobId, timeoutMs) {
+            const job = jobs.get(jobId);
+            if (!job || isFinished(job) || timeoutMs <= 0) {
+                return Promise.resolve(job ? snapshot(job) : null);
+            }
+
+            return new Promise((resolve) => {
+                const onJob = (changed) => {
+                    if (changed.id === jobId && (changed.status === 'completed' || changed.status === 'failed')) {
+                        done(changed);
+                    }
+                };
+                const timer = setTimeout(() => done(snapshot(job)), timeoutMs);
+                function done(result) {
+                    clearTimeout(timer);
+                    events.off('job', onJob);
+                    resolve(result);
+                }
+                events.on('job', onJob);
+            });
+        },
+
+        /**
+         * Queue statistics for /health
+         */
+        getStats() {
+            const counts = { pending: 0, running: 0, completed: 0, failed: 0 };
+            for (const job of jobs.values()) {
+                counts[job.status]++;
+            }
+            return { concurrency, ...counts };
+        }
+    };
+}
+
+module.exports = {
+    createJobQueue
+};
@@ -0,0 +1,86 @@
+/**
+ * Small JSON document store for server state that must survive restarts
+ * (briefing schedules, briefings, ...). Each store is one file under DATA_DIR: the
+ * document lives in memory and is written back atomically after every change.
+ * Without a directory the store is memory-only.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Create a JSON store
+ * @param {Object} options
+ * @param {string} [options.directory] - Data directory; omit for a memory-only store
+ * @param {string} options.name - Store name, used as the file name (<name>.json)
+ * @param {Function} options.initial - Returns the document used when there is no file yet
+ */
+function createJsonStore({ directory, name, initial }) {
+    const file = directory ? path.join(directory, `${name}.json`) : null;
+    let document = initial();
+    let pendingWrite = Promise.resolve();
+
+    /**
+     * Write the document atomically; writes are serialized so the last one wins
+     */
+    function persist() {
+        if (!file) {
+            return pendingWrite;
+        }
+        const data = JSON.stringify(document, null, 2);
+        pendingWrite = pendingWrite
+            .then(async () => {
+                const tmpFile = `${file}.tmp`;
+                await fs.writeFile(tmpFile, data);
+                await fs.rename(tmpFile, file);
+            })
+            .catch(error => console.warn(`⚠️  Failed to write ${name} store:`, error.message));
+        return pendingWrite;
+    }
+
+    return {
+        name,
+        file,
+
+        /**
+         * Read the file into memory (keeps the initial document when there is none)
+         * @returns {Promise<void>}
+         */
+        async load() {
+            if (!file) {
+                return;
+            }
+            await fs.mkdir(directory, { recursive: true });
+            try {
+                document = JSON.parse(await fs.readFile(file, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.warn(`⚠️  ${name} store unreadable, starting empty:`, error.message);
+                }
+            }
+        },
+
+        /**
+         * The current document; treat it as read-only and change it through update()
+         * @returns {Object}
+         */
+        read() {
+            return document;
+        },
+
+        /**
+         * Change the document and persist it
+         * @param {Function} mutator - Receives the document; may modify it in place
+         * @returns {Promise<*>} Whatever the mutator returned
+         */
+        async update(mutator) {
+            const result = mutator(document);
+            await persist();
+            return result;
+        }
+    };
+}
+
+module.exports = {
+    createJsonStore
+};
@@ -0,0 +1,403 @@
+/**
+ * Pronunciation lexicon for TTSNewsReader
+ * Maps graphemes (names, places, acronyms) to how they should be spoken, per language
+ * and optionally per voice:
+ *
+ *   { id, language, grapheme, phoneme, alias, voice, caseSensitive, createdAt, updatedAt }
+ *
+ * An entry has either a phoneme (IPA) or an alias (a respelling or expansion). Entries
+ * filed under a base language ('en') apply to all its locales; entries filed under a
+ * locale ('en-GB') and voice-scoped entries take precedence over them. Phonemes are
+ * passed to the engine inline as /IPA/, the notation Inworld TTS reads.
+ */
+
+const crypto = require('crypto');
+const { escapeXml, decodeXml } = require('./xml');
+
+const MAX_ENTRIES_PER_LANGUAGE = 5000;
+const MAX_GRAPHEME_LENGTH = 100;
+const MAX_PRONUNCIATION_LENGTH = 200;
+
+const PLS_NAMESPACE = 'http://www.w3.org/2005/01/pronunciation-lexicon';
+
+/**
+ * Canonical language tag ('en-us' -> 'en-US'), or null when it is not a valid tag
+ * @param {string} language - Language tag
+ * @returns {string|null}
+ */
+function canonicalLanguage(language) {
+    try {
+        const [tag] = Intl.getCanonicalLocales(language);
+        return tag && /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(tag) ? tag : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Base language of a locale ('es-ES' -> 'es')
+ */
+const baseLanguage = language => String(language).toLowerCase().split(/[-_]/)[0];
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a W3C Pronunciation Lexicon Specification (PLS) document
+ * @param {string} xml - PLS document
+ * @returns {{language: string|null, entries: Object[], warnings: string[]}} Entries as { grapheme, phoneme?, alias? }
+ */
+function parsePLS(xml) {
+    const root = /<lexicon\b([^>]*)>/i.exec(xml);
+    if (!root) {
+        throw new Error('Not a PLS document (no <lexicon> element)');
+    }
+    const attribute = (attributes, name) => {
+        const match = new RegExp(`(?:^|\\s)${name.replace(':', '\\:')}\\s*=\\s*["']([^"']*)["']`, 'i').exec(attributes);
+        return match ? decodeXml(match[1]) : null;
+    };
+    const defaultAlphabet = attribute(root[1], 'alphabet') || 'ipa';
+
+    const entries = [];
+    const warnings = [];
+    const lexemes = xml.match(/<lexeme\b[^>]*>[\s\S]*?<\/lexeme>/gi) || [];
+    lexemes.forEach((lexeme, index) => {
+        const graphemes = Array.from(lexeme.matchAll(/<grapheme\b[^>]*>([\s\S]*?)<\/grapheme>/gi), match => decodeXml(match[1]));
+        const alias = /<alias\b[^>]*>([\s\S]*?)<\/alias>/i.exec(lexeme);
+        const phoneme = /<phoneme\b([^>]*)>([\s\S]*?)<\/phoneme>/i.exec(lexeme);
+
+        // PLS allows several pronunciations per lexeme; the first one is used, aliases before phonemes
+        let pronunciation = null;
+        if (alias) {
+            pronunciation = { alias: decodeXml(alias[1]) };
+        } else if (phoneme) {
+            const alphabet = attribute(phoneme[1], 'alphabet') || defaultAlphabet;
+            if (alphabet.toLowerCase() !== 'ipa') {
+                warnings.push(`lexeme ${index + 1}: alphabet "${alphabet}" is not supported (IPA only)`);
+                return;
+            }
+            pronunciation = { phoneme: decodeXml(phoneme[2]) };
+        }
+        if (!pronunciation || graphemes.length === 0) {
+            warnings.push(`lexeme ${index + 1}: needs a grapheme and an alias or phoneme`);
+            return;
+        }
+        graphemes.forEach(grapheme => entries.push({ grapheme, ...pronunciation }));
+    });
+
+    return { language: attribute(root[1], 'xml:lang'), entries, warnings };
+}
+
+/**
+ * Render entries as a PLS document
+ * @param {string} language - Language tag (xml:lang)
+ * @param {Object[]} entries - Lexicon entries
+ * @returns {string} PLS XML
+ */
+function toPLS(language, entries) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<lexicon version="1.0" xmlns="${PLS_NAMESPACE}" alphabet="ipa" xml:lang="${escapeXml(language)}">`
+    ];
+    for (const entry of entries) {
+        const pronunciation = entry.alias !== null
+            ? `<alias>${escapeXml(entry.alias)}</alias>`
+            : `<phoneme>${escapeXml(entry.phoneme)}</phoneme>`;
+        lines.push(`  <lexeme><grapheme>${escapeXml(entry.grapheme)}</grapheme>${pronunciation}</lexeme>`);
+    }
+    lines.push('</lexicon>');
+    return lines.join('\n');
+}
+
+/**
+ * Create the lexicon
+ * @param {Object} options
+ * @param {Object} options.store - JSON store (createJsonStore) holding { entries: [] }
+ * @param {Function} [options.resolveVoice] - Voice ID -> canonical voice ID, or null when unknown
+ */
+function createLexicon({ store, resolveVoice = id => id }) {
+    // `${language}|${voice}` -> compiled matcher; cleared on every change
+    const matchers = new Map();
+
+    const entriesOf = language => store.read().entries.filter(entry => entry.language === language);
+
+    const change = async (mutator) => {
+        const result = await store.update(mutator);
+        matchers.clear();
+        return result;
+    };
+
+    /**
+     * Validate and normalize entry fields
+     * @returns {{fields?: Object, error?: string}}
+     */
+    function normalizeFields(input) {
+        const grapheme = typeof input.grapheme === 'string' ? input.grapheme.trim() : '';
+        if (!grapheme || grapheme.length > MAX_GRAPHEME_LENGTH) {
+            return { error: `grapheme must be 1-${MAX_GRAPHEME_LENGTH} characters` };
+        }
+
+        const hasPhoneme = input.phoneme !== undefined && input.phoneme !== null;
+        const hasAlias = input.alias !== undefined && input.alias !== null;
+        if (hasPhoneme === hasAlias) {
+            return { error: 'An entry needs either a phoneme or an alias' };
+        }
+        const pronunciation = String(hasPhoneme ? input.phoneme : input.alias).trim();
+        if (!pronunciation || pronunciation.length > MAX_PRONUNCIATION_LENGTH) {
+            return { error: `${hasPhoneme ? 'phoneme' : 'alias'} must be 1-${MAX_PRONUNCIATION_LENGTH} characters` };
+        }
+        if (hasPhoneme && /[/<>]/.test(pronunciation)) {
+            return { error: 'phoneme must be plain IPA (without slashes or markup)' };
+        }
+
+        let voice = null;
+        if (input.voice !== undefined && input.voice !== null && input.voice !== '') {
+            voice = resolveVoice(String(input.voice));
+            if (!voice) {
+                return { error: `Unknown voice: ${input.voice}` };
+            }
+        }
+
+        return {
+            fields: {
+                grapheme,
+                phoneme: hasPhoneme ? pronunciation : null,
+                alias: hasAlias ? pronunciation : null,
+                voice,
+                caseSensitive: Boolean(input.caseSensitive)
+            }
+        };
+    }
+
+    const sameKey = (entry, fields) => entry.voice === fields.voice
+        && entry.caseSensitive === fields.caseSensitive
+        && (fields.caseSensitive
+            ? entry.grapheme === fields.grapheme
+            : entry.grapheme.toLowerCase() === fields.grapheme.toLowerCase());
+
+    /**
+     * Compile the entries that apply to a language and voice into one pattern.
+     * Candidates per grapheme are ordered most specific first: voice, then locale, then case-sensitive.
+     */
+    function getMatcher(language, voice) {
+        const key = `${language}|${voice || ''}`;
+        if (matchers.has(key)) {
+            return matchers.get(key);
+        }
+
+        const languages = new Set([baseLanguage(language), language]);
+        const specificity = entry => (entry.voice ? 4 : 0) + (entry.language === language ? 2 : 0) + (entry.caseSensitive ? 1 : 0);
+        const candidates = new Map();
+        store.read().entries
+            .filter(entry => languages.has(entry.language) && (!entry.voice || entry.voice === voice))
+            .sort((a, b) => specificity(b) - specificity(a))
+            .forEach((entry) => {
+                const lower = entry.grapheme.toLowerCase();
+                if (!candidates.has(lower)) {
+                    candidates.set(lower, []);
+                }
+                candidates.get(lower).push(entry);
+            });
+
+        // Longest graphemes first, so "New York Times" wins over "New York"
+        const alternatives = Array.from(candidates.keys())
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp);
+        const matcher = alternatives.length > 0
+            ? { pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu'), candidates }
+            : null;
+        matchers.set(key, matcher);
+        return matcher;
+    }
+
+    return {
+        /**
+         * Read the stored lexicon
+         */
+        load() {
+            return store.load();
+        },
+
+        /**
+         * Rewrite text with the pronunciations that apply to it
+         * @param {string} text - Plain text about to be synthesized
+         * @param {string} language - Language code of the text
+         * @param {string} [voice] - Resolved voice ID
+         * @returns {{text: string, applied: Object[]}} Rewritten text and the entries used
+         */
+        apply(text, language, voice) {
+            const tag = canonicalLanguage(language);
+            const matcher = tag ? getMatcher(tag, voice) : null;
+            if (!matcher) {
+                return { text, applied: [] };
+            }
+
+            const applied = new Set();
+            const rewritten = text.replace(matcher.pattern, (match) => {
+                const entry = (matcher.candidates.get(match.toLowerCase()) || [])
+                    .find(candidate => !candidate.caseSensitive || candidate.grapheme === match);
+                if (!entry) {
+                    return match;
+                }
+                applied.add(entry);
+                return entry.alias !== null ? entry.alias : `/${entry.phoneme}/`;
+            });
+            return { text: rewritten, applied: Array.from(applied) };
+        },
+
+        /**
+         * List the entries of a language
+         * @param {string} language - Canonical language tag
+         * @param {Object} [filter]
+         * @param {string} [filter.voice] - Only entries for all voices and this voice
+         * @returns {Object[]}
+         */
+        list(language, { voice } = {}) {
+            return entriesOf(language)
+                .filter(entry => voice === undefined || !entry.voice || entry.voice === voice);
+        },
+
+        /**
+         * @returns {Object|null} Entry
+         */
+        get(language, id) {
+            return entriesOf(language).find(entry => entry.id === id) || null;
+        },
+
+        /**
+         * Languages with entries and how many each has
+         * @returns {Array<{language: string, entries: number}>}
+         */
+        listLanguages() {
+            const counts = new Map();
+            store.read().entries.forEach(entry => counts.set(entry.language, (counts.get(entry.language) || 0) + 1));
+            return Array.from(counts, ([language, entries]) => ({ language, entries }));
+        },
+
+        /**
+         * Add an entry
+         * @param {string} language - Canonical language tag
+         * @param {Object} input - { grapheme, phoneme | alias, voice?, caseSensitive? }
+         * @returns {Promise<{entry?: Object, error?: string, conflict?: Object}>}
+         */
+        async add(language, input) {
+            const { fields, error } = normalizeFields(input);
+            if (error) {
+                return { error };
+            }
+            const existing = entriesOf(language);
+            const conflict = existing.find(entry => sameKey(entry, fields));
+            if (conflict) {
+                return { error: `An entry for "${fields.grapheme}" already exists`, conflict };
+            }
+            if (existing.length >= MAX_ENTRIES_PER_LANGUAGE) {
+                return { error: `A language can have at most ${MAX_ENTRIES_PER_LANGUAGE} entries` };
+            }
+
+            const now = new Date().toISOString();
+            const entry = { id: `lex_${crypto.randomUUID()}`, language, ...fields, createdAt: now, updatedAt: now };
+            await change((data) => {
+                data.entries.push(entry);
+            });
+            return { entry };
+        },
+
+        /**
+         * Replace the fields of an entry
+         * @param {string} language - Canonical language tag
+         * @param {string} id - Entry ID
+         * @param {Object} input - { grapheme, phoneme | alias, voice?, caseSensitive? }
+         * @returns {Promise<{entry?: Object, error?: string, conflict?: Object}|null>} Null when there is no such entry
+         */
+        async update(language, id, input) {
+            const entry = this.get(language, id);
+            if (!entry) {
+                return null;
+            }
+            const { fields, error } = normalizeFields(input);
+            if (error) {
+                return { error };
+            }
+            const conflict = entriesOf(language).find(other => other.id !== id && sameKey(other, fields));
+            if (conflict) {
+                return { error: `An entry for "${fields.grapheme}" already exists`, conflict };
+            }
+
+            await change(() => {
+                Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+            });
+            return { entry };
+        },
+
+        /**
+         * Delete an entry
+         * @returns {Promise<Object|null>} The removed entry
+         */
+        remove(language, id) {
+            return change((data) => {
+                const index = data.entries.findIndex(entry => entry.language === language && entry.id === id);
+                return index >= 0 ? data.entries.splice(index, 1)[0] : null;
+            });
+        },
+
+        /**
+         * Import entries in bulk. Nothing is stored when any entry is invalid.
+         * @param {string} language - Canonical language tag
+         * @param {Object[]} inputs - Entry fields
+         * @param {Object} [options]
+         * @param {boolean} [options.replace] - Remove the language's current entries first (otherwise entries are upserted)
+         * @param {string} [options.voice] - Voice for entries that name none
+         * @returns {Promise<{added?: number, updated?: number, errors?: string[]}>}
+         */
+        async import(language, inputs, { replace = false, voice } = {}) {
+            const errors = [];
+            const incoming = [];
+            inputs.forEach((input, index) => {
+                const { fields, error } = normalizeFields({ voice, ...input });
+                if (error) {
+                    errors.push(`entry ${index + 1}: ${error}`);
+                    return;
+                }
+                // A later duplicate in the same import wins
+                const duplicate = incoming.findIndex(other => sameKey(other, fields));
+                if (duplicate >= 0) {
+                    incoming.splice(duplicate, 1);
+                }
+                incoming.push(fields);
+            });
+            if (errors.length > 0) {
+                return { errors };
+            }
+
+            const existing = replace ? [] : entriesOf(language);
+            const additions = incoming.filter(fields => !existing.some(entry => sameKey(entry, fields)));
+            if (existing.length + additions.length > MAX_ENTRIES_PER_LANGUAGE) {
+                return { errors: [`A language can have at most ${MAX_ENTRIES_PER_LANGUAGE} entries`] };
+            }
+
+            const now = new Date().toISOString();
+            let updated = 0;
+            await change((data) => {
+                if (replace) {
+                    data.entries = data.entries.filter(entry => entry.language !== language);
+                }
+                for (const fields of incoming) {
+                    const entry = existing.find(candidate => sameKey(candidate, fields));
+                    if (entry) {
+                        Object.assign(entry, fields, { updatedAt: now });
+                        updated++;
+                    } else {
+                        data.entries.push({ id: `lex_${crypto.randomUUID()}`, language, ...fields, createdAt: now, updatedAt: now });
+                    }
+                }
+            });
+            return { added: incoming.length - updated, updated };
+        }
+    };
+}
+
+module.exports = {
+    canonicalLanguage,
+    parsePLS,
+    toPLS,
+    createLexicon
+};
@@ -0,0 +1,313 @@
+/**
+ * News-aware text normalization before synthesis
+ * Two pure stages:
+ *   cleanNewsText   - language independent clean-up of feed copy: HTML entities, "[+1234 chars]"
+ *                     truncation markers, URLs, exchange tags and " - CNN" style source suffixes
+ *   expandForSpeech - per-locale expansion of currencies, percentages, dates, numbers and
+ *                     abbreviations so they are read the way a newsreader would say them
+ * Cleaning runs before translation and expansion after it, in the target language.
+ */
+
+const { decodeHTMLEntities } = require('./article-extractor');
+const { numberToWords, ordinalToWords, yearToWords, dateToWords, spellCharacters } = require('./spoken-forms');
+
+const CURRENCY_SYMBOLS = '$€£¥₹';
+
+/**
+ * Per-locale rule tables. Locales without number words (see spoken-forms.js) keep digits,
+ * which the TTS engine reads natively, but still get currency names and abbreviations.
+ */
+const LOCALE_RULES = {
+    en: {
+        and: 'and',
+        percent: 'percent',
+        currencies: {
+            '$': { one: 'dollar', many: 'dollars', minorOne: 'cent', minorMany: 'cents' },
+            '€': { one: 'euro', many: 'euros', minorOne: 'cent', minorMany: 'cents' },
+            '£': { one: 'pound', many: 'pounds', minorOne: 'penny', minorMany: 'pence' },
+            '¥': { one: 'yen', many: 'yen' },
+            '₹': { one: 'rupee', many: 'rupees' }
+        },
+        scales: { k: 'thousand', thousand: 'thousand', m: 'million', mn: 'million', million: 'million', bn: 'billion', billion: 'billion', tn: 'trillion', trillion: 'trillion' },
+        quarter: n => `${ordinalToWords(n, 'en')} quarter`,
+        half: n => `${ordinalToWords(n, 'en')} half`,
+        // "nineteen ninety" -> "nineteen nineties"
+        decade: words => (words.endsWith('y') ? `${words.slice(0, -1)}ies` : `${words}s`),
+        clock: { oh: 'oh', oClock: "o'clock", hundred: 'hundred', meridiem: /^\s*[AP] M\b/ },
+        abbreviations: {
+            'U.S.': 'U S', 'U.K.': 'U K', 'E.U.': 'E U', 'U.N.': 'U N', 'D.C.': 'D C',
+            'a.m.': 'A M', 'p.m.': 'P M',
+            'Sen.': 'Senator', 'Gov.': 'Governor', 'Rep.': 'Representative', 'Pres.': 'President',
+            'Dr.': 'Doctor', 'Prof.': 'Professor', 'Gen.': 'General', 'Lt.': 'Lieutenant',
+            'Mt.': 'Mount', 'Ave.': 'Avenue', 'vs.': 'versus', 'approx.': 'approximately',
+            'Corp.': 'Corporation', 'Co.': 'Company', 'Ltd.': 'Limited', 'Inc.': 'Inc',
+            'Jan.': 'January', 'Feb.': 'February', 'Mar.': 'March', 'Apr.': 'April', 'Aug.': 'August',
+            'Sept.': 'September', 'Sep.': 'September', 'Oct.': 'October', 'Nov.': 'November', 'Dec.': 'December',
+            'YoY': 'year over year', 'QoQ': 'quarter over quarter'
+        },
+        numberPrefix: { 'No.': 'number' },
+        months: ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+            'August', 'September', 'October', 'November', 'December']
+    },
+    es: {
+        and: 'y',
+        percent: 'por ciento',
+        currencies: {
+            '$': { one: 'dólar', many: 'dólares' },
+            '€': { one: 'euro', many: 'euros' },
+            '£': { one: 'libra', many: 'libras' }
+        },
+        abbreviations: {
+            'EE.UU.': 'Estados Unidos', 'Sr.': 'señor', 'Sra.': 'señora', 'Dr.': 'doctor',
+            'Dra.': 'doctora', 'etc.': 'etcétera', 'aprox.': 'aproximadamente'
+        },
+        numberPrefix: { 'núm.': 'número' }
+    },
+    fr: {
+        and: 'et',
+        percent: 'pour cent',
+        currencies: {
+            '$': { one: 'dollar', many: 'dollars' },
+            '€': { one: 'euro', many: 'euros' },
+            '£': { one: 'livre', many: 'livres' }
+        },
+        abbreviations: {
+            'Mme': 'Madame', 'Mlle': 'Mademoiselle', 'Dr': 'Docteur', 'etc.': 'et cetera', 'av. J.-C.': 'avant Jésus-Christ'
+        },
+        numberPrefix: { 'n°': 'numéro' }
+    },
+    de: {
+        and: 'und',
+        percent: 'Prozent',
+        currencies: {
+            '$': { one: 'Dollar', many: 'Dollar' },
+            '€': { one: 'Euro', many: 'Euro' },
+            '£': { one: 'Pfund', many: 'Pfund' }
+        },
+        abbreviations: {
+            'z.B.': 'zum Beispiel', 'z. B.': 'zum Beispiel', 'usw.': 'und so weiter', 'bzw.': 'beziehungsweise',
+            'Dr.': 'Doktor', 'Mio.': 'Millionen', 'Mrd.': 'Milliarden', 'ca.': 'circa'
+        },
+        numberPrefix: { 'Nr.': 'Nummer' }
+    }
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Rule table for a language code, or null when there is none
+ * @param {string} language - Language code (e.g., 'en-US')
+ */
+function getLocaleRules(language = 'en-US') {
+    return LOCALE_RULES[language.split('-')[0].toLowerCase()] || null;
+}
+
+/**
+ * Drop a trailing " - CNN" / " | Reuters" source attribution from a headline.
+ * With a known source name only that name is removed; otherwise a short run of
+ * capitalized words (or a domain) after the last dash is treated as the source.
+ * @param {string} title - Headline
+ * @param {string} [sourceName] - Name of the article's source
+ * @returns {string} Headline without the suffix
+ */
+function stripSourceSuffix(title, sourceName) {
+    const match = /\s+[-–—|]\s+([^-–—|]+)$/.exec(title);
+    if (!match || match.index === 0) {
+        return title;
+    }
+    const suffix = match[1].trim();
+    const known = sourceName && suffix.toLowerCase().replace(/\.com$/, '') === sourceName.toLowerCase().replace(/\.com$/, '');
+    const looksLikeSource = suffix.length <= 40 &&
+        /^(?:[\p{Lu}\d][\p{L}\d.&'’]*|of|the|and|de|la|le|der|die)(?:\s+(?:[\p{Lu}\d][\p{L}\d.&'’]*|of|the|and|de|la|le|der|die))*$/u.test(suffix) &&
+        /^[\p{Lu}\d]/u.test(suffix) && suffix.split(/\s+/).length <= 5;
+    const isDomain = /^[\w-]+(\.[\w-]+)+$/.test(suffix);
+    return known || (!sourceName && (looksLikeSource || isDomain)) ? title.slice(0, match.index) : title;
+}
+
+/**
+ * Language independent clean-up of news copy
+ * @param {string} text - Headline, description or paragraph
+ * @param {Object} [options]
+ * @param {string} [options.sourceName] - Source name, used to strip " - Source" suffixes
+ * @returns {string} Cleaned text
+ */
+function cleanNewsText(text, { sourceName } = {}) {
+    let cleaned = decodeHTMLEntities(String(text || ''))
+        .replace(/<[^>]+>/g, ' ')
+        // NewsAPI truncation marker, with the ellipsis in front of it
+        .replace(/\s*(?:…|\.{3})?\s*\[\+\d+ chars\]/gi, '')
+        .replace(/\bhttps?:\/\/\S+|\bwww\.\S+/gi, '')
+        // Exchange tags such as "(NASDAQ: AAPL)" or "(NYSE:BRK.B)"
+        .replace(/\s*\((?:NASDAQ|NYSE|NYSEAMERICAN|AMEX|LSE|TSX|OTC|TSE|HKEX|ASX)\s*:\s*[A-Z.]{1,6}\)/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    cleaned = stripSourceSuffix(cleaned, sourceName);
+    return cleaned.replace(/\s+([,.;:!?])/g, '$1').trim();
+}
+
+/**
+ * Spoken form of a number, keeping the digits when the locale has no words
+ */
+function speakNumber(value, language) {
+    return numberToWords(value, language) || value;
+}
+
+/**
+ * Expand a currency amount: "$3.99" -> "three dollars and ninety-nine cents",
+ * "$1.5bn" -> "one point five billion dollars"
+ */
+function speakCurrency(symbol, amount, scale, rules, language) {
+    const currency = rules.currencies[symbol];
+    if (!currency) {
+        return null;
+    }
+    const scaleWord = scale ? (rules.scales && rules.scales[scale.toLowerCase()]) || scale : null;
+    const plain = amount.replace(/,/g, '');
+
+    if (scaleWord) {
+        return `${speakNumber(plain, language)} ${scaleWord} ${currency.many}`;
+    }
+
+    const [whole, fraction] = plain.split('.');
+    const wholeWord = parseInt(whole, 10) === 1 ? currency.one : currency.many;
+    const wholeText = `${speakNumber(whole, language)} ${wholeWord}`;
+    if (fraction && fraction.length === 2 && currency.minorMany && numberToWords(fraction, language)) {
+        const cents = parseInt(fraction, 10);
+        if (cents === 0) {
+            return wholeText;
+        }
+        const centsText = `${speakNumber(String(cents), language)} ${cents === 1 ? currency.minorOne : currency.minorMany}`;
+        return parseInt(whole, 10) === 0 ? centsText : `${wholeText} ${rules.and} ${centsText}`;
+    }
+    if (fraction) {
+        return `${speakNumber(plain, language)} ${currency.many}`;
+    }
+    return wholeText;
+}
+
+/**
+ * Expand numbers, currencies, dates and abbreviations for the given language
+ * @param {string} text - Cleaned text in the target language
+ * @param {string} language - Language code
+ * @returns {string} Text ready for synthesis
+ */
+function expandForSpeech(text, language = 'en-US') {
+    const rules = getLocaleRules(language);
+    let result = String(text || '');
+
+    // Cashtags are spelled out in every language: "$AAPL" -> "A A P L"
+    result = result.replace(/\$([A-Z]{1,5})\b/g, (_, ticker) => spellCharacters(ticker));
+
+    if (!rules) {
+        return result;
+    }
+
+    // ISO dates
+    result = result.replace(/\b(\d{4}-\d{2}-\d{2})\b/g, date => dateToWords(date, 'ymd', language) || date);
+
+    // Currency before and after the amount: "$25", "US$1.2 billion", "25 €"
+    const symbols = `[${escapeRegExp(CURRENCY_SYMBOLS)}]`;
+    result = result.replace(
+        new RegExp(`(?:US)?(${symbols})\\s?(\\d[\\d,]*(?:\\.\\d+)?)(?:\\s?(trillion|billion|million|thousand|tn|bn|mn|m|k)\\b)?`, 'gi'),
+        (match, symbol, amount, scale) => speakCurrency(symbol, amount, scale, rules, language) || match
+    );
+    result = result.replace(
+        new RegExp(`(\\d[\\d,]*(?:\\.\\d+)?)\\s?(${symbols})`, 'g'),
+        (match, amount, symbol) => speakCurrency(symbol, amount, null, rules, language) || match
+    );
+
+    // Percentages
+    result = result.replace(/(\d[\d,]*(?:\.\d+)?)\s?%/g, (_, value) => `${speakNumber(value, language)} ${rules.percent}`);
+
+    // Fiscal quarters and halves: "Q3" -> "third quarter"
+    if (rules.quarter) {
+        result = result.replace(/\bQ([1-4])\b/g, (_, n) => rules.quarter(n));
+        result = result.replace(/\bH([12])\b/g, (_, n) => rules.half(n));
+    }
+
+    // "No. 1" -> "number one"
+    for (const [prefix, word] of Object.entries(rules.numberPrefix || {})) {
+        result = result.replace(new RegExp(`(^|\\s)${escapeRegExp(prefix)}\\s?(?=\\d)`, 'g'), `$1${word} `);
+    }
+
+    // Abbreviations, longest first so "EE.UU." wins over shorter entries
+    const abbreviations = Object.keys(rules.abbreviations).sort((a, b) => b.length - a.length);
+    for (const abbreviation of abbreviations) {
+        const pattern = new RegExp(`(?<![\\p{L}\\d.])${escapeRegExp(abbreviation)}(?![\\p{L}\\d])`, 'gu');
+        result = result.replace(pattern, (match, offset, whole) => {
+            const expansion = rules.abbreviations[abbreviation];
+            // An abbreviation that ended the sentence keeps the full stop
+            return abbreviation.endsWith('.') && /^\s*$/.test(whole.slice(offset + match.length)) ? `${expansion}.` : expansion;
+        });
+    }
+
+    result = result.replace(/\s&\s/g, ` ${rules.and} `);
+
+    if (!numberToWords(1, language)) {
+        return result.replace(/\s+/g, ' ').trim();
+    }
+
+    // Clock times: "10:30" -> "ten thirty", "9:05" -> "nine oh five", "7:00 P M" -> "seven P M",
+    // "15:00" -> "fifteen hundred"
+    if (rules.clock) {
+        result = result.replace(/(?<![\d:.,])\b([01]?\d|2[0-3]):([0-5]\d)\b(?![:.,]?\d)/g, (match, hours, minutes, offset, whole) => {
+            const hourWords = speakNumber(String(parseInt(hours, 10)), language);
+            if (minutes === '00') {
+                if (rules.clock.meridiem.test(whole.slice(offset + match.length))) {
+                    return hourWords;
+                }
+                return `${hourWords} ${parseInt(hours, 10) > 12 ? rules.clock.hundred : rules.clock.oClock}`;
+            }
+            const minuteWords = speakNumber(String(parseInt(minutes, 10)), language);
+            return minutes.startsWith('0') ? `${hourWords} ${rules.clock.oh} ${minuteWords}` : `${hourWords} ${minuteWords}`;
+        });
+    }
+
+    // Decades: "1990s" -> "nineteen nineties", "the '80s" -> "the eighties"
+    if (rules.decade) {
+        result = result.replace(/(?<![\d.,])\b(1[1-9]\d0|20\d0)s\b/g, (_, year) => rules.decade(yearToWords(parseInt(year, 10), language)));
+        result = result.replace(/(?:(?<=\s|^)['’]|\b)([2-9]0)s\b/g, (_, tens) => rules.decade(speakNumber(tens, language)));
+    }
+
+    // "March 5" -> "March fifth"
+    if (rules.months) {
+        const months = rules.months.join('|');
+        result = result.replace(new RegExp(`\\b(${months})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?!\\s*[:.,]?\\d)`, 'g'),
+            (match, month, day) => (parseInt(day, 10) <= 31 ? `${month} ${ordinalToWords(day, language)}` : match));
+    }
+
+    // Ordinals: "21st" -> "twenty-first"
+    result = result.replace(/\b(\d+)(?:st|nd|rd|th)\b/g, (match, n) => ordinalToWords(n, language) || match);
+
+    // Years: a bare four digit number between 1100 and 2099
+    result = result.replace(/(?<![\d.,])\b(1[1-9]\d\d|20\d\d)\b(?![\d.,]\d)/g, year => yearToWords(parseInt(year, 10), language));
+
+    // Model numbers such as "737-800" are read as two numbers
+    result = result.replace(/(\d)-(?=\d)/g, '$1 ');
+
+    // Everything else that is still a number; a hyphen is only a minus sign when it does not
+    // join the number to a word or another number ("COVID-19", "F-35", "737-800")
+    result = result.replace(/(?<![\d.])(?:(?<![\p{L}\d])-)?\d[\d,]*(?:\.\d+)?(?![\d])/gu, value => (/^-?\d{1,3}(,\d{3})*(\.\d+)?$|^-?\d+(\.\d+)?$/.test(value) ? speakNumber(value, language) : value));
+
+    return result.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Clean and expand news copy in one go
+ * @param {string} text - Headline, description or paragraph
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language code for expansions
+ * @param {string} [options.sourceName] - Source name for suffix stripping
+ * @returns {string} Text ready for synthesis
+ */
+function normalizeNewsText(text, { language = 'en-US', sourceName } = {}) {
+    return expandForSpeech(cleanNewsText(text, { sourceName }), language);
+}
+
+module.exports = {
+    stripSourceSuffix,
+    cleanNewsText,
+    expandForSpeech,
+    normalizeNewsText
+};
@@ -0,0 +1,329 @@
+/**
+ * News source adapters for TTSNewsReader
+ * Every source implements the same interface and returns articles in the shape
+ * /news-audio already uses (title, description, url, urlToImage, publishedAt, source, category):
+ *
+ *   {
+ *       name: string,
+ *       isConfigured(): boolean,
+ *       fetchArticles({ category, country, pageSize }): Promise<Object[]>
+ *   }
+ */
+
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const axios = require('axios');
+const { decodeHTMLEntities } = require('./article-extractor');
+const { decodeXml } = require('./xml');
+
+/**
+ * Normalize a raw article into the /news-audio article shape
+ * @param {Object} raw - Article-like object
+ * @param {string} sourceName - Fallback source name
+ * @returns {Object|null} Article, or null when it has no title
+ */
+function normalizeArticle(raw, sourceName) {
+    const title = raw.title && String(raw.title).trim();
+    if (!title) {
+        return null;
+    }
+
+    const publishedAt = raw.publishedAt ? new Date(raw.publishedAt) : null;
+    const source = raw.source && typeof raw.source === 'object'
+        ? { id: raw.source.id || null, name: raw.source.name || sourceName }
+        : { id: null, name: raw.source || sourceName };
+
+    return {
+        title,
+        description: raw.description ? String(raw.description).trim() : null,
+        url: raw.url || null,
+        urlToImage: raw.urlToImage || null,
+        publishedAt: publishedAt && !Number.isNaN(publishedAt.getTime()) ? publishedAt.toISOString() : null,
+        source,
+        category: typeof raw.category === 'string' && raw.category ? raw.category.toLowerCase() : null
+    };
+}
+
+/**
+ * Stable, URL-safe article ID derived from the article URL (or title when it has none)
+ * @param {Object} article - Normalized article
+ * @returns {string} Article ID, e.g. 'art_1a2b3c4d5e6f7a8b'
+ */
+function createArticleId(article) {
+    const identity = article.url || `${article.source && article.source.name}:${article.title}`;
+    return `art_${crypto.createHash('sha1').update(identity).digest('hex').substring(0, 16)}`;
+}
+
+/**
+ * Newest first; undated articles last
+ */
+function byPublishedAtDesc(a, b) {
+    return (b.publishedAt || '').localeCompare(a.publishedAt || '');
+}
+
+/**
+ * NewsAPI.org /top-headlines source
+ * @param {Object} options
+ * @param {string} options.apiKey - NewsAPI key
+ * @param {string} options.apiBase - NewsAPI base URL
+ */
+function createNewsApiSource({ apiKey, apiBase }) {
+    return {
+        name: 'newsapi',
+
+        isConfigured() {
+            return Boolean(apiKey) && !apiKey.includes('your_');
+        },
+
+        async fetchArticles({ category, country, pageSize }) {
+            const response = await axios.get(`${apiBase}/top-headlines`, {
+                params: {
+                    country,
+                    category,
+                    pageSize,
+                    apiKey
+                },
+                timeout: 10000
+            });
+
+            if (response.data.status !== 'ok') {
+                throw new Error(`News API error: ${response.data.message}`);
+            }
+
+            return response.data.articles
+                .map(article => normalizeArticle(article, 'NewsAPI'))
+                .filter(Boolean);
+        }
+    };
+}
+
+// Minimal XML helpers - enough for RSS 2.0 and Atom feeds
+
+/**
+ * Strip HTML markup from feed descriptions (which are often escaped HTML or CDATA)
+ */
+function stripHTML(value) {
+    return decodeHTMLEntities(value.replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Text of the first matching element, e.g. tagText(xml, 'title') or tagText(xml, 'dc:date')
+ */
+function tagText(xml, tagName) {
+    const escaped = tagName.replace(':', '\\:');
+    const match = new RegExp(`<${escaped}\\b[^>]*>([\\s\\S]*?)</${escaped}>`, 'i').exec(xml);
+    return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Value of an attribute on the first matching (possibly self-closing) element
+ */
+function tagAttribute(xml, tagName, attribute, filter) {
+    const escaped = tagName.replace(':', '\\:');
+    const pattern = new RegExp(`<${escaped}\\b([^>]*)/?>`, 'gi');
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        const attributes = match[1];
+        if (filter && !filter(attributes)) {
+            continue;
+        }
+        const value = new RegExp(`\\b${attribute}\\s*=\\s*["']([^"']*)["']`, 'i').exec(attributes);
+        if (value) {
+            return decodeXml(value[1]);
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document into articles
+ * @param {string} xml - Feed document
+ * @param {string} fallbackName - Source name when the feed has no title
+ * @returns {Object[]} Articles
+ */
+function parseFeed(xml, fallbackName) {
+    const isAtom = /<feed\b/i.test(xml) && !/<rss\b/i.test(xml);
+    const itemPattern = isAtom ? /<entry\b[^>]*>([\s\S]*?)<\/entry>/gi : /<item\b[^>]*>([\s\S]*?)<\/item>/gi;
+
+    // Feed title sits before the first item/entry
+    const header = xml.split(isAtom ? /<entry\b/i : /<item\b/i)[0];
+    const sourceName = tagText(header, 'title') || fallbackName;
+
+    const articles = [];
+    let match;
+    while ((match = itemPattern.exec(xml)) !== null) {
+        const item = match[1];
+        const imageFilter = attributes => /type\s*=\s*["']image\//i.test(attributes) || /medium\s*=\s*["']image/i.test(attributes);
+
+        const description = isAtom
+            ? tagText(item, 'summary') || tagText(item, 'content')
+            : tagText(item, 'description') || tagText(item, 'content:encoded');
+
+        const article = normalizeArticle({
+            title: stripHTML(tagText(item, 'title') || ''),
+            description: description ? stripHTML(description) : null,
+            url: isAtom
+                ? tagAttribute(item, 'link', 'href', attributes => !/rel\s*=/i.test(attributes) || /rel\s*=\s*["']alternate["']/i.test(attributes))
+                : tagText(item, 'link'),
+            urlToImage: tagAttribute(item, 'media:content', 'url', imageFilter) ||
+                tagAttribute(item, 'media:thumbnail', 'url') ||
+                tagAttribute(item, 'enclosure', 'url', imageFilter),
+            publishedAt: isAtom
+                ? tagText(item, 'published') || tagText(item, 'updated')
+                : tagText(item, 'pubDate') || tagText(item, 'dc:date'),
+            source: { id: null, name: sourceName }
+        }, sourceName);
+
+        if (article) {
+            articles.push(article);
+        }
+    }
+    return articles;
+}
+
+/**
+ * RSS 2.0 / Atom feed source
+ * @param {Object} options
+ * @param {Array<{url: string, category?: string}>} options.feeds - Feeds; feeds without a category serve every category
+ */
+function createFeedSource({ feeds }) {
+    return {
+        name: 'rss',
+
+        isConfigured() {
+            return feeds.length > 0;
+        },
+
+        async fetchArticles({ category, pageSize }) {
+            const selected = feeds.filter(feed => !feed.category || feed.category === category);
+
+            const results = await Promise.allSettled(selected.map(async (feed) => {
+                const response = await axios.get(feed.url, {
+                    responseType: 'text',
+                    headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+                    timeout: 10000
+                });
+                return parseFeed(response.data, new URL(feed.url).hostname);
+            }));
+
+            results
+                .filter(result => result.status === 'rejected')
+                .forEach(result => console.warn('⚠️  Feed fetch failed:', result.reason.message));
+
+            const fulfilled = results.filter(result => result.status === 'fulfilled');
+            if (selected.length > 0 && fulfilled.length === 0) {
+                throw new Error('All feeds failed to load');
+            }
+
+            // Merge feeds, dropping duplicate links
+            const seen = new Set();
+            return fulfilled
+                .flatMap(result => result.value)
+                .filter((article) => {
+                    const key = article.url || article.title;
+                    if (seen.has(key)) {
+                        return false;
+                    }
+                    seen.add(key);
+                    return true;
+                })
+                .sort(byPublishedAtDesc)
+                .slice(0, pageSize);
+        }
+    };
+}
+
+/**
+ * Parse NEWS_FEEDS, a comma separated list of feed URLs, each optionally
+ * prefixed with a category: "technology=https://example.com/tech.rss,https://example.com/all.atom"
+ * @param {string} value - NEWS_FEEDS value
+ * @returns {Array<{url: string, category?: string}>} Feeds
+ */
+function parseFeedList(value) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const match = /^([a-z]+)=(https?:\/\/.+)$/i.exec(entry);
+            return match ? { category: match[1].toLowerCase(), url: match[2] } : { url: entry };
+        });
+}
+
+/**
+ * Local JSON fixture source for offline development and tests.
+ * The file holds { "articles": [ { ..., "category": "technology", "country": "us" } ] };
+ * articles without category/country match every request, and 'general' returns every category.
+ * @param {Object} options
+ * @param {string} options.file - Fixture file path
+ */
+function createFixtureSource({ file }) {
+    return {
+        name: 'fixture',
+
+        isConfigured() {
+            return Boolean(file);
+        },
+
+        async fetchArticles({ category, country, pageSize }) {
+            const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+            return (fixture.articles || [])
+                .filter(article => !article.category || category === 'general' || article.category === category)
+                .filter(article => !article.country || article.country === country)
+                .map(article => normalizeArticle(article, 'Fixture'))
+                .filter(Boolean)
+                .sort(byPublishedAtDesc)
+                .slice(0, pageSize);
+        }
+    };
+}
+
+/**
+ * Create a lookup of news sources by name
+ * @param {Object[]} sources - News sources
+ * @param {string} defaultName - Source used when a request names none
+ */
+function createNewsSourceRegistry(sources, defaultName) {
+    const byName = new Map(sources.map(source => [source.name, source]));
+    if (!byName.has(defaultName)) {
+        throw new Error(`Unknown news source: ${defaultName}`);
+    }
+
+    return {
+        defaultName,
+
+        /**
+         * @param {string} [name] - Source name; defaults to the configured source
+         * @returns {Object|null} News source
+         */
+        get(name = defaultName) {
+            return byName.get(name) || null;
+        },
+
+        /**
+         * Source status for /health
+         */
+        getStats() {
+            return {
+                default: defaultName,
+                sources: sources.map(source => ({
+                    name: source.name,
+                    configured: source.isConfigured()
+                }))
+            };
+        }
+    };
+}
+
+module.exports = {
+    normalizeArticle,
+    createArticleId,
+    parseFeed,
+    parseFeedList,
+    createNewsApiSource,
+    createFeedSource,
+    createFixtureSource,
+    createNewsSourceRegistry
+};
@@ -0,0 +1,104 @@
+/**
+ * Podcast feed builder for TTSNewsReader
+ * Renders briefing episodes as an RSS 2.0 document with the iTunes podcast tags, so
+ * generated briefings can be subscribed to in any podcast player. The server decides
+ * which episodes go in and where their audio lives; this module only writes the XML.
+ */
+
+const { escapeXml } = require('./xml');
+
+/**
+ * Episode length as iTunes expects it (HH:MM:SS)
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(durationMs) {
+    const totalSeconds = Math.round(durationMs / 1000);
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+}
+
+/**
+ * Chapter start as shown in the show notes (M:SS, or H:MM:SS past an hour)
+ */
+function formatTimestamp(ms) {
+    const duration = formatDuration(ms);
+    return duration.startsWith('00:') ? duration.slice(3).replace(/^0(?=\d)/, '') : duration;
+}
+
+/**
+ * Show notes: the chapters with their start times, linking each article to its source
+ * @param {Object[]} chapters - Briefing chapters ({ kind, title, source?, url?, startMs })
+ * @returns {string} HTML
+ */
+function buildShowNotes(chapters) {
+    const items = chapters
+        .filter(chapter => chapter.kind === 'item')
+        .map((chapter) => {
+            const title = chapter.url
+                ? `<a href="${escapeXml(chapter.url)}">${escapeXml(chapter.title)}</a>`
+                : escapeXml(chapter.title);
+            const source = chapter.source ? ` (${escapeXml(chapter.source)})` : '';
+            return `<li>${formatTimestamp(chapter.startMs)} ${title}${source}</li>`;
+        });
+    return items.length > 0 ? `<p>In this episode:</p><ul>${items.join('')}</ul>` : '';
+}
+
+/**
+ * Render a podcast feed
+ * @param {Object} feed
+ * @param {string} feed.title - Podcast title
+ * @param {string} feed.description - Podcast description
+ * @param {string} feed.language - Locale (e.g., 'en-US')
+ * @param {string} feed.link - Website of the podcast
+ * @param {string} feed.feedUrl - Absolute URL of the feed itself
+ * @param {string} [feed.imageUrl] - Cover art (1400-3000px square)
+ * @param {string} [feed.author] - Author shown in podcast players
+ * @param {Array<Object>} feed.episodes - Newest first:
+ *   { guid, title, publishedAt: Date, durationMs, chapters, enclosure: { url, length, type } }
+ * @returns {string} RSS 2.0 XML
+ */
+function buildPodcastFeed({ title, description, language, link, feedUrl, imageUrl, author = 'TTSNewsReader', episodes }) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '<channel>',
+        `<title>${escapeXml(title)}</title>`,
+        `<link>${escapeXml(link)}</link>`,
+        `<atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+        `<description>${escapeXml(description)}</description>`,
+        `<language>${escapeXml(language.toLowerCase())}</language>`,
+        `<lastBuildDate>${(episodes[0] ? episodes[0].publishedAt : new Date()).toUTCString()}</lastBuildDate>`,
+        `<itunes:author>${escapeXml(author)}</itunes:author>`,
+        `<itunes:summary>${escapeXml(description)}</itunes:summary>`,
+        '<itunes:type>episodic</itunes:type>',
+        '<itunes:explicit>false</itunes:explicit>',
+        '<itunes:category text="News"><itunes:category text="Daily News"/></itunes:category>'
+    ];
+    if (imageUrl) {
+        lines.push(`<itunes:image href="${escapeXml(imageUrl)}"/>`);
+    }
+
+    for (const episode of episodes) {
+        const { url, length, type } = episode.enclosure;
+        lines.push(
+            '<item>',
+            `<title>${escapeXml(episode.title)}</title>`,
+            `<guid isPermaLink="false">${escapeXml(episode.guid)}</guid>`,
+            `<pubDate>${episode.publishedAt.toUTCString()}</pubDate>`,
+            `<enclosure url="${escapeXml(url)}" length="${length}" type="${escapeXml(type)}"/>`,
+            `<description>${escapeXml(buildShowNotes(episode.chapters))}</description>`,
+            `<itunes:duration>${formatDuration(episode.durationMs)}</itunes:duration>`,
+            '<itunes:episodeType>full</itunes:episodeType>',
+            '<itunes:explicit>false</itunes:explicit>',
+            '</item>'
+        );
+    }
+
+    lines.push('</channel>', '</rss>');
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildPodcastFeed
+};
@@ -0,0 +1,155 @@
+/**
+ * Personalized headline ranking for TTSNewsReader
+ * Reorders and filters candidate articles for one user from:
+ *
+ *   - category and source affinity learned from the user's engagement events
+ *     (listens, repeats and "more on this" count for, skips against; older events count less)
+ *   - explicit source preferences (preferred sources get a boost, blocked ones are removed)
+ *   - recency (newer articles score higher)
+ *   - listening history (finished articles sink, half-heard ones rise, skipped ones are removed)
+ *
+ * Scores are a weighted sum of these components, so every ranking can be explained by
+ * listing them. Ranking is a pure function of its inputs: the clock is passed in, and ties
+ * keep the source's order.
+ */
+
+// How much each engagement event says about the user's interest
+const SIGNAL_WEIGHTS = {
+    headlineListen: 1,
+    repeat: 1.5,
+    moreOnThis: 2,
+    skip: -1.5
+};
+
+// Weight of each score component
+const SCORE_WEIGHTS = {
+    category: 1,
+    source: 0.6,
+    preferredSource: 0.5,
+    recency: 1,
+    finished: -1,
+    partial: 0.3
+};
+
+const SIGNAL_HALF_LIFE_DAYS = 14;
+const RECENCY_HALF_LIFE_HOURS = 24;
+// Affinity is raw / (|raw| + AFFINITY_SATURATION): a few signals move it, many saturate it near ±1
+const AFFINITY_SATURATION = 3;
+// Sources the user skips this consistently are left out
+const SOURCE_FILTER_AFFINITY = -0.75;
+
+const round = value => Math.round(value * 10000) / 10000;
+const normalizeName = name => String(name).trim().toLowerCase();
+
+/**
+ * Learn category and source affinities from a user's events
+ * @param {Iterable<Object>} events - Engagement events ({ type, timestamp, category?, source? })
+ * @param {number} now - Current time in milliseconds
+ * @returns {{categories: Map<string, number>, sources: Map<string, number>}} Affinities in (-1, 1), keyed by lower-case name
+ */
+function buildAffinities(events, now) {
+    const raw = { categories: new Map(), sources: new Map() };
+    const add = (map, name, value) => {
+        if (name) {
+            const key = normalizeName(name);
+            map.set(key, (map.get(key) || 0) + value);
+        }
+    };
+
+    for (const event of events) {
+        const weight = SIGNAL_WEIGHTS[event.type];
+        if (!weight) {
+            continue;
+        }
+        const ageDays = Math.max(0, now - Date.parse(event.timestamp)) / 86400000;
+        const value = weight * Math.pow(0.5, ageDays / SIGNAL_HALF_LIFE_DAYS);
+        add(raw.categories, event.category, value);
+        add(raw.sources, event.source, value);
+    }
+
+    const saturate = map => new Map(Array.from(map, ([name, value]) => [name, round(value / (Math.abs(value) + AFFINITY_SATURATION))]));
+    return { categories: saturate(raw.categories), sources: saturate(raw.sources) };
+}
+
+/**
+ * Rank candidate articles for a user
+ * @param {Object[]} candidates - In source order: { id, category?, source?, publishedAt? }
+ * @param {Object} context
+ * @param {Object} context.affinities - From buildAffinities
+ * @param {Function} [context.getHistory] - Article ID -> history item ({ status, positionMs }) or null
+ * @param {string[]} [context.preferredSources] - Source names to boost
+ * @param {string[]} [context.blockedSources] - Source names to remove
+ * @param {number} context.now - Current time in milliseconds
+ * @returns {{ranked: Object[], filtered: Object[]}}
+ *   ranked: best first, { candidate, score, components, reasons }; filtered: { candidate, reason }
+ */
+function rankArticles(candidates, { affinities, getHistory = () => null, preferredSources = [], blockedSources = [], now }) {
+    const preferred = new Set(preferredSources.map(normalizeName));
+    const blocked = new Set(blockedSources.map(normalizeName));
+    const ranked = [];
+    const filtered = [];
+
+    candidates.forEach((candidate, index) => {
+        const source = candidate.source ? normalizeName(candidate.source) : null;
+        const history = getHistory(candidate.id);
+
+        if (source && blocked.has(source)) {
+            filtered.push({ candidate, reason: `blocked source ${candidate.source}` });
+            return;
+        }
+        if (history && history.status === 'skipped') {
+            filtered.push({ candidate, reason: 'skipped before' });
+            return;
+        }
+        const sourceAffinity = source ? affinities.sources.get(source) || 0 : 0;
+        if (sourceAffinity <= SOURCE_FILTER_AFFINITY && !preferred.has(source)) {
+            filtered.push({ candidate, reason: `mostly skipped from ${candidate.source}` });
+            return;
+        }
+
+        const categoryAffinity = candidate.category ? affinities.categories.get(normalizeName(candidate.category)) || 0 : 0;
+        const publishedAt = candidate.publishedAt ? Date.parse(candidate.publishedAt) : NaN;
+        const ageHours = Number.isFinite(publishedAt) ? Math.max(0, now - publishedAt) / 3600000 : null;
+        const recency = ageHours === null ? 0 : Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+
+        const components = {
+            category: round(SCORE_WEIGHTS.category * categoryAffinity),
+            source: round(SCORE_WEIGHTS.source * sourceAffinity + (preferred.has(source) ? SCORE_WEIGHTS.preferredSource : 0)),
+            recency: round(SCORE_WEIGHTS.recency * recency),
+            history: history ? (history.status === 'finished' ? SCORE_WEIGHTS.finished : SCORE_WEIGHTS.partial) : 0
+        };
+
+        const reasons = [];
+        if (components.category !== 0) {
+            reasons.push(`${categoryAffinity > 0 ? 'engages with' : 'skips'} ${candidate.category} (${components.category > 0 ? '+' : ''}${components.category})`);
+        }
+        if (preferred.has(source)) {
+            reasons.push(`preferred source ${candidate.source} (+${SCORE_WEIGHTS.preferredSource})`);
+        }
+        if (sourceAffinity !== 0) {
+            reasons.push(`${sourceAffinity > 0 ? 'engages with' : 'skips'} ${candidate.source} (${sourceAffinity > 0 ? '+' : ''}${round(SCORE_WEIGHTS.source * sourceAffinity)})`);
+        }
+        reasons.push(ageHours === null ? 'no publish date (+0)' : `published ${Math.round(ageHours)}h ago (+${components.recency})`);
+        if (history) {
+            reasons.push(history.status === 'finished'
+                ? `already heard (${SCORE_WEIGHTS.finished})`
+                : `partly heard, resume at ${Math.round(history.positionMs / 1000)}s (+${SCORE_WEIGHTS.partial})`);
+        }
+
+        const score = round(components.category + components.source + components.recency + components.history);
+        ranked.push({ candidate, index, score, components, reasons });
+    });
+
+    ranked.sort((a, b) => b.score - a.score || a.index - b.index);
+    return {
+        ranked: ranked.map(({ index, ...entry }) => entry),
+        filtered
+    };
+}
+
+module.exports = {
+    SIGNAL_WEIGHTS,
+    SCORE_WEIGHTS,
+    buildAffinities,
+    rankArticles
+};
@@ -9,8 +9,50 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const axios = require('axios');
-const { NodeFactory, GraphBuilder, ComponentFactory } = require('@inworld/runtime/graph');
-const { TTSOutputStreamIterator } = require('@inworld/runtime/common');
+const crypto = require('crypto');
+const path = require('path');
+const { createTranslator } = require('./translators');
+const { createTTSProviderRegistry, createProviders } = require('./tts-providers');
+const {
+    convertAudioDataToWAV,
+    decodeWAV,
+    stitchSegments
+} = require('./audio');
+const { createAudioCache } = require('./audio-cache');
+const { createSynthesisKey, createInflightRegistry, normalizeSynthesisText } = require('./synthesis-key');
+const { SYNTHESIS_PARAMETERS, parseSynthesisOptions } = require('./synthesis-options');
+const { sendWithRanges, createETag } = require('./http-range');
+const { createJobQueue } = require('./job-queue');
+const { openEventStream } = require('./sse');
+const { STREAM_FORMATS, STREAM_FRAMINGS, createStreamFramer } = require('./stream-framing');
+const {
+    createNewsApiSource,
+    createFeedSource,
+    createFixtureSource,
+    createNewsSourceRegistry,
+    createArticleId,
+    parseFeedList
+} = require('./news-sources');
+const { fetchArticleText } = require('./article-extractor');
+const { chunkText, endsSentence } = require('./text-chunker');
+const { parseSSML } = require('./ssml');
+const { cleanNewsText, expandForSpeech } = require('./news-normalizer');
+const { FORMATS: AUDIO_FORMATS, negotiateFormat, contentTypeFor, encodeAudio, isEncoderAvailable } = require('./audio-encoder');
+const { createVoiceCatalog, parseVoiceDefaults, getPreviewText } = require('./voice-catalog');
+const { buildTimingTrack, toWebVTT } = require('./timing');
+const { createJsonStore } = require('./json-store');
+const { buildPodcastFeed } = require('./podcast-feed');
+const { createLexicon, canonicalLanguage, parsePLS, toPLS } = require('./lexicon');
+const { createUserProfiles, isValidUserId, isValidHistoryKey, HISTORY_STATUSES } = require('./user-profiles');
+const { GROUP_FIELDS, INTERVALS, validateEvent, createEventStore, aggregateEngagement } = require('./analytics');
+const { buildAffinities, rankArticles } = require('./ranking');
+const {
+    hasScript,
+    selectBriefingItems,
+    planBriefing,
+    localDateTime,
+    isScheduleDue
+} = require('./briefing');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -28,6 +70,19 @@ const NEWS_API_BASE = 'https://newsapi.org/v2';
 // Inworld SDK instance
 let inworldClient = null;
 
+// Audio cache configuration (AUDIO_CACHE_DIR enables the on-disk backend)
+const audioCache = createAudioCache({
+    maxBytes: parseInt(process.env.AUDIO_CACHE_MAX_BYTES, 10) || 256 * 1024 * 1024,
+    defaultTtlMs: (parseInt(process.env.AUDIO_CACHE_TTL_SECONDS, 10) || 3600) * 1000,
+    directory: process.env.AUDIO_CACHE_DIR
+});
+
+// Background synthesis queue for /news-audio
+const audioJobs = createJobQueue({
+    concurrency: parseInt(process.env.NEWS_AUDIO_CONCURRENCY, 10) || 3,
+    retentionMs: 60 * 60 * 1000
+});
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -43,23 +98,6 @@ app.use((req, res, next) => {
     next();
 });
 
-// Language to voice mapping using actual Inworld voice IDs from documentation
-const LANGUAGE_VOICE_MAP = {
-    'en-US': 'Hades',      // English (US) - Female voice
-    'en-GB': 'Ronald',        // English (UK) - Male voice
-    'es-ES': 'Ronald',      // Spanish - Use Ashley for now
-    'fr-FR': 'Ronald',      // French - Use Ashley for now
-    'de-DE': 'Ronald',      // German - Use Ashley for now
-    'it-IT': 'Ronald',      // Italian - Use Ashley for now
-    'pt-BR': 'Ronald',      // Portuguese (Brazil) - Use Ashley for now
-    'ja-JP': 'Ronald',      // Japanese - Use Ashley for now
-    'ko-KR': 'Ashley',      // Korean - Use Ashley for now
-    'zh-CN': 'Ashley',      // Chinese (Mandarin) - Use Ashley for now
-    'ru-RU': 'Dennis',      // Russian - Use Ashley for now
-    'ar-SA': 'Dennis',      // Arabic - Use Ashley for now
-    'hi-IN': 'Hades'       // Hindi - Use Ashley for now
-};
-
 // Language mapping for translation
 const LANGUAGE_NAMES = {
     'en-US': 'English',
@@ -122,36 +160,103 @@ function checkNewsApiConfig() {
 }
 
 /**
- * Fetch news articles from News API
+ * News sources: NewsAPI top headlines, RSS/Atom feeds (NEWS_FEEDS) and a local
+ * JSON fixture (NEWS_FIXTURE_FILE). NEWS_SOURCE picks the default one.
+ */
+const newsSources = createNewsSourceRegistry([
+    createNewsApiSource({ apiKey: NEWS_API_KEY, apiBase: NEWS_API_BASE }),
+    createFeedSource({ feeds: parseFeedList(process.env.NEWS_FEEDS) }),
+    createFixtureSource({ file: process.env.NEWS_FIXTURE_FILE || path.join(__dirname, 'fixtures', 'news.json') })
+], process.env.NEWS_SOURCE || 'newsapi');
+
+/**
+ * Fetch news articles from a news source
+ * @param {string} category - News category
+ * @param {string} country - Two letter country code
+ * @param {number} pageSize - Maximum number of articles
+ * @param {string} [sourceName] - News source; defaults to NEWS_SOURCE
+ * @returns {Promise<Object[]>} Normalized articles, each with a category
  */
-async function fetchNewsArticles(category = 'general', country = 'us', pageSize = 20) {
+async function fetchNewsArticles(category = 'general', country = 'us', pageSize = 20, sourceName) {
     try {
-        if (!checkNewsApiConfig()) {
-            throw new Error('News API not configured');
+        const source = newsSources.get(sourceName);
+        if (!source) {
+            throw new Error(`Unknown news source: ${sourceName}`);
         }
-
-        const response = await axios.get(`${NEWS_API_BASE}/top-headlines`, {
-            params: {
-                country,
-                category,
-                pageSize,
-                apiKey: NEWS_API_KEY
-            },
-            timeout: 10000
-        });
-
-        if (response.data.status === 'ok') {
-            console.log(`📰 Fetched ${response.data.articles.length} news articles`);
-            return response.data.articles;
-        } else {
-            throw new Error(`News API error: ${response.data.message}`);
+        if (!source.isConfigured()) {
+            throw new Error(`News source "${source.name}" not configured`);
         }
+
+        const articles = await source.fetchArticles({ category, country, pageSize });
+        console.log(`📰 Fetched ${articles.length} news articles from ${source.name}`);
+        // Sources that don't categorize articles themselves get the category they were fetched for
+        return articles.map(article => (article.category ? article : { ...article, category }));
     } catch (error) {
         console.error('❌ Failed to fetch news:', error.message);
         throw error;
     }
 }
 
+// Articles served recently, by article ID, so /articles/:id/full knows which URL to read
+const KNOWN_ARTICLES_LIMIT = 2000;
+const knownArticles = new Map();
+
+/**
+ * Remember an article for later full-text requests (oldest entries are dropped first)
+ * @param {string} articleId - Article ID
+ * @param {Object} article - Normalized article
+ */
+function rememberArticle(articleId, article) {
+    knownArticles.delete(articleId);
+    knownArticles.set(articleId, article);
+    if (knownArticles.size > KNOWN_ARTICLES_LIMIT) {
+        knownArticles.delete(knownArticles.keys().next().value);
+    }
+}
+
+// Extracted article text, stored as JSON in its own bounded cache
+const articleTextCache = createAudioCache({
+    maxBytes: 32 * 1024 * 1024,
+    defaultTtlMs: 6 * 60 * 60 * 1000
+});
+
+/**
+ * Fetch and extract the readable body of a known article, using the cache when possible
+ * @param {string} articleId - Article ID
+ * @returns {Promise<{article: Object, extracted: Object, cached: boolean}|null>} null for unknown articles
+ */
+async function getFullArticle(articleId) {
+    const article = knownArticles.get(articleId);
+    if (!article) {
+        return null;
+    }
+
+    const cached = await articleTextCache.get(articleId);
+    if (cached) {
+        return { article, extracted: JSON.parse(cached.audio.toString('utf8')), cached: true };
+    }
+
+    if (!article.url) {
+        throw new Error('Article has no URL to read');
+    }
+
+    console.log(`📖 Extracting full text for ${article.url}`);
+    const { title, byline, siteName, paragraphs } = await fetchArticleText(article.url);
+    const wordCount = paragraphs.reduce((sum, paragraph) => sum + paragraph.split(/\s+/).filter(Boolean).length, 0);
+    const extracted = {
+        title: title || article.title,
+        byline,
+        siteName,
+        paragraphs,
+        wordCount,
+        // ~150 spoken words per minute
+        estimatedListeningSeconds: Math.round(wordCount / 150 * 60)
+    };
+
+    await articleTextCache.set(articleId, Buffer.from(JSON.stringify(extracted)), { contentType: 'application/json' });
+    return { article, extracted, cached: false };
+}
+
 /**
  * Check if language requires translation (non-English)
  */
@@ -160,250 +265,314 @@ function requiresTranslation(language) {
 }
 
 /**
- * Translate text using Inworld LLM node executor pattern
+ * Translator used for non-English output.
+ * TRANSLATOR selects the backend: 'inworld' (default), 'http' (local model via
+ * TRANSLATOR_URL) or 'stub' (deterministic, for offline tests).
+ */
+const translator = createTranslator({
+    type: process.env.TRANSLATOR || 'inworld',
+    apiKey: process.env.INWORLD_API_KEY,
+    url: process.env.TRANSLATOR_URL,
+    model: process.env.TRANSLATOR_MODEL,
+    llmConfig: LLM_CONFIG,
+    languageNames: LANGUAGE_NAMES
+});
+
+/**
+ * Translate text using the configured translator (Inworld LLM graph by default)
  * @param {string} text - Text to translate
  * @param {string} targetLanguage - Target language code (e.g., 'ko-KR')
- * @returns {string} Translated text
+ * @returns {{text: string, status: string, translator: string, reason?: string}}
+ *          status is 'translated', 'not_required' or 'fallback' (original text kept)
  */
 async function translateTextWithLLM(text, targetLanguage) {
-    try {
-        if (!requiresTranslation(targetLanguage)) {
-            return text; // No translation needed for English
-        }
+    if (!requiresTranslation(targetLanguage)) {
+        return { text, status: 'not_required', translator: translator.name }; // No translation needed for English
+    }
 
-        if (!process.env.INWORLD_API_KEY) {
-            console.warn('⚠️  Inworld API key not configured, skipping translation');
-            return text;
-        }
+    if (!translator.isConfigured()) {
+        console.warn(`⚠️  Translator "${translator.name}" not configured, skipping translation`);
+        return { text, status: 'fallback', translator: translator.name, reason: 'translator_not_configured' };
+    }
 
+    try {
         const targetLanguageName = LANGUAGE_NAMES[targetLanguage] || targetLanguage;
-        console.log(`🌐 Translating text to ${targetLanguageName} using LLM node executor...`);
-
-        // Create LLM node for translation using node executor pattern
-        const llmNode = NodeFactory.createRemoteLLMChatNode({
-            id: `llm_translation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            llmConfig: {
-                provider: LLM_CONFIG.provider,
-                modelName: LLM_CONFIG.modelName,
-                apiKey: process.env.INWORLD_API_KEY,
-                stream: false,
-                textGenerationConfig: LLM_CONFIG
-            }
-        });
-
-        // For now, skip LLM translation and return original text
-        // TODO: Implement proper LLM translation when SDK is properly configured
-        console.log(`⚠️  LLM translation not yet implemented, using original text`);
-        return text;
+        console.log(`🌐 Translating text to ${targetLanguageName} using ${translator.name}...`);
 
+        const translatedText = await translator.translate(text, targetLanguage);
+        return { text: translatedText, status: 'translated', translator: translator.name };
     } catch (error) {
         console.error('❌ LLM translation failed:', error.message);
         console.warn('⚠️  Using original text due to translation failure');
-        return text; // Fallback to original text
+        return { text, status: 'fallback', translator: translator.name, reason: error.message };
     }
 }
 
+// Synthesis defaults passed to every TTS provider
+const DEFAULT_SYNTHESIS_OPTIONS = {
+    modelId: DEFAULT_MODEL,
+    sampleRate: 22050,
+    pitch: 0,
+    speakingRate: 1,
+    temperature: 0.8
+};
+
+// Long text is split into chunks that end on sentence boundaries, synthesized a few
+// at a time and stitched back together; the sentence pause goes between chunks within
+// a paragraph and the paragraph pause after a paragraph's last chunk. The stitched audio is
+// held in memory, so its size is bounded too (about 50 minutes of 22.05 kHz speech by default)
+const MAX_TTS_TEXT_LENGTH = parseInt(process.env.TTS_MAX_TEXT_LENGTH, 10) || 100000;
+const MAX_STITCHED_AUDIO_BYTES = parseInt(process.env.TTS_MAX_AUDIO_BYTES, 10) || 128 * 1024 * 1024;
+const TTS_CHUNK_CONCURRENCY = parseInt(process.env.TTS_CHUNK_CONCURRENCY, 10) || 3;
+const DEFAULT_CHUNKING_OPTIONS = {
+    maxChunkChars: parseInt(process.env.TTS_CHUNK_MAX_CHARS, 10) || 400,
+    sentencePauseMs: parseInt(process.env.TTS_SENTENCE_PAUSE_MS, 10) || 250,
+    paragraphPauseMs: parseInt(process.env.TTS_PARAGRAPH_PAUSE_MS, 10) || 700
+};
+
 /**
- * Convert Float32Array audio data to WAV buffer
- * @param {number[]} audioData - Array of audio samples
- * @param {number} sampleRate - Sample rate (default 22050)
- * @returns {Buffer} WAV audio buffer
+ * TTS providers, tried in order until one succeeds.
+ * TTS_PROVIDERS overrides the order (e.g., 'fake' for deterministic tests).
  */
-function convertAudioDataToWAV(audioData, sampleRate = 22050) {
-    const numChannels = 1; // Mono
-    const bitsPerSample = 16;
-    const byteRate = sampleRate * numChannels * bitsPerSample / 8;
-    const blockAlign = numChannels * bitsPerSample / 8;
-    const dataSize = audioData.length * 2; // 16-bit samples
-    const chunkSize = 36 + dataSize;
+const ttsProviders = createTTSProviderRegistry(createProviders(
+    (process.env.TTS_PROVIDERS || 'inworld-graph,inworld-rest,test-tone')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean),
+    {
+        apiKey: process.env.INWORLD_API_KEY,
+        apiBase: INWORLD_API_BASE
+    }
+));
 
-    // Create WAV header
-    const header = Buffer.alloc(44);
-    let offset = 0;
+/**
+ * Voices requests may ask for, with per-locale defaults (TTS_DEFAULT_VOICES="es-ES=Diego,...")
+ */
+const voiceCatalog = createVoiceCatalog({
+    apiKey: process.env.INWORLD_API_KEY,
+    apiBase: INWORLD_API_BASE,
+    defaults: parseVoiceDefaults(process.env.TTS_DEFAULT_VOICES)
+});
 
-    // RIFF header
-    header.write('RIFF', offset); offset += 4;
-    header.writeUInt32LE(chunkSize, offset); offset += 4;
-    header.write('WAVE', offset); offset += 4;
+/**
+ * Pronunciation lexicon, applied to each piece of text just before it is handed to a TTS provider
+ */
+const lexicon = createLexicon({
+    store: createJsonStore({
+        directory: process.env.DATA_DIR,
+        name: 'lexicon',
+        initial: () => ({ entries: [] })
+    }),
+    resolveVoice: (id) => {
+        const voice = voiceCatalog.get(id);
+        return voice ? voice.id : null;
+    }
+});
 
-    // fmt chunk
-    header.write('fmt ', offset); offset += 4;
-    header.writeUInt32LE(16, offset); offset += 4; // fmt chunk size
-    header.writeUInt16LE(1, offset); offset += 2; // audio format (PCM)
-    header.writeUInt16LE(numChannels, offset); offset += 2;
-    header.writeUInt32LE(sampleRate, offset); offset += 4;
-    header.writeUInt32LE(byteRate, offset); offset += 4;
-    header.writeUInt16LE(blockAlign, offset); offset += 2;
-    header.writeUInt16LE(bitsPerSample, offset); offset += 2;
+/**
+ * Run an async mapper over items with at most `limit` running at once, keeping order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
 
-    // data chunk
-    header.write('data', offset); offset += 4;
-    header.writeUInt32LE(dataSize, offset);
+const SYNTHESIS_OPTION_NAMES = Object.keys(DEFAULT_SYNTHESIS_OPTIONS);
 
-    // Convert Float32Array to 16-bit PCM
-    const pcmData = Buffer.alloc(dataSize);
-    for (let i = 0; i < audioData.length; i++) {
-        // Convert float (-1 to 1) to 16-bit signed integer
-        const sample = Math.max(-1, Math.min(1, audioData[i]));
-        const intSample = Math.floor(sample * 32767);
-        pcmData.writeInt16LE(intSample, i * 2);
+/**
+ * Split synthesis overrides into provider options and chunking options
+ * @param {Object} options - Overrides from parseSynthesisOptions
+ * @param {string} language - Language code
+ */
+function resolveSynthesisOptions(options, language) {
+    const synthesis = { ...DEFAULT_SYNTHESIS_OPTIONS, language };
+    const chunking = { ...DEFAULT_CHUNKING_OPTIONS };
+    for (const [name, value] of Object.entries(options)) {
+        if (SYNTHESIS_OPTION_NAMES.includes(name)) {
+            synthesis[name] = value;
+        } else if (name in chunking) {
+            chunking[name] = value;
+        }
     }
+    return { synthesis, chunking };
+}
 
-    return Buffer.concat([header, pcmData]);
+/**
+ * Pause inserted after a chunk: paragraph pause at paragraph ends, sentence pause otherwise
+ */
+function pauseAfterChunk(chunk, chunking) {
+    return chunk.endsParagraph ? chunking.paragraphPauseMs : chunking.sentencePauseMs;
 }
 
+// Silence from explicit <break>s, capped per gap and per document so that a body of
+// nothing but breaks cannot make the stitched audio arbitrarily long
+const MAX_BREAK_GAP_MS = 10000;
+const MAX_BREAK_TOTAL_MS = 60000;
+
 /**
- * Generate TTS audio using Inworld graph executor structure (node_tts pattern)
- * @param {string} text - Text to convert to speech
+ * Turn text (or parsed SSML segments) into synthesis units: one chunk of text with its
+ * prosody and the silence that follows it. Explicit <break>s replace the natural pause
+ * after the preceding chunk; a leading break becomes a unit without text.
+ * @param {Object[]} segments - Segments from parseSSML (a plain string is one text segment)
+ * @param {string} language - Language code
+ * @param {Object} chunking - Chunking options (maxChunkChars, sentencePauseMs, paragraphPauseMs)
+ * @returns {Array<{text: string|null, pitch: number, speakingRate: number, pauseAfterMs: number}>}
+ */
+function planSynthesisUnits(segments, language, chunking) {
+    const units = [];
+    let explicitBreak = false;
+    let breakBudgetMs = MAX_BREAK_TOTAL_MS;
+
+    for (const segment of segments) {
+        if (segment.type === 'break') {
+            let last = units[units.length - 1];
+            if (!last) {
+                last = { text: null, pitch: 0, speakingRate: 1, pauseAfterMs: 0 };
+                units.push(last);
+            }
+            if (segment.ms !== undefined) {
+                // Consecutive breaks add up, to at most MAX_BREAK_GAP_MS
+                const previousMs = explicitBreak ? last.pauseAfterMs : 0;
+                const addedMs = Math.min(segment.ms, MAX_BREAK_GAP_MS - previousMs, breakBudgetMs);
+                last.pauseAfterMs = previousMs + Math.max(0, addedMs);
+                breakBudgetMs -= Math.max(0, addedMs);
+                explicitBreak = true;
+            } else if (!explicitBreak) {
+                const pauseMs = segment.kind === 'paragraph' ? chunking.paragraphPauseMs : chunking.sentencePauseMs;
+                last.pauseAfterMs = Math.max(last.pauseAfterMs, pauseMs);
+            }
+            continue;
+        }
+
+        const chunks = chunkText(segment.text, { language, maxChars: chunking.maxChunkChars });
+        chunks.forEach((chunk, index) => {
+            // A segment may end mid-sentence where only the prosody changes
+            const pauseAfterMs = index === chunks.length - 1
+                ? (endsSentence(chunk.text, language) ? chunking.sentencePauseMs : 0)
+                : pauseAfterChunk(chunk, chunking);
+            units.push({ text: chunk.text, pitch: segment.pitch, speakingRate: segment.speakingRate, pauseAfterMs });
+        });
+        explicitBreak = false;
+    }
+    return units;
+}
+
+/**
+ * Generate TTS audio through the configured provider chain.
+ * Text longer than one chunk, and SSML, is synthesized unit by unit (bounded
+ * parallelism) and stitched into a single WAV. Each unit's place in the result is
+ * recorded as a sentence/word timing track (null for audio a provider returned encoded).
+ * @param {string} text - Text (or SSML markup) to convert to speech
  * @param {string} language - Language code (e.g., 'en-US')
  * @param {string} voice - Voice identifier
- * @returns {Buffer} Audio data as buffer
+ * @param {Object} [options] - textType ('text' | 'ssml') plus overrides from parseSynthesisOptions
+ * @returns {Promise<{audio: Buffer, contentType: string, provider: string, warnings: string[], timing: Object|null}>} Audio, the provider(s) that served it, SSML degradation warnings and the timing track
  */
-async function generateTTSAudio(text, language = 'en-US', voice = 'default') {
+async function generateTTSAudio(text, language = 'en-US', voice = 'default', options = {}) {
     try {
-        console.log(`🎤 Generating TTS using graph executor for text: "${text.substring(0, 50)}..."`);
+        console.log(`🎤 Generating TTS for text: "${text.substring(0, 50)}..."`);
         console.log(`🌍 Language: ${language}, Voice: ${voice}`);
 
-        if (!process.env.INWORLD_API_KEY) {
-            console.warn('⚠️  Inworld API key not configured, using fallback');
-            return generateTestAudio(text);
-        }
-
+        const { textType = 'text', ...overrides } = options;
         const voiceName = getVoiceForLanguage(language, voice);
-        console.log(`📤 Creating TTS graph executor (Voice: ${voiceName})...`);
-        
-        try {
-            // Create TTS component following node_tts template pattern
-            const ttsComponent = ComponentFactory.createRemoteTTSComponent({
-                id: `tts_component_${Date.now()}`,
-                apiKey: process.env.INWORLD_API_KEY,
-                synthesisConfig: {
-                    type: 'inworld',
-                    config: {
-                        modelId: DEFAULT_MODEL,
-                        postprocessing: {
-                            sampleRate: 22050,
-                        },
-                        inference: {
-                            pitch: 0,
-                            speakingRate: 1,
-                            temperature: 0.8,
-                        },
-                    },
-                },
-            });
-
-            // Create TTS node that will convert text to speech
-            const ttsNode = NodeFactory.createRemoteTTSNode({
-                id: `tts_node_${Date.now()}`,
-                ttsComponentId: ttsComponent.id,
-                voice: {
-                    speakerId: voiceName,
-                },
-            });
-
-            // Create input and output proxy nodes for the graph
-            const inputProxyNode = NodeFactory.createProxyNode({
-                id: `input_${Date.now()}`,
-                reportToClient: false,
-            });
-
-            const outputProxyNode = NodeFactory.createProxyNode({
-                id: `output_${Date.now()}`,
-                reportToClient: false,
-            });
-
-            // Build the graph: input -> TTS -> output
-            const executor = new GraphBuilder(`tts_graph_${Date.now()}`)
-                .addComponent(ttsComponent)        // Add TTS component to the graph
-                .addNode(inputProxyNode)           // Add input node
-                .addNode(ttsNode)                  // Add TTS node
-                .addNode(outputProxyNode)          // Add output node
-                .addEdge(inputProxyNode, ttsNode)  // Connect input to TTS
-                .addEdge(ttsNode, outputProxyNode) // Connect TTS to output
-                .setStartNode(inputProxyNode)      // Set input as start node
-                .setEndNode(outputProxyNode)       // Set output as end node
-                .getExecutor();                    // Get the executor
-
-            console.log(`🎵 Executing TTS graph for ${text.length} characters...`);
-
-            // Execute the graph with the text input
-            const outputStream = await executor.execute(text, `execution_${Date.now()}`);
-            
-            // Get TTS stream from the output
-            const ttsResult = await outputStream.next();
-            const ttsStream = ttsResult.data;
-
-            let allAudioData = [];
-            let resultCount = 0;
-            let initialText = '';
-
-            // Process audio chunks from the TTS stream
-            let chunk = await ttsStream.next();
-            while (!chunk.done) {
-                if (chunk.text) {
-                    initialText += chunk.text;
-                }
-                if (chunk.audio && chunk.audio.data) {
-                    allAudioData = allAudioData.concat(Array.from(chunk.audio.data));
-                }
-                resultCount++;
-                chunk = await ttsStream.next();
-            }
+        const { synthesis: synthesisOptions, chunking } = resolveSynthesisOptions(overrides, language);
+        // Timing and captions keep the original text; only the provider sees the lexicon's rewrites
+        const spoken = value => lexicon.apply(value, language, voiceName).text;
+
+        const parsed = textType === 'ssml'
+            ? parseSSML(text, { language })
+            : { segments: [{ type: 'text', text, pitch: 0, speakingRate: 1 }], warnings: [] };
+        const units = planSynthesisUnits(parsed.segments, language, chunking);
+        const warnings = parsed.warnings.slice();
+
+        if (units.length === 0) {
+            throw new Error('Nothing to synthesize');
+        }
 
-            console.log(`✅ TTS graph completed - Result count: ${resultCount}`);
-            console.log(`📊 Generated audio for text: "${initialText.substring(0, 50)}..."`);
+        if (textType === 'text' && units.length === 1) {
+            const result = await ttsProviders.synthesize(spoken(text), voiceName, synthesisOptions);
+
+            // Providers return either PCM samples or already encoded audio
+            const audio = result.samples
+                ? convertAudioDataToWAV(result.samples, result.sampleRate)
+                : result.audio;
+            const contentType = result.samples ? 'audio/wav' : result.contentType;
+            const durationMs = result.samples ? result.samples.length / result.sampleRate * 1000 : 0;
+            const timing = result.samples
+                ? buildTimingTrack([{ text, offsetMs: 0, durationMs, words: result.words, spans: result.spans }], durationMs, language)
+                : null;
+
+            console.log(`✅ TTS served by ${result.provider} (${audio.length} bytes)`);
+            return { audio, contentType, provider: result.provider, warnings, timing };
+        }
 
-            // Clean up graph resources
-            executor.closeExecution(outputStream);
-            executor.stopExecutor();
-            executor.cleanupAllExecutions();
-            executor.destroy();
+        // 16-bit output bytes per second of audio; pauses are known before synthesis starts
+        const bytesPerSecond = synthesisOptions.sampleRate * 2;
+        let stitchedBytes = units.reduce((sum, unit) => sum + unit.pauseAfterMs / 1000 * bytesPerSecond, 0);
 
-            if (allAudioData.length > 0) {
-                // Convert Float32Array audio data to WAV buffer
-                const audioBuffer = convertAudioDataToWAV(allAudioData, 22050);
-                console.log(`✅ TTS graph executor completed successfully (${audioBuffer.length} bytes)`);
-                return audioBuffer;
-            } else {
-                console.warn('⚠️  TTS graph returned empty audio data');
-                throw new Error('No audio content from TTS graph');
+        console.log(`✂️  Synthesizing ${units.length} chunks (${TTS_CHUNK_CONCURRENCY} at a time)`);
+        const results = await mapWithConcurrency(units, TTS_CHUNK_CONCURRENCY, async (unit) => {
+            if (unit.text === null) {
+                return { samples: new Float32Array(0), sampleRate: synthesisOptions.sampleRate, provider: null };
             }
+            const result = await ttsProviders.synthesize(spoken(unit.text), voiceName, {
+                ...synthesisOptions,
+                // SSML prosody is relative to the request's settings
+                pitch: synthesisOptions.pitch + unit.pitch,
+                speakingRate: synthesisOptions.speakingRate * unit.speakingRate
+            });
 
-        } catch (graphError) {
-            console.warn('⚠️  TTS graph executor failed:', graphError.message);
-            
-            // Fallback to REST API if graph executor fails
-            try {
-                console.log('🔄 Trying REST API fallback...');
-                const response = await axios.post(
-                    `${INWORLD_API_BASE}/tts/v1/voice`,
-                    {
-                        text: text,
-                        voiceId: voiceName,
-                        modelId: DEFAULT_MODEL
-                    },
-                    {
-                        headers: {
-                            'Authorization': `Basic ${process.env.INWORLD_API_KEY}`,
-                            'Content-Type': 'application/json'
-                        },
-                        timeout: 30000
-                    }
-                );
-                
-                if (response.data && response.data.audioContent) {
-                    const audioBuffer = Buffer.from(response.data.audioContent, 'base64');
-                    console.log(`✅ REST API fallback succeeded (${audioBuffer.length} bytes)`);
-                    return audioBuffer;
+            // Encoded chunks are decoded as they arrive, so oversized audio stops the synthesis early
+            let decoded = result;
+            if (!result.samples) {
+                if (result.contentType !== 'audio/wav') {
+                    throw new Error(`Provider ${result.provider} returned ${result.contentType}, which cannot be stitched`);
                 }
-            } catch (restError) {
-                console.warn('⚠️  REST API fallback also failed:', restError.message);
+                decoded = { ...result, ...decodeWAV(result.audio, synthesisOptions.sampleRate) };
             }
-            
-            console.warn('🧪 Using test audio fallback...');
-            return generateTestAudio(text);
-        }
+            stitchedBytes += decoded.samples.length / decoded.sampleRate * bytesPerSecond;
+            if (stitchedBytes > MAX_STITCHED_AUDIO_BYTES) {
+                const error = new Error(`Audio is too long (max ${Math.floor(MAX_STITCHED_AUDIO_BYTES / bytesPerSecond)} seconds at ${synthesisOptions.sampleRate} Hz)`);
+                error.status = 413;
+                throw error;
+            }
+            return decoded;
+        });
+
+        const timedUnits = [];
+        let offsetMs = 0;
+        const segments = results.map((result, index) => {
+            const unit = units[index];
+            if (result.prosodyIgnored) {
+                warnings.push(`prosody ignored by ${result.provider}`);
+            }
+
+            const durationMs = result.samples.length / result.sampleRate * 1000;
+            timedUnits.push({ text: unit.text, offsetMs, durationMs, words: result.words, spans: result.spans });
+            offsetMs += durationMs + (index < units.length - 1 ? unit.pauseAfterMs : 0);
+            return {
+                samples: result.samples,
+                sampleRate: result.sampleRate,
+                pauseAfterMs: unit.pauseAfterMs
+            };
+        });
+
+        const stitched = stitchSegments(segments);
+        const audio = convertAudioDataToWAV(stitched.samples, stitched.sampleRate);
+        const provider = Array.from(new Set(results.map(result => result.provider).filter(Boolean))).join(',');
+
+        const timing = buildTimingTrack(timedUnits, stitched.samples.length / stitched.sampleRate * 1000, language);
+
+        console.log(`✅ TTS served by ${provider} (${units.length} chunks, ${audio.length} bytes)`);
+        return { audio, contentType: 'audio/wav', provider, warnings: Array.from(new Set(warnings)), timing };
 
     } catch (error) {
         console.error('❌ TTS generation failed:', error);
@@ -411,46 +580,200 @@ async function generateTTSAudio(text, language = 'en-US', voice = 'default') {
     }
 }
 
+// Syntheses currently running, keyed by audio ID, so concurrent requests share one
+const inflightSyntheses = createInflightRegistry();
+const synthesisStats = { synthesized: 0, cacheHits: 0, coalesced: 0 };
+
 /**
- * Generate a simple test audio file for development/testing
- * @param {string} text - Text that would be converted to speech
- * @returns {Buffer} Simple WAV audio buffer
+ * Synthesize text once per content key and serve repeats from the audio cache.
+ * The audio ID is derived from the normalized text, resolved voice, language, model
+ * and synthesis parameters, so it is stable across requests and refreshes.
+ * @param {string} text - Text (or SSML markup) to convert to speech
+ * @param {string} language - Language code (e.g., 'en-US')
+ * @param {string} voice - Voice identifier
+ * @param {Object} [options] - textType plus overrides from parseSynthesisOptions
+ * @param {Object} [cacheOptions]
+ * @param {number} [cacheOptions.ttlMs] - How long new audio is kept; Infinity never expires (cache default otherwise)
+ * @param {boolean} [cacheOptions.pinned] - Keep new audio out of LRU eviction
+ * @returns {Promise<{audioId: string, audio: Buffer, contentType: string, provider: string, warnings: string[], cached: boolean}>}
  */
-function generateTestAudio(text) {
-    console.log('🧪 Generating test audio for development...');
-    
-    // Create a simple WAV header for a short beep sound
-    const sampleRate = 22050;
-    const duration = Math.min(text.length * 0.1, 3); // Max 3 seconds
-    const numSamples = Math.floor(sampleRate * duration);
-    
-    // WAV header (44 bytes)
-    const header = Buffer.alloc(44);
-    header.write('RIFF', 0);
-    header.writeUInt32LE(36 + numSamples * 2, 4);
-    header.write('WAVE', 8);
-    header.write('fmt ', 12);
-    header.writeUInt32LE(16, 16);
-    header.writeUInt16LE(1, 20);
-    header.writeUInt16LE(1, 22);
-    header.writeUInt32LE(sampleRate, 24);
-    header.writeUInt32LE(sampleRate * 2, 28);
-    header.writeUInt16LE(2, 32);
-    header.writeUInt16LE(16, 34);
-    header.write('data', 36);
-    header.writeUInt32LE(numSamples * 2, 40);
-    
-    // Generate simple audio data (sine wave)
-    const audioData = Buffer.alloc(numSamples * 2);
-    for (let i = 0; i < numSamples; i++) {
-        const sample = Math.sin(2 * Math.PI * 440 * i / sampleRate) * 0.3; // 440Hz tone
-        const intSample = Math.floor(sample * 32767);
-        audioData.writeInt16LE(intSample, i * 2);
+async function synthesizeWithCache(text, language = 'en-US', voice = 'default', options = {}, { ttlMs, pinned } = {}) {
+    const normalizedText = normalizeSynthesisText(text);
+    const voiceName = getVoiceForLanguage(language, voice);
+    // Lexicon edits change what is said, so the rewritten text is part of the key
+    const lexiconText = lexicon.apply(normalizedText, language, voiceName).text;
+    const audioId = createSynthesisKey({
+        text: normalizedText,
+        voice: voiceName,
+        language,
+        options: { ...DEFAULT_SYNTHESIS_OPTIONS, ...DEFAULT_CHUNKING_OPTIONS, ...options },
+        lexicon: lexiconText !== normalizedText ? lexiconText : undefined
+    });
+
+    const { promise, joined } = inflightSyntheses.run(audioId, async () => {
+        const cached = await audioCache.get(audioId);
+        if (cached) {
+            synthesisStats.cacheHits++;
+            console.log(`♻️  Serving cached audio ${audioId}`);
+            return {
+                audioId,
+                audio: cached.audio,
+                contentType: cached.contentType,
+                provider: cached.metadata.provider,
+                warnings: cached.metadata.warnings || [],
+                cached: true
+            };
+        }
+
+        const { audio, contentType, provider, warnings, timing } = await generateTTSAudio(normalizedText, language, voiceName, options);
+        await audioCache.set(audioId, audio, {
+            contentType,
+            ttlMs,
+            pinned,
+            metadata: { provider, language, voice: voiceName, textLength: normalizedText.length, warnings }
+        });
+        if (timing) {
+            // Kept beside the audio rather than in its metadata, which the disk index holds in full
+            await audioCache.set(`${audioId}.timing`, Buffer.from(JSON.stringify(timing)), {
+                contentType: 'application/json',
+                ttlMs,
+                pinned,
+                metadata: { timingOf: audioId }
+            });
+        }
+        synthesisStats.synthesized++;
+        return { audioId, audio, contentType, provider, warnings, cached: false };
+    });
+
+    if (joined) {
+        synthesisStats.coalesced++;
+        console.log(`🔗 Joining in-flight synthesis ${audioId}`);
+        return { ...(await promise), cached: true };
+    }
+    return promise;
+}
+
+// Encodes currently running, keyed by variant cache key
+const inflightEncodes = createInflightRegistry();
+// Set at startup once ffmpeg has been probed
+let encoderAvailable = false;
+
+/**
+ * Output formats that can be served right now (compressed ones need ffmpeg)
+ * @returns {string[]}
+ */
+function availableAudioFormats() {
+    return encoderAvailable ? Object.keys(AUDIO_FORMATS) : ['wav'];
+}
+
+/**
+ * Resolve the output format of an audio response
+ * @param {string} [formatParam] - Explicit format from the query or body
+ * @param {string} [accept] - Accept header
+ * @returns {{format?: string, status?: number, error?: string}} Format, or an HTTP status and error message
+ */
+function resolveOutputFormat(formatParam, accept) {
+    const format = negotiateFormat(formatParam, accept, availableAudioFormats());
+    if (!format) {
+        return formatParam
+            ? { status: 400, error: `Unsupported format "${formatParam}" (use ${Object.keys(AUDIO_FORMATS).join(', ')})` }
+            : { status: 406, error: `None of the accepted types can be served (available: ${Object.keys(AUDIO_FORMATS).map(contentTypeFor).join(', ')})` };
+    }
+    if (!availableAudioFormats().includes(format)) {
+        return { status: 503, error: `${format} output is unavailable (ffmpeg not installed); use wav` };
+    }
+    return { format };
+}
+
+/**
+ * Get audio in the requested output format, encoding and caching the variant on first use.
+ * Variants are stored under '<audioId>.<format>' and live as long as their source audio.
+ * @param {string} audioId - Cache key of the source audio
+ * @param {string} format - Format name from negotiateFormat
+ * @param {Object} source - { audio, contentType, expiresAt? } of the source audio (a cache entry or fresh synthesis)
+ * @returns {Promise<{audio: Buffer, contentType: string, etag?: string, createdAt?: number}>}
+ */
+async function getEncodedAudio(audioId, format, source) {
+    const contentType = contentTypeFor(format);
+    if (source.contentType === contentType) {
+        return source;
+    }
+
+    const store = audioStoreFor(audioId);
+    const variantId = `${audioId}.${format}`;
+    const cached = await store.get(variantId);
+    if (cached) {
+        return cached;
+    }
+
+    return inflightEncodes.run(variantId, async () => {
+        const started = Date.now();
+        const audio = await encodeAudio(source.audio, format);
+        console.log(`🗜️  Encoded ${audioId} as ${format} (${source.audio.length} -> ${audio.length} bytes, ${Date.now() - started}ms)`);
+        // Without a known expiry (fresh synthesis) the cache default TTL applies
+        const ttlMs = source.expiresAt === undefined ? undefined
+            : source.expiresAt === null ? Infinity : Math.max(0, source.expiresAt - Date.now());
+        await store.set(variantId, audio, {
+            contentType,
+            ttlMs,
+            metadata: { variantOf: audioId, format }
+        });
+        return (await store.get(variantId)) || { audio, contentType };
+    }).promise;
+}
+
+/**
+ * Stream TTS audio chunks through the configured provider chain.
+ * Long text is synthesized one text chunk at a time; each chunk's audio is followed
+ * by its sentence/paragraph pause.
+ * @param {string} text - Text to convert to speech
+ * @param {string} language - Language code (e.g., 'en-US')
+ * @param {string} voice - Voice identifier
+ * @param {Object} [options] - Overrides from parseSynthesisOptions
+ * @returns {AsyncIterable<{samples: Float32Array, sampleRate: number, text: string, provider: string}>}
+ */
+async function* streamTTSAudio(text, language = 'en-US', voice = 'default', options = {}) {
+    console.log(`🎤 Streaming TTS for text: "${text.substring(0, 50)}..."`);
+    console.log(`🌍 Language: ${language}, Voice: ${voice}`);
+
+    const voiceName = getVoiceForLanguage(language, voice);
+    const { synthesis, chunking } = resolveSynthesisOptions(options, language);
+    const chunks = chunkText(text, { language, maxChars: chunking.maxChunkChars });
+
+    for (const [index, chunk] of chunks.entries()) {
+        let held = null;
+        // The registry delivers every chunk at the requested sample rate
+        const spokenText = lexicon.apply(chunk.text, language, voiceName).text;
+        for await (const audio of ttsProviders.stream(spokenText, voiceName, synthesis)) {
+            // Hold one chunk back so the pause can be appended to the last one
+            if (held) {
+                yield held;
+            }
+            held = audio;
+        }
+
+        const pauseMs = index < chunks.length - 1 ? pauseAfterChunk(chunk, chunking) : 0;
+        if (held && pauseMs > 0) {
+            const samples = new Float32Array(held.samples.length + Math.round(synthesis.sampleRate * pauseMs / 1000));
+            samples.set(held.samples);
+            held = { ...held, samples };
+        }
+        if (held) {
+            yield held;
+        }
     }
-    
-    const result = Buffer.concat([header, audioData]);
-    console.log(`✅ Test audio generated (${result.length} bytes)`);
-    return result;
+}
+
+/**
+ * Check a requested voice against the catalog
+ * @param {string} voice - Voice preference from a request
+ * @returns {string|null} Error message, or null when the voice can be used
+ */
+function validateVoice(voice) {
+    if (voice === undefined || voice === 'default' || voiceCatalog.get(voice)) {
+        return null;
+    }
+    return `Unknown voice "${voice}" (see GET /voices)`;
 }
 
 /**
@@ -458,20 +781,55 @@ function generateTestAudio(text) {
  * @param {string} language - Language code
  * @param {string} voice - Voice preference
  * @returns {string} Voice ID
+ * @throws {Error} With status 400 when the voice is not in the catalog
  */
 function getVoiceForLanguage(language, voice) {
-    // Use the predefined language-voice mapping
-    const selectedVoice = LANGUAGE_VOICE_MAP[language] || LANGUAGE_VOICE_MAP['en-US'];
-    
     // If a specific voice is requested and it's not 'default', use it
     if (voice && voice !== 'default') {
-        return voice;
+        const known = voiceCatalog.get(voice);
+        if (!known) {
+            const error = new Error(validateVoice(voice));
+            error.status = 400;
+            throw error;
+        }
+        return known.id;
     }
-    
+
+    const selectedVoice = voiceCatalog.getDefaultVoice(language);
     console.log(`🎭 Selected voice for ${language}: ${selectedVoice}`);
     return selectedVoice;
 }
 
+/**
+ * Synthesize (or reuse) a voice's preview clip; previews are pinned in the audio cache, so they
+ * neither expire nor get evicted by other synthesis (encoded copies of them can be)
+ * @param {Object} voice - Catalog voice
+ * @param {string} language - Locale the sample sentence is spoken in
+ * @returns {Promise<Object>} Result of synthesizeWithCache
+ */
+function getVoicePreview(voice, language) {
+    return synthesizeWithCache(getPreviewText(voice, language), language, voice.id, {}, { ttlMs: Infinity, pinned: true });
+}
+
+/**
+ * Synthesize the preview of every locale's default voice so the language selector plays instantly
+ * @returns {Promise<void>}
+ */
+async function warmVoicePreviews() {
+    const started = Date.now();
+    const languages = voiceCatalog.listLanguages();
+    const results = await mapWithConcurrency(languages, TTS_CHUNK_CONCURRENCY, async ({ code, voice }) => {
+        try {
+            await getVoicePreview(voiceCatalog.get(voice), code);
+            return true;
+        } catch (error) {
+            console.warn(`⚠️  Voice preview for ${voice} (${code}) failed:`, error.message);
+            return false;
+        }
+    });
+    console.log(`🎭 Warmed ${results.filter(Boolean).length}/${languages.length} voice previews in ${Date.now() - started}ms`);
+}
+
 /**
  * Clean up Inworld resources
  */
@@ -494,179 +852,1950 @@ app.get('/health', (req, res) => {
         services: {
             inworld: checkInworldConfig() ? 'configured' : 'not_configured',
             newsApi: checkNewsApiConfig() ? 'configured' : 'not_configured'
-        }
+        },
+        newsSources: newsSources.getStats(),
+        tts: ttsProviders.getStats(),
+        voices: voiceCatalog.getStats(),
+        audioCache: audioCache.getStats(),
+        briefingAudio: briefingAudio.getStats(),
+        audioFormats: availableAudioFormats(),
+        synthesis: {
+            ...synthesisStats,
+            inflight: inflightSyntheses.size
+        },
+        jobs: audioJobs.getStats(),
+        events: eventStore.getStats()
     });
 });
 
 /**
- * Unified News + TTS endpoint
- * GET /news-audio?category=general&language=en-US&voice=default
- * Returns: JSON with news articles and audio URLs
+ * Article text for TTS (title + description), without feed artifacts
+ * @param {Object} article - News article
+ * @returns {string} Text in the article's own language
  */
-app.get('/news-audio', async (req, res) => {
-    try {
-        const { 
-            category = 'general', 
-            country = 'us', 
-            language = 'en-US', 
-            voice = 'default',
-            pageSize = 10 
-        } = req.query;
-
-        console.log(`📰 News+TTS request: ${category}/${country}, ${language}/${voice}`);
+function articleSpeechText(article) {
+    const sourceName = article.source && article.source.name;
+    const title = cleanNewsText(article.title, { sourceName });
+    const description = article.description ? cleanNewsText(article.description, { sourceName }) : '';
+    return description && description !== title
+        ? `${endsSentence(title, 'en-US') ? title : `${title}.`} ${description}`
+        : title;
+}
 
-        // Fetch news articles
-        const articles = await fetchNewsArticles(category, country, parseInt(pageSize));
-        
-        if (!articles || articles.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'No news articles found',
-                articles: []
-            });
+/**
+ * Article text ready for synthesis in the target language: cleaned, translated and expanded
+ * @param {Object} article - News article
+ * @param {string} language - Target language code
+ * @param {Object} [job] - Queue job, used to report the 'translating' stage
+ * @returns {Promise<{text: string, translation: Object}>}
+ */
+async function prepareArticleSpeech(article, language, job) {
+    // Translate text if target language is not English
+    if (requiresTranslation(language)) {
+        console.log(`🌐 Translating "${article.title.substring(0, 40)}..." to ${LANGUAGE_NAMES[language] || language}`);
+        if (job) {
+            job.progress('translating', { language });
         }
+    }
+    const translation = await translateTextWithLLM(articleSpeechText(article), language);
 
-        // Process articles and generate TTS for each
-        const processedArticles = await Promise.all(
-            articles.map(async (article, index) => {
-                try {
-                    // Create article text for TTS (title + description)
-                    let articleText = `${article.title}. ${article.description || ''}`;
-                    
-                    // Translate text if target language is not English
-                    if (requiresTranslation(language)) {
-                        console.log(`🌐 Article ${index + 1}: Translating to ${LANGUAGE_NAMES[language] || language}`);
-                        articleText = await translateTextWithLLM(articleText, language);
-                    }
-                    
-                    // Generate TTS audio for this article (translated or original)
-                    const audioBuffer = await generateTTSAudio(articleText, language, voice);
-                    
-                    // Create a unique audio ID for this article
-                    const audioId = `article_${Date.now()}_${index}`;
-                    
-                    // Store audio in memory (in production, use proper storage)
-                    global.audioCache = global.audioCache || new Map();
-                    global.audioCache.set(audioId, audioBuffer);
-                    
-                    return {
-                        id: article.url || `article_${index}`,
-                        title: article.title,
-                        description: article.description,
-                        url: article.url,
-                        urlToImage: article.urlToImage,
-                        publishedAt: article.publishedAt,
-                        source: article.source,
-                        audioId: audioId,
-                        audioUrl: `/audio/${audioId}`,
-                        audioLength: audioBuffer.length,
-                        textLength: articleText.length
-                    };
-                } catch (error) {
-                    console.error(`❌ Failed to process article ${index}:`, error.message);
-                    return {
-                        id: article.url || `article_${index}`,
-                        title: article.title,
-                        description: article.description,
-                        url: article.url,
-                        urlToImage: article.urlToImage,
-                        publishedAt: article.publishedAt,
-                        source: article.source,
-                        audioId: null,
-                        audioUrl: null,
-                        error: 'TTS generation failed'
-                    };
-                }
-            })
-        );
+    // Numbers, currencies, dates and abbreviations are expanded in the target language
+    return { text: expandForSpeech(translation.text, language), translation };
+}
 
-        console.log(`✅ Processed ${processedArticles.length} articles with TTS`);
+/**
+ * Translate and synthesize one article (runs on the job queue)
+ * @param {Object} article - News article
+ * @param {Object} options - { language, voice, synthesis } where synthesis holds overrides from parseSynthesisOptions
+ * @param {Object} job - Queue job, used to report 'translating' / 'synthesizing' stages
+ * @returns {Promise<Object>} Audio details for the article
+ */
+async function processArticleAudio(article, { language, voice, synthesis = {} }, job) {
+    const { text: articleText, translation } = await prepareArticleSpeech(article, language, job);
+
+    // Synthesize (or reuse) audio; the ID is stable for the same text and voice
+    job.progress('synthesizing', { voice });
+    const { audioId, audio, provider, cached } = await synthesizeWithCache(articleText, language, voice, synthesis);
+
+    return {
+        audioId,
+        audioUrl: `/audio/${audioId}`,
+        captionsUrl: `/audio/${audioId}/captions`,
+        audioLength: audio.length,
+        textLength: articleText.length,
+        provider,
+        cached,
+        translation: {
+            status: translation.status,
+            reason: translation.reason
+        }
+    };
+}
 
-        res.json({
-            success: true,
-            articles: processedArticles,
-            metadata: {
-                category,
-                country,
-                language,
-                voice,
-                totalArticles: processedArticles.length,
-                timestamp: new Date().toISOString()
-            }
-        });
+/**
+ * Merge an article with the state of its audio job
+ * @param {Object} article - Article fields as returned by /news-audio
+ * @param {Object} job - Job snapshot
+ */
+function withJobStatus(article, job) {
+    return {
+        ...article,
+        jobId: job.id,
+        status: job.status,
+        ...(job.status === 'completed' ? job.result : { audioId: null, audioUrl: null, captionsUrl: null }),
+        error: job.status === 'failed' ? 'TTS generation failed' : undefined
+    };
+}
 
-    } catch (error) {
-        console.error('❌ News+TTS endpoint error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch news and generate audio',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
-    }
-});
+/**
+ * Order candidate articles for a user (see ranking.js)
+ * @param {string} userId - User ID
+ * @param {Object[]} articles - Candidates in the source's order
+ * @returns {Promise<{articles: Object[], explanations: Map<string, Object>, filtered: Object[]}>}
+ *   Ranked articles, each article's score breakdown by article ID, and the articles left out with the reason
+ */
+async function rankForUser(userId, articles) {
+    const now = Date.now();
+    const { preferredSources, blockedSources } = userProfiles.getPreferences(userId);
+    const candidates = articles.map(article => ({
+        id: createArticleId(article),
+        category: article.category,
+        source: article.source && article.source.name,
+        publishedAt: article.publishedAt,
+        article
+    }));
+
+    const { ranked, filtered } = rankArticles(candidates, {
+        affinities: getUserAffinities(userId, now),
+        getHistory: articleId => userProfiles.getProgress(userId, articleId),
+        preferredSources,
+        blockedSources,
+        now
+    });
+
+    return {
+        articles: ranked.map(entry => entry.candidate.article),
+        explanations: new Map(ranked.map(({ candidate, score, components, reasons }, index) => [
+            candidate.id,
+            { rank: index + 1, sourceRank: candidates.indexOf(candidate) + 1, score, components, reasons }
+        ])),
+        filtered: filtered.map(({ candidate, reason }) => ({ id: candidate.id, title: candidate.article.title, reason }))
+    };
+}
 
 /**
- * Audio streaming endpoint
- * GET /audio/:audioId
- * Returns: Audio file as binary stream
+ * Fetch articles and queue audio generation for each of them
+ * @param {Object} params - { category, country, language, voice, pageSize, source, synthesis, userId, heard, ranking, debug }
+ *   With a userId every article carries the user's `listening` progress and a `resumeOffsetMs`;
+ *   heard: 'exclude' leaves out articles the user finished or skipped.
+ *   ranking: 'personalized' (the default with a userId) reorders and filters the articles for the
+ *   user, 'none' keeps the source's order; with debug each ranked article carries its score breakdown.
+ * @returns {Promise<{batchId: string, articles: Object[], ranking: Object|null}>} Articles with their pending jobs,
+ *   and a summary of the ranking when it was applied
  */
-app.get('/audio/:audioId', (req, res) => {
-    try {
-        const { audioId } = req.params;
-        
-        // Retrieve audio from cache
-        const audioBuffer = global.audioCache?.get(audioId);
-        
-        if (!audioBuffer) {
-            return res.status(404).json({
-                success: false,
-                error: 'Audio not found or expired'
-            });
+async function queueNewsAudioBatch({
+    category, country, language, voice, pageSize, source, synthesis = {}, userId = null, heard = 'include', ranking = 'personalized', debug = false
+}) {
+    const limit = parseInt(pageSize);
+    const hideHeard = Boolean(userId) && heard === 'exclude';
+    const personalize = Boolean(userId) && ranking === 'personalized';
+
+    // Fetch news articles; heard and filtered ones are dropped before synthesis, so fetch extra to fill the page
+    const fetched = await fetchNewsArticles(category, country, hideHeard || personalize ? Math.min(limit * 3, 100) : limit, source);
+    let articles = hideHeard && fetched
+        ? fetched.filter(article => !userProfiles.hasHeard(userId, createArticleId(article)))
+        : fetched;
+
+    let explanations = null;
+    let rankingSummary = null;
+    if (personalize && articles && articles.length > 0) {
+        const result = await rankForUser(userId, articles);
+        rankingSummary = {
+            strategy: 'personalized',
+            candidates: articles.length,
+            filtered: result.filtered.length,
+            ...(debug ? { filteredArticles: result.filtered } : {})
+        };
+        articles = result.articles;
+        explanations = debug ? result.explanations : null;
+    }
+    articles = articles && articles.slice(0, limit);
+
+    if (!articles || articles.length === 0) {
+        return { batchId: null, articles: [], ranking: rankingSummary };
+    }
+
+    const batchId = `batch_${crypto.randomUUID()}`;
+    const queuedArticles = articles.map((article, index) => {
+        const articleId = createArticleId(article);
+        rememberArticle(articleId, article);
+
+        const articleInfo = {
+            id: articleId,
+            title: article.title,
+            description: article.description,
+            url: article.url,
+            urlToImage: article.urlToImage,
+            publishedAt: article.publishedAt,
+            source: article.source,
+            fullTextUrl: `/articles/${articleId}/full`
+        };
+        if (userId) {
+            const listening = userProfiles.getProgress(userId, articleId);
+            articleInfo.listening = listening;
+            articleInfo.resumeOffsetMs = listening && listening.status === 'partial' ? listening.positionMs : 0;
+        }
+        if (explanations) {
+            articleInfo.ranking = explanations.get(articleId);
         }
 
-        // Set appropriate headers for audio streaming
-        res.set({
-            'Content-Type': 'audio/wav',
-            'Content-Length': audioBuffer.length,
-            'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
-            'Accept-Ranges': 'bytes'
+        const job = audioJobs.enqueue(job => processArticleAudio(article, { language, voice, synthesis }, job), {
+            type: 'news-audio',
+            batchId,
+            data: { articleId: articleInfo.id, index, title: article.title, language, voice, synthesis }
         });
 
-        // Stream the audio
-        res.send(audioBuffer);
-        
-        console.log(`🎵 Audio streamed: ${audioId} (${audioBuffer.length} bytes)`);
-        
+        return { ...withJobStatus(articleInfo, job), jobUrl: `/jobs/${job.id}` };
+    });
+
+    console.log(`✅ Queued ${queuedArticles.length} articles for TTS (batch ${batchId})`);
+    return { batchId, articles: queuedArticles, ranking: rankingSummary };
+}
+
+// User profiles: listening preferences kept on the server, used as defaults by /news-audio and briefings.
+// Requests name the user with the X-User-Id header or a userId parameter.
+const userProfiles = createUserProfiles({
+    store: createJsonStore({
+        directory: process.env.DATA_DIR,
+        name: 'users',
+        initial: () => ({ users: {} })
+    })
+});
+
+const PREFERENCE_NAMES = [
+    'language', 'voice', 'categories', 'country', 'preferredSources', 'blockedSources', ...Object.keys(SYNTHESIS_PARAMETERS)
+];
+const SOURCE_LIST_LIMIT = 50;
+
+/**
+ * Normalize a category list (array or comma-separated string)
+ * @param {string[]|string} categories - Category names
+ * @returns {string[]|null} Unique lower-case names, or null when the list is empty, too long or malformed
+ */
+function parseCategoryList(categories) {
+    const list = (Array.isArray(categories) ? categories : String(categories).split(','))
+        .map(category => String(category).trim().toLowerCase())
+        .filter(Boolean);
+    if (list.length === 0 || list.length > 7 || list.some(category => !/^[a-z]+$/.test(category))) {
+        return null;
+    }
+    return Array.from(new Set(list));
+}
+
+/**
+ * Validate preferences from a request body; omitted or null fields are left unset
+ * @param {Object} input - { language?, voice?, categories?, country?, preferredSources?, blockedSources?, rate?, pitch?, ... }
+ * @returns {{preferences?: Object, error?: string}}
+ */
+function parsePreferences(input) {
+    const unknown = Object.keys(input).filter(name => !PREFERENCE_NAMES.includes(name));
+    if (unknown.length > 0) {
+        return { error: `Unknown preference: ${unknown.join(', ')}` };
+    }
+    const given = name => input[name] !== undefined && input[name] !== null && input[name] !== '';
+    const preferences = {};
+
+    if (given('language')) {
+        if (!voiceCatalog.isSupportedLanguage(input.language)) {
+            return { error: `Unsupported language: ${input.language} (see GET /voices)` };
+        }
+        preferences.language = input.language;
+    }
+
+    if (given('voice')) {
+        const voiceError = validateVoice(input.voice);
+        if (voiceError) {
+            return { error: voiceError };
+        }
+        preferences.voice = input.voice === 'default' ? 'default' : voiceCatalog.get(input.voice).id;
+    }
+
+    if (given('categories')) {
+        const categories = parseCategoryList(input.categories);
+        if (!categories) {
+            return { error: 'categories must list 1-7 category names' };
+        }
+        preferences.categories = categories;
+    }
+
+    if (given('country')) {
+        if (!/^[a-z]{2}$/i.test(input.country)) {
+            return { error: 'country must be a two-letter country code' };
+        }
+        preferences.country = input.country.toLowerCase();
+    }
+
+    for (const name of ['preferredSources', 'blockedSources']) {
+        if (given(name)) {
+            const sources = (Array.isArray(input[name]) ? input[name] : String(input[name]).split(','))
+                .map(sourceName => String(sourceName).trim())
+                .filter(Boolean);
+            if (sources.length > SOURCE_LIST_LIMIT || sources.some(sourceName => sourceName.length > 100)) {
+                return { error: `${name} must list up to ${SOURCE_LIST_LIMIT} news source names` };
+            }
+            preferences[name] = Array.from(new Set(sources));
+        }
+    }
+
+    const { error: optionsError } = parseSynthesisOptions(input);
+    if (optionsError) {
+        return { error: optionsError };
+    }
+    Object.keys(SYNTHESIS_PARAMETERS)
+        .filter(given)
+        .forEach((name) => {
+            preferences[name] = Number(input[name]);
+        });
+
+    return { preferences };
+}
+
+/**
+ * Fill in request parameters the caller omitted from a user's saved preferences
+ * @param {string} userId - User ID
+ * @param {Object} input - Request query or body
+ * @returns {Object} Parameters: the input's own values win; `category` is the first preferred category.
+ *   Source preferences are not request parameters; ranking reads them from the profile.
+ */
+function applyUserPreferences(userId, input) {
+    const { categories, ...preferences } = userProfiles.getPreferences(userId);
+    delete preferences.preferredSources;
+    delete preferences.blockedSources;
+    const defaults = categories ? { ...preferences, categories, category: categories[0] } : preferences;
+    const explicit = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined && value !== ''));
+    return { ...defaults, ...explicit };
+}
+
+/**
+ * The requesting user (X-User-Id header or userId parameter) and the request parameters with
+ * their preferences applied; without a user the input is returned unchanged
+ * @param {Object} req - Express request
+ * @param {Object} input - req.query or req.body
+ * @returns {{input: Object, userId: string|null, error?: string}}
+ */
+function withUserPreferences(req, input) {
+    const userId = req.get('X-User-Id') || req.query.userId || (req.body && req.body.userId) || null;
+    if (!userId) {
+        return { input, userId: null };
+    }
+    if (!isValidUserId(userId)) {
+        return { input, userId: null, error: 'Invalid user ID (1-64 letters, digits, - or _)' };
+    }
+    return { input: applyUserPreferences(userId, input), userId };
+}
+
+/**
+ * Get a user's preferences
+ * GET /users/:id/preferences
+ */
+app.get('/users/:id/preferences', (req, res) => {
+    const profile = isValidUserId(req.params.id) ? userProfiles.get(req.params.id) : null;
+    if (!profile) {
+        return res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+    }
+    res.json({
+        success: true,
+        userId: profile.id,
+        preferences: profile.preferences,
+        updatedAt: profile.updatedAt
+    });
+});
+
+/**
+ * Replace a user's preferences (the profile is created on first use)
+ * PUT /users/:id/preferences
+ * Body: { language?, voice?, categories?: string[], country?, rate?, pitch?, temperature?, sampleRate?,
+ *         sentencePauseMs?, paragraphPauseMs? } - omitted fields are cleared
+ */
+app.put('/users/:id/preferences', async (req, res) => {
+    try {
+        if (!isValidUserId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid user ID (1-64 letters, digits, - or _)'
+            });
+        }
+
+        const { preferences, error } = parsePreferences(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const profile = await userProfiles.setPreferences(req.params.id, preferences);
+        console.log(`👤 Preferences saved for ${profile.id}`);
+        res.json({
+            success: true,
+            userId: profile.id,
+            preferences: profile.preferences,
+            updatedAt: profile.updatedAt
+        });
+    } catch (error) {
+        console.error('❌ Preferences error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save preferences',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+const PROGRESS_STATES = ['playing', 'paused', 'finished', 'skipped'];
+
+/**
+ * Validate a playback progress report
+ * @param {Object} input - { articleId?, audioId?, positionMs, durationMs?, state?, at?, title? }
+ * @returns {{report?: Object, error?: string}}
+ */
+function parseProgressReport(input) {
+    const { articleId, audioId, positionMs, durationMs, state, at, title } = input || {};
+    if (!articleId && !audioId) {
+        return { error: 'articleId or audioId is required' };
+    }
+    if ([articleId, audioId].some(id => id && !isValidHistoryKey(String(id)))) {
+        return { error: 'Invalid articleId or audioId' };
+    }
+
+    const position = Number(positionMs);
+    if (!Number.isFinite(position) || position < 0) {
+        return { error: 'positionMs must be a non-negative number' };
+    }
+    const duration = durationMs === undefined || durationMs === null ? null : Number(durationMs);
+    if (duration !== null && (!Number.isFinite(duration) || duration <= 0)) {
+        return { error: 'durationMs must be a positive number' };
+    }
+    if (state !== undefined && !PROGRESS_STATES.includes(state)) {
+        return { error: `state must be one of ${PROGRESS_STATES.join(', ')}` };
+    }
+
+    // Client clocks may run ahead; a report is never newer than its arrival
+    const reportedAt = at === undefined ? new Date() : new Date(at);
+    if (Number.isNaN(reportedAt.getTime())) {
+        return { error: 'at must be an ISO date or a timestamp in milliseconds' };
+    }
+
+    const article = articleId ? knownArticles.get(articleId) : null;
+    return {
+        report: {
+            articleId: articleId ? String(articleId) : undefined,
+            audioId: audioId ? String(audioId) : undefined,
+            title: article ? article.title : (typeof title === 'string' ? title.slice(0, 300) : undefined),
+            positionMs: Math.round(position),
+            durationMs: duration === null ? undefined : Math.round(duration),
+            state,
+            at: new Date(Math.min(reportedAt.getTime(), Date.now()))
+        }
+    };
+}
+
+/**
+ * Report playback progress
+ * POST /users/:id/progress
+ * Body: { articleId?, audioId?, positionMs, durationMs?, state?: 'playing' | 'paused' | 'finished' | 'skipped',
+ *         at?: ISO date (when the position was reached), title? }
+ *    or an array of such reports (e.g. queued while offline, at most 100)
+ * Items are keyed by articleId (audioId for audio without an article, such as briefings).
+ * Reports older than what another device already sent are ignored.
+ * Returns: { items: [{ ...history item, ignored }] }
+ */
+app.post('/users/:id/progress', async (req, res) => {
+    try {
+        if (!isValidUserId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid user ID (1-64 letters, digits, - or _)'
+            });
+        }
+
+        const inputs = Array.isArray(req.body) ? req.body : [req.body];
+        if (inputs.length === 0 || inputs.length > 100) {
+            return res.status(400).json({
+                success: false,
+                error: 'Send 1-100 progress reports'
+            });
+        }
+
+        const reports = [];
+        for (const [index, input] of inputs.entries()) {
+            const { report, error } = parseProgressReport(input);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: inputs.length > 1 ? `report ${index + 1}: ${error}` : error
+                });
+            }
+            reports.push(report);
+        }
+
+        // Oldest first, so a batch from one device settles on its latest position
+        reports.sort((a, b) => a.at - b.at);
+        const items = [];
+        for (const report of reports) {
+            const { item, ignored } = await userProfiles.recordProgress(req.params.id, report);
+            items.push({ ...item, ignored });
+        }
+
+        res.json({
+            success: true,
+            items
+        });
+    } catch (error) {
+        console.error('❌ Progress error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to record progress',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Listening history, most recently played first
+ * GET /users/:id/history?status=partial|finished|skipped&limit=50
+ * Returns: { items: [{ articleId, audioId, title, status, positionMs, durationMs, startedAt, updatedAt, finishedAt }] }
+ */
+app.get('/users/:id/history', (req, res) => {
+    const profile = isValidUserId(req.params.id) ? userProfiles.get(req.params.id) : null;
+    if (!profile) {
+        return res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+    }
+
+    const { status } = req.query;
+    if (status && !HISTORY_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            error: `status must be one of ${HISTORY_STATUSES.join(', ')}`
+        });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 1000);
+
+    res.json({
+        success: true,
+        userId: profile.id,
+        items: userProfiles.getHistory(profile.id, { status, limit })
+    });
+});
+
+/**
+ * Unified News + TTS endpoint
+ * GET /news-audio?category=general&language=en-US&voice=default&source=newsapi|rss|fixture
+ *   optional synthesis parameters: rate, pitch, temperature, sampleRate (see parseSynthesisOptions)
+ *   optional userId (or X-User-Id header): omitted parameters come from the user's preferences, and
+ *   each article carries the user's listening progress and resumeOffsetMs; heard=exclude leaves out
+ *   articles the user finished or skipped
+ *   with a user, articles are ranked for them (ranking=none keeps the source's order); debug=ranking
+ *   adds each article's score breakdown and lists the articles the ranking left out
+ * Returns: JSON with news articles straight away; audio is synthesized on the job
+ * queue and each article carries a jobId to poll (GET /jobs/:jobId) until it is ready.
+ * Progress for the whole batch is pushed by GET /news-audio/events?batchId=...
+ */
+app.get('/news-audio', async (req, res) => {
+    try {
+        const { input, userId, error: userError } = withUserPreferences(req, req.query);
+        if (userError) {
+            return res.status(400).json({
+                success: false,
+                error: userError
+            });
+        }
+
+        const { 
+            category = 'general', 
+            country = 'us', 
+            language = 'en-US', 
+            voice = 'default',
+            pageSize = 10,
+            source,
+            heard = 'include',
+            ranking = 'personalized',
+            debug
+        } = input;
+
+        if (source && !newsSources.get(source)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown news source: ${source}`
+            });
+        }
+
+        if (heard !== 'include' && heard !== 'exclude') {
+            return res.status(400).json({
+                success: false,
+                error: "heard must be 'include' or 'exclude'"
+            });
+        }
+
+        if (ranking !== 'personalized' && ranking !== 'none') {
+            return res.status(400).json({
+                success: false,
+                error: "ranking must be 'personalized' or 'none'"
+            });
+        }
+
+        if (debug !== undefined && debug !== 'ranking') {
+            return res.status(400).json({
+                success: false,
+                error: "debug must be 'ranking'"
+            });
+        }
+
+        const { options: synthesis, error: optionsError } = parseSynthesisOptions(input);
+        if (optionsError) {
+            return res.status(400).json({
+                success: false,
+                error: optionsError
+            });
+        }
+
+        const voiceError = validateVoice(voice);
+        if (voiceError) {
+            return res.status(400).json({
+                success: false,
+                error: voiceError
+            });
+        }
+
+        console.log(`📰 News+TTS request: ${category}/${country}, ${language}/${voice}`);
+
+        // Queue audio generation for each article and answer immediately
+        const { batchId, articles, ranking: rankingSummary } = await queueNewsAudioBatch({
+            category, country, language, voice, pageSize, source, synthesis, userId, heard, ranking, debug: debug === 'ranking'
+        });
+
+        if (articles.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'No news articles found',
+                articles: []
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            articles,
+            metadata: {
+                category,
+                country,
+                language,
+                voice,
+                synthesis,
+                userId,
+                ranking: rankingSummary || { strategy: 'none' },
+                source: source || newsSources.defaultName,
+                batchId,
+                batchUrl: `/jobs?batchId=${batchId}`,
+                eventsUrl: `/news-audio/events?batchId=${batchId}`,
+                totalArticles: articles.length,
+                translator: translator.name,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ News+TTS endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch news and generate audio',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Map a job snapshot onto the article fields shared by every progress event
+ */
+function articleEventData(job) {
+    return {
+        batchId: job.batchId,
+        jobId: job.id,
+        articleId: job.data.articleId,
+        index: job.data.index,
+        title: job.data.title
+    };
+}
+
+/**
+ * Push the progress of a news-audio batch over an SSE stream until every job has finished.
+ * Jobs that already progressed before the client connected are replayed first.
+ * Events: fetched, translating, synthesizing, ready (with audioUrl), failed (with reason), done
+ */
+function streamBatchEvents(req, res, batchId) {
+    const jobs = audioJobs.listBatch(batchId);
+    const remaining = new Set(jobs.filter(job => job.status !== 'completed' && job.status !== 'failed').map(job => job.id));
+    const counts = { ready: 0, failed: 0 };
+
+    const onProgress = (job) => {
+        if (job.batchId === batchId) {
+            stream.send(job.stage, { ...articleEventData(job), ...job.details });
+        }
+    };
+    const onJob = (job) => {
+        if (job.batchId === batchId) {
+            sendOutcome(job);
+            closeIfDone();
+        }
+    };
+
+    const stream = openEventStream(req, res, () => {
+        audioJobs.events.off('progress', onProgress);
+        audioJobs.events.off('job', onJob);
+    });
+
+    function sendOutcome(job) {
+        if (job.status === 'completed') {
+            counts.ready++;
+            stream.send('ready', { ...articleEventData(job), ...job.result });
+        } else if (job.status === 'failed') {
+            counts.failed++;
+            stream.send('failed', { ...articleEventData(job), reason: job.error });
+        } else {
+            return;
+        }
+        remaining.delete(job.id);
+    }
+
+    function closeIfDone() {
+        if (remaining.size === 0) {
+            stream.send('done', { batchId, totalArticles: jobs.length, ...counts });
+            stream.close();
+        }
+    }
+
+    // Replay what already happened, then follow live events
+    for (const job of jobs) {
+        stream.send('fetched', articleEventData(job));
+    }
+    for (const job of jobs) {
+        if (job.status === 'running' && job.stage) {
+            stream.send(job.stage, articleEventData(job));
+        } else {
+            sendOutcome(job);
+        }
+    }
+    closeIfDone();
+
+    if (stream.isOpen()) {
+        audioJobs.events.on('progress', onProgress);
+        audioJobs.events.on('job', onJob);
+    }
+}
+
+/**
+ * News audio progress feed (Server-Sent Events)
+ * GET /news-audio/events?batchId=batch_...                 - follow a batch started by /news-audio
+ * GET /news-audio/events?category=general&language=en-US   - start a new batch and follow it
+ * Returns: text/event-stream of per-article events, ending with 'done'
+ */
+app.get('/news-audio/events', async (req, res) => {
+    try {
+        let { batchId } = req.query;
+
+        if (batchId) {
+            if (audioJobs.listBatch(batchId).length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Batch not found or expired'
+                });
+            }
+        } else {
+            const { input, userId, error: userError } = withUserPreferences(req, req.query);
+            if (userError) {
+                return res.status(400).json({
+                    success: false,
+                    error: userError
+                });
+            }
+
+            const {
+                category = 'general',
+                country = 'us',
+                language = 'en-US',
+                voice = 'default',
+                pageSize = 10,
+                source,
+                heard = 'include',
+                ranking = 'personalized'
+            } = input;
+
+            if (source && !newsSources.get(source)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown news source: ${source}`
+                });
+            }
+
+            if (heard !== 'include' && heard !== 'exclude') {
+                return res.status(400).json({
+                    success: false,
+                    error: "heard must be 'include' or 'exclude'"
+                });
+            }
+
+            if (ranking !== 'personalized' && ranking !== 'none') {
+                return res.status(400).json({
+                    success: false,
+                    error: "ranking must be 'personalized' or 'none'"
+                });
+            }
+
+            const { options: synthesis, error: optionsError } = parseSynthesisOptions(input);
+            if (optionsError) {
+                return res.status(400).json({
+                    success: false,
+                    error: optionsError
+                });
+            }
+
+            const voiceError = validateVoice(voice);
+            if (voiceError) {
+                return res.status(400).json({
+                    success: false,
+                    error: voiceError
+                });
+            }
+
+            console.log(`📡 News+TTS event stream: ${category}/${country}, ${language}/${voice}`);
+            const batch = await queueNewsAudioBatch({
+                category, country, language, voice, pageSize, source, synthesis, userId, heard, ranking
+            });
+
+            if (batch.articles.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'No news articles found'
+                });
+            }
+            batchId = batch.batchId;
+        }
+
+        streamBatchEvents(req, res, batchId);
+
+    } catch (error) {
+        console.error('❌ News+TTS event stream error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch news and generate audio',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Job status endpoint
+ * GET /jobs/:jobId?wait=30
+ * With wait (seconds, max 60) the request is held open until the job finishes
+ * Returns: JSON job state, including the audio URL once completed
+ */
+app.get('/jobs/:jobId', async (req, res) => {
+    try {
+        const waitSeconds = Math.min(Math.max(parseInt(req.query.wait, 10) || 0, 0), 60);
+        const job = await audioJobs.waitFor(req.params.jobId, waitSeconds * 1000);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found or expired'
+            });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        console.error('❌ Job status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job status'
+        });
+    }
+});
+
+/**
+ * Batch status endpoint
+ * GET /jobs?batchId=batch_...
+ * Returns: JSON with every job created by one /news-audio request
+ */
+app.get('/jobs', (req, res) => {
+    const { batchId } = req.query;
+
+    if (!batchId) {
+        return res.status(400).json({
+            success: false,
+            error: 'batchId query parameter is required'
+        });
+    }
+
+    const jobs = audioJobs.listBatch(batchId);
+    if (jobs.length === 0) {
+        return res.status(404).json({
+            success: false,
+            error: 'Batch not found or expired'
+        });
+    }
+
+    const completed = jobs.filter(job => job.status === 'completed');
+    res.json({
+        success: true,
+        batchId,
+        done: jobs.every(job => job.status === 'completed' || job.status === 'failed'),
+        jobs,
+        translation: {
+            translator: translator.name,
+            translated: completed
+                .filter(job => job.result.translation.status === 'translated')
+                .map(job => job.data.articleId),
+            fallback: completed
+                .filter(job => job.result.translation.status === 'fallback')
+                .map(job => job.data.articleId)
+        }
+    });
+});
+
+/**
+ * Full article text endpoint ("more on this")
+ * GET /articles/:id/full
+ * Returns: JSON with the extracted article body split into paragraphs
+ */
+app.get('/articles/:id/full', async (req, res) => {
+    try {
+        const result = await getFullArticle(req.params.id);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found. Fetch it through /news-audio first.'
+            });
+        }
+
+        const { article, extracted, cached } = result;
+        if (extracted.paragraphs.length === 0) {
+            return res.status(422).json({
+                success: false,
+                error: 'Could not extract readable text from the article'
+            });
+        }
+
+        res.json({
+            success: true,
+            article: {
+                id: req.params.id,
+                title: article.title,
+                url: article.url,
+                source: article.source
+            },
+            ...extracted,
+            audioUrl: `/articles/${req.params.id}/full/audio`,
+            cached
+        });
+    } catch (error) {
+        console.error('❌ Full article error:', error.message);
+        res.status(502).json({
+            success: false,
+            error: 'Failed to fetch the full article',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Long-form article audio endpoint
+ * POST /articles/:id/full/audio
+ * Body: { language?: string, voice?: string, rate?, pitch?, temperature?, sampleRate?, sentencePauseMs?, paragraphPauseMs? }
+ * Returns: 202 with a job to poll (GET /jobs/:jobId); the completed job carries the audioUrl
+ */
+app.post('/articles/:id/full/audio', async (req, res) => {
+    try {
+        const { language = 'en-US', voice = 'default' } = req.body || {};
+        const articleId = req.params.id;
+
+        const { options: synthesis, error: optionsError } = parseSynthesisOptions(req.body || {});
+        if (optionsError) {
+            return res.status(400).json({
+                success: false,
+                error: optionsError
+            });
+        }
+
+        if (!voiceCatalog.isSupportedLanguage(language)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported language: ${language} (see GET /voices)`
+            });
+        }
+
+        const voiceError = validateVoice(voice);
+        if (voiceError) {
+            return res.status(400).json({
+                success: false,
+                error: voiceError
+            });
+        }
+
+        let result;
+        try {
+            result = await getFullArticle(articleId);
+        } catch (error) {
+            console.error('❌ Full article error:', error.message);
+            return res.status(502).json({
+                success: false,
+                error: 'Failed to fetch the full article',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found. Fetch it through /news-audio first.'
+            });
+        }
+
+        const { extracted } = result;
+        if (extracted.paragraphs.length === 0) {
+            return res.status(422).json({
+                success: false,
+                error: 'Could not extract readable text from the article'
+            });
+        }
+
+        const job = audioJobs.enqueue(async (job) => {
+            // Translate paragraph by paragraph to stay inside the LLM prompt limits
+            let paragraphs = extracted.paragraphs.map(paragraph => cleanNewsText(paragraph)).filter(Boolean);
+            if (requiresTranslation(language)) {
+                job.progress('translating', { language });
+                const translated = [];
+                for (const paragraph of paragraphs) {
+                    translated.push((await translateTextWithLLM(paragraph, language)).text);
+                }
+                paragraphs = translated;
+            }
+            paragraphs = paragraphs.map(paragraph => expandForSpeech(paragraph, language));
+
+            job.progress('synthesizing', { voice });
+            const { audioId, audio, provider, cached } = await synthesizeWithCache(paragraphs.join('\n\n'), language, voice, synthesis);
+            return {
+                audioId,
+                audioUrl: `/audio/${audioId}`,
+                captionsUrl: `/audio/${audioId}/captions`,
+                audioLength: audio.length,
+                paragraphs: paragraphs.length,
+                provider,
+                cached
+            };
+        }, {
+            type: 'article-full-audio',
+            data: { articleId, title: extracted.title, language, voice, synthesis }
+        });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            jobUrl: `/jobs/${job.id}`,
+            status: job.status
+        });
+    } catch (error) {
+        console.error('❌ Full article audio error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to queue full article audio',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Briefings: one episode stitched from several categories (POST /briefings), plus daily schedules.
+// Both are kept in DATA_DIR when it is set, so scheduled briefings survive restarts.
+const BRIEFING_TTL_MS = (parseInt(process.env.BRIEFING_TTL_HOURS, 10) || 48) * 60 * 60 * 1000;
+const BRIEFING_HISTORY_LIMIT = 100;
+const BRIEFING_ARTICLES_PER_CATEGORY = 10;
+const BRIEFING_CHECK_INTERVAL_MS = 60 * 1000;
+const PODCAST_FORMAT = 'mp3';
+const PODCAST_EPISODE_LIMIT = 50;
+const briefingStore = createJsonStore({
+    directory: process.env.DATA_DIR,
+    name: 'briefings',
+    initial: () => ({ briefings: [], schedules: [] })
+});
+
+// Episode audio (and its podcast encoding) is kept apart from the shared audio cache, so
+// ordinary synthesis traffic never evicts it, and next to the briefing records when DATA_DIR is set
+const briefingAudio = createAudioCache({
+    maxBytes: parseInt(process.env.BRIEFING_AUDIO_MAX_BYTES, 10) || 512 * 1024 * 1024,
+    defaultTtlMs: BRIEFING_TTL_MS,
+    directory: process.env.DATA_DIR ? path.join(process.env.DATA_DIR, 'briefing-audio') : undefined,
+    name: 'Briefing audio store'
+});
+
+/**
+ * Audio store holding an audio ID: briefing episodes ('brf_...') or the shared audio cache
+ * @param {string} audioId - Audio ID
+ */
+function audioStoreFor(audioId) {
+    return audioId.startsWith('brf_') ? briefingAudio : audioCache;
+}
+
+/**
+ * Validate briefing parameters from a request body
+ * @param {Object} input - { categories, country, language, voice, targetMinutes, source, timeZone, ...synthesis parameters }
+ * @returns {{request?: Object, error?: string}} Normalized request, or an error message
+ */
+function parseBriefingRequest(input) {
+    const {
+        categories = ['general'],
+        country = 'us',
+        language = 'en-US',
+        voice = 'default',
+        targetMinutes = 5,
+        source,
+        timeZone
+    } = input;
+
+    const categoryList = parseCategoryList(categories);
+    if (!categoryList) {
+        return { error: 'categories must list 1-7 category names' };
+    }
+
+    const minutes = Number(targetMinutes);
+    if (!Number.isFinite(minutes) || minutes < 1 || minutes > 30) {
+        return { error: 'targetMinutes must be between 1 and 30' };
+    }
+
+    if (source && !newsSources.get(source)) {
+        return { error: `Unknown news source: ${source}` };
+    }
+
+    // The language also formats the episode date, so an invalid tag must never be stored
+    if (typeof language !== 'string') {
+        return { error: 'language must be a locale such as en-US' };
+    }
+    if (!voiceCatalog.isSupportedLanguage(language)) {
+        return { error: `Unsupported language: ${language} (see GET /voices)` };
+    }
+
+    if (timeZone !== undefined) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (error) {
+            return { error: `Unknown time zone: ${timeZone}` };
+        }
+    }
+
+    const { options: synthesis, error: optionsError } = parseSynthesisOptions(input);
+    if (optionsError) {
+        return { error: optionsError };
+    }
+
+    const voiceError = validateVoice(voice);
+    if (voiceError) {
+        return { error: voiceError };
+    }
+
+    return {
+        request: {
+            categories: categoryList,
+            country,
+            language,
+            voice,
+            targetMinutes: minutes,
+            source,
+            timeZone,
+            synthesis
+        }
+    };
+}
+
+/**
+ * Update a stored briefing record
+ * @param {string} briefingId - Briefing ID
+ * @param {Object} changes - Fields to set
+ */
+function updateBriefing(briefingId, changes) {
+    return briefingStore.update((data) => {
+        const briefing = data.briefings.find(entry => entry.id === briefingId);
+        if (briefing) {
+            Object.assign(briefing, changes);
+        }
+    });
+}
+
+/**
+ * Select articles, script and synthesize one briefing episode (runs on the job queue)
+ * @param {Object} briefing - Stored briefing record
+ * @param {Object} job - Queue job, used to report progress stages
+ * @returns {Promise<Object>} Episode details: audio, duration and chapters
+ */
+async function generateBriefing(briefing, job) {
+    const { categories, country, language, voice, targetMinutes, source, timeZone, synthesis } = briefing.request;
+    const { chunking } = resolveSynthesisOptions(synthesis, language);
+
+    // Candidates per category; a story filed under several categories is read once
+    job.progress('fetching', { categories });
+    const seen = new Set();
+    const pools = [];
+    for (const category of categories) {
+        try {
+            const articles = await fetchNewsArticles(category, country, BRIEFING_ARTICLES_PER_CATEGORY, source);
+            const items = [];
+            for (const article of articles) {
+                const articleId = createArticleId(article);
+                if (!seen.has(articleId)) {
+                    seen.add(articleId);
+                    rememberArticle(articleId, article);
+                    items.push({ article, articleId, text: articleSpeechText(article) });
+                }
+            }
+            pools.push({ category, items });
+        } catch (error) {
+            console.warn(`⚠️  Briefing ${briefing.id}: no ${category} articles:`, error.message);
+        }
+    }
+
+    const sections = selectBriefingItems(pools, targetMinutes * 60);
+    if (sections.length === 0) {
+        throw new Error('No news articles found');
+    }
+    const parts = planBriefing({ sections, language, timeZone });
+
+    // Articles are translated like /news-audio; script lines only when there is no native script
+    job.progress('translating', { language });
+    for (const part of parts) {
+        if (part.kind === 'item') {
+            part.speech = (await prepareArticleSpeech(part.item.article, language)).text;
+        } else {
+            const text = hasScript(language) ? part.text : (await translateTextWithLLM(part.text, language)).text;
+            part.speech = expandForSpeech(text, language);
+        }
+    }
+
+    // Each part goes through the audio cache, so articles already read out by /news-audio are reused
+    job.progress('synthesizing', { voice, parts: parts.length });
+    const results = await mapWithConcurrency(parts, TTS_CHUNK_CONCURRENCY,
+        part => synthesizeWithCache(part.speech, language, voice, synthesis));
+
+    const chapters = [];
+    const segments = [];
+    let offsetMs = 0;
+    let transitionStartMs = null;
+    results.forEach((result, index) => {
+        const part = parts[index];
+        if (result.contentType !== 'audio/wav') {
+            throw new Error(`Provider ${result.provider} returned ${result.contentType}, which cannot be stitched`);
+        }
+        const decoded = decodeWAV(result.audio);
+        const durationMs = decoded.samples.length / decoded.sampleRate * 1000;
+        const pauseAfterMs = index === parts.length - 1 ? 0
+            : part.kind === 'transition' ? chunking.sentencePauseMs : chunking.paragraphPauseMs;
+
+        if (part.kind === 'transition') {
+            // The transition opens the chapter of the article that follows it
+            transitionStartMs = offsetMs;
+        } else {
+            chapters.push({
+                index: chapters.length,
+                kind: part.kind,
+                title: part.kind === 'item' ? part.item.article.title : part.kind === 'intro' ? 'Intro' : 'Outro',
+                category: part.category || null,
+                articleId: part.kind === 'item' ? part.item.articleId : null,
+                source: part.kind === 'item' && part.item.article.source ? part.item.article.source.name || null : null,
+                url: part.kind === 'item' ? part.item.article.url || null : null,
+                startMs: Math.round(transitionStartMs !== null ? transitionStartMs : offsetMs),
+                endMs: Math.round(offsetMs + durationMs)
+            });
+            transitionStartMs = null;
+        }
+        offsetMs += durationMs + pauseAfterMs;
+
+        segments.push({ samples: decoded.samples, sampleRate: decoded.sampleRate, pauseAfterMs });
+    });
+
+    const stitched = stitchSegments(segments);
+    const audio = convertAudioDataToWAV(stitched.samples, stitched.sampleRate);
+    const audioId = `${briefing.id}_audio`;
+    const stored = await briefingAudio.set(audioId, audio, {
+        ttlMs: BRIEFING_TTL_MS,
+        metadata: { briefingId: briefing.id, language, voice }
+    });
+    if (!stored) {
+        throw new Error(`Episode audio (${audio.length} bytes) is larger than the briefing audio budget`);
+    }
+
+    // Podcast players get MP3 (see the podcast feed); encode it now rather than on the first download
+    if (encoderAvailable) {
+        try {
+            await getEncodedAudio(audioId, PODCAST_FORMAT, { ...briefingAudio.peek(audioId), audio });
+        } catch (error) {
+            console.warn(`⚠️  Briefing ${briefing.id}: ${PODCAST_FORMAT} encoding failed:`, error.message);
+        }
+    }
+
+    const durationMs = Math.round(stitched.samples.length / stitched.sampleRate * 1000);
+    console.log(`🎙️  Briefing ${briefing.id} ready: ${chapters.length} chapters, ${Math.round(durationMs / 1000)}s`);
+    return {
+        audioId,
+        audioUrl: `/audio/${audioId}`,
+        durationMs,
+        chapters
+    };
+}
+
+/**
+ * Record a briefing and queue its generation
+ * @param {Object} request - From parseBriefingRequest
+ * @param {Object} [origin]
+ * @param {string} [origin.scheduleId] - Schedule that triggered it
+ * @param {string} [origin.userId] - User it was made for
+ * @returns {Promise<Object>} Stored briefing record
+ */
+async function startBriefing(request, { scheduleId = null, userId = null } = {}) {
+    const briefing = {
+        id: `brf_${crypto.randomUUID()}`,
+        scheduleId,
+        userId,
+        request,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        completedAt: null,
+        audioId: null,
+        audioUrl: null,
+        durationMs: null,
+        chapters: [],
+        error: null,
+        jobId: null
+    };
+    // Stored before queueing: the job may start straight away and update the record
+    await briefingStore.update((data) => {
+        data.briefings.unshift(briefing);
+        data.briefings.length = Math.min(data.briefings.length, BRIEFING_HISTORY_LIMIT);
+    });
+
+    const job = audioJobs.enqueue(async (job) => {
+        await updateBriefing(briefing.id, { status: 'running' });
+        try {
+            const result = await generateBriefing(briefing, job);
+            await updateBriefing(briefing.id, { ...result, status: 'completed', completedAt: new Date().toISOString() });
+            return { briefingId: briefing.id, ...result };
+        } catch (error) {
+            await updateBriefing(briefing.id, { status: 'failed', error: error.message, completedAt: new Date().toISOString() });
+            throw error;
+        }
+    }, {
+        type: 'briefing',
+        data: { briefingId: briefing.id, scheduleId, userId, categories: request.categories, language: request.language }
+    });
+    await updateBriefing(briefing.id, { jobId: job.id });
+    console.log(`🎙️  Briefing ${briefing.id} queued (${request.categories.join(', ')}, ${request.language})`);
+    return briefing;
+}
+
+/**
+ * Briefing request of a schedule. Schedules made for a user pick up the user's current
+ * preferences for the fields the schedule did not set.
+ * @param {Object} schedule - Stored schedule
+ * @returns {Object} Briefing request
+ */
+function scheduledBriefingRequest(schedule) {
+    if (!schedule.userId) {
+        return schedule.request;
+    }
+    const { request, error } = parseBriefingRequest(applyUserPreferences(schedule.userId, schedule.input));
+    if (error) {
+        console.warn(`⚠️  Schedule ${schedule.id}: preferences of ${schedule.userId} no longer valid (${error}), using saved request`);
+        return schedule.request;
+    }
+    return request;
+}
+
+/**
+ * Start the briefings of schedules that are due (checked every minute)
+ */
+async function runDueSchedules() {
+    const now = new Date();
+    const due = briefingStore.read().schedules.filter(schedule => isScheduleDue(schedule, now));
+    for (const schedule of due) {
+        try {
+            // Marked first so a slow start is never picked up twice
+            const { day } = localDateTime(now, schedule.timeZone);
+            await briefingStore.update(() => {
+                schedule.lastRunDay = day;
+            });
+            const briefing = await startBriefing(scheduledBriefingRequest(schedule), { scheduleId: schedule.id, userId: schedule.userId });
+            await briefingStore.update(() => {
+                schedule.lastBriefingId = briefing.id;
+            });
+        } catch (error) {
+            console.error(`❌ Scheduled briefing ${schedule.id} failed to start:`, error.message);
+        }
+    }
+}
+
+/**
+ * Create a briefing
+ * POST /briefings
+ * Body: { categories?: string[] (default ['general']), country?, language?, voice?, targetMinutes?: number (1-30),
+ *         source?, timeZone? (date spoken in the intro), rate?, pitch?, temperature?, sampleRate?, ..., userId? }
+ * With a user (userId or X-User-Id), omitted fields come from the user's preferences
+ * Returns: 202 with the briefing; poll GET /briefings/:id until status is 'completed'
+ */
+app.post('/briefings', async (req, res) => {
+    try {
+        const { input, userId, error: userError } = withUserPreferences(req, req.body || {});
+        const { request, error } = userError ? { error: userError } : parseBriefingRequest(input);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        if (!ttsProviders.hasSpeechProvider()) {
+            return res.status(503).json({
+                success: false,
+                error: 'TTS service temporarily unavailable. Please check your Inworld AI configuration.'
+            });
+        }
+
+        const briefing = await startBriefing(request, { userId });
+        res.status(202).json({
+            success: true,
+            briefing,
+            briefingUrl: `/briefings/${briefing.id}`,
+            jobUrl: `/jobs/${briefing.jobId}`
+        });
+    } catch (error) {
+        console.error('❌ Briefing error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create briefing',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Create a daily briefing schedule
+ * POST /briefings/schedules
+ * Body: { time: 'HH:MM', timeZone?: IANA zone (server time by default), ...same fields as POST /briefings }
+ * A schedule made for a user follows later changes to the user's preferences
+ * The briefing is generated once a day after `time`, ready for GET /briefings?scheduleId=...&status=completed
+ */
+app.post('/briefings/schedules', async (req, res) => {
+    try {
+        const { time } = req.body || {};
+        if (typeof time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+            return res.status(400).json({
+                success: false,
+                error: "time must be 'HH:MM' (24-hour)"
+            });
+        }
+
+        const fields = { ...req.body };
+        delete fields.time;
+        delete fields.userId;
+        const { input, userId, error: userError } = withUserPreferences(req, fields);
+        const { request, error } = userError ? { error: userError } : parseBriefingRequest(input);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const schedule = {
+            id: `sch_${crypto.randomUUID()}`,
+            time,
+            timeZone: request.timeZone,
+            request,
+            // A user's schedule keeps its own fields and re-reads the user's preferences on every run
+            userId,
+            input: userId ? fields : undefined,
+            createdAt: new Date().toISOString(),
+            lastRunDay: null,
+            lastBriefingId: null
+        };
+        await briefingStore.update((data) => {
+            data.schedules.push(schedule);
+        });
+
+        res.status(201).json({
+            success: true,
+            schedule
+        });
+    } catch (error) {
+        console.error('❌ Briefing schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create briefing schedule',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * List briefing schedules
+ * GET /briefings/schedules
+ */
+app.get('/briefings/schedules', (req, res) => {
+    res.json({
+        success: true,
+        schedules: briefingStore.read().schedules
+    });
+});
+
+/**
+ * Delete a briefing schedule
+ * DELETE /briefings/schedules/:id
+ */
+app.delete('/briefings/schedules/:id', async (req, res) => {
+    const removed = await briefingStore.update((data) => {
+        const index = data.schedules.findIndex(schedule => schedule.id === req.params.id);
+        return index >= 0 ? data.schedules.splice(index, 1)[0] : null;
+    });
+
+    if (!removed) {
+        return res.status(404).json({
+            success: false,
+            error: 'Schedule not found'
+        });
+    }
+    res.json({
+        success: true,
+        schedule: removed
+    });
+});
+
+/**
+ * List recent briefings, newest first
+ * GET /briefings?scheduleId=...&userId=...&status=completed&limit=10
+ */
+app.get('/briefings', (req, res) => {
+    const { scheduleId, userId, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, BRIEFING_HISTORY_LIMIT);
+    const briefings = briefingStore.read().briefings
+        .filter(briefing => (!scheduleId || briefing.scheduleId === scheduleId)
+            && (!userId || briefing.userId === userId)
+            && (!status || briefing.status === status))
+        .slice(0, limit);
+
+    res.json({
+        success: true,
+        briefings
+    });
+});
+
+/**
+ * Get a briefing
+ * GET /briefings/:id
+ * Returns: the briefing with status, audioUrl, durationMs and chapters ({ title, kind, category, articleId, startMs, endMs })
+ */
+app.get('/briefings/:id', (req, res) => {
+    const briefing = briefingStore.read().briefings.find(entry => entry.id === req.params.id);
+    if (!briefing) {
+        return res.status(404).json({
+            success: false,
+            error: 'Briefing not found'
+        });
+    }
+
+    const job = briefing.status === 'running' ? audioJobs.get(briefing.jobId) : null;
+    res.json({
+        success: true,
+        briefing: { ...briefing, stage: job ? job.stage : undefined }
+    });
+});
+
+/**
+ * Podcast feed of completed briefings
+ * GET /feeds/:feedId/podcast.xml
+ * :feedId is a briefing schedule ID (one feed per daily briefing) or 'all' for every briefing.
+ * Enclosures point at /audio/:audioId (MP3 when ffmpeg is available and the episode was encoded,
+ * WAV otherwise); episodes whose audio has expired, or whose record cannot be rendered, are left out.
+ * Returns: RSS 2.0 with iTunes tags
+ */
+app.get('/feeds/:feedId/podcast.xml', async (req, res) => {
+    try {
+        const { feedId } = req.params;
+        const { schedules, briefings } = briefingStore.read();
+        const schedule = schedules.find(entry => entry.id === feedId);
+        if (!schedule && feedId !== 'all') {
+            return res.status(404).json({
+                success: false,
+                error: 'Feed not found'
+            });
+        }
+
+        const baseUrl = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+        const format = encoderAvailable ? PODCAST_FORMAT : 'wav';
+        const completed = briefings
+            .filter(briefing => briefing.status === 'completed' && (!schedule || briefing.scheduleId === schedule.id))
+            .slice(0, PODCAST_EPISODE_LIMIT);
+
+        // Each episode is built on its own, so one bad record only drops that episode
+        const episodes = [];
+        for (const briefing of completed) {
+            try {
+                const source = briefing.audioId && briefingAudio.peek(briefing.audioId);
+                if (!source) {
+                    continue;
+                }
+                // Enclosures need the byte length. Briefings are encoded when generated; when that
+                // failed the episode is offered as WAV rather than encoded during the feed request
+                const variant = format === 'wav' ? null : briefingAudio.peek(`${briefing.audioId}.${format}`);
+                const episodeFormat = variant ? format : 'wav';
+
+                const { language, timeZone } = briefing.request;
+                episodes.push({
+                    guid: briefing.id,
+                    title: new Intl.DateTimeFormat(language, { dateStyle: 'full', timeZone }).format(new Date(briefing.createdAt)),
+                    publishedAt: new Date(briefing.completedAt),
+                    durationMs: briefing.durationMs,
+                    chapters: briefing.chapters,
+                    enclosure: {
+                        url: `${baseUrl}/audio/${briefing.audioId}?format=${episodeFormat}`,
+                        length: (variant || source).size,
+                        type: contentTypeFor(episodeFormat)
+                    }
+                });
+            } catch (error) {
+                console.warn(`⚠️  Podcast feed: skipping briefing ${briefing.id}:`, error.message);
+            }
+        }
+
+        const request = schedule ? schedule.request : null;
+        const xml = buildPodcastFeed({
+            title: request ? `News Briefing: ${request.categories.join(', ')}` : 'TTSNewsReader Briefings',
+            description: request
+                ? `Daily ${request.categories.join(', ')} news briefing, generated at ${schedule.time}${schedule.timeZone ? ` (${schedule.timeZone})` : ''}.`
+                : 'News briefings generated by TTSNewsReader.',
+            language: request ? request.language : 'en-US',
+            link: baseUrl,
+            feedUrl: `${baseUrl}${req.originalUrl.split('?')[0]}`,
+            imageUrl: process.env.PODCAST_IMAGE_URL,
+            episodes
+        });
+
+        res.set('Cache-Control', 'public, max-age=300');
+        res.type('application/rss+xml; charset=utf-8').send(xml);
+    } catch (error) {
+        console.error('❌ Podcast feed error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build podcast feed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Engagement events from the app (the interactions MetricsModel counts), appended to DATA_DIR/events.
+// The last AFFINITY_WINDOW_DAYS are also indexed by user for headline ranking
+const AFFINITY_WINDOW_DAYS = 30;
+const eventStore = createEventStore({
+    directory: process.env.DATA_DIR ? path.join(process.env.DATA_DIR, 'events') : undefined,
+    userIndexDays: AFFINITY_WINDOW_DAYS
+});
+const EVENT_BATCH_LIMIT = 500;
+const AGGREGATE_MAX_DAYS = 90;
+
+/**
+ * Category and source affinities of a user from their events of the last 30 days
+ * @param {string} userId - User ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Affinities (see buildAffinities)
+ */
+function getUserAffinities(userId, now) {
+    const events = eventStore.readUser(userId, new Date(now - AFFINITY_WINDOW_DAYS * 86400000), new Date(now + 1));
+    return buildAffinities(events, now);
+}
+
+/**
+ * Ingest engagement events
+ * POST /events
+ * Body: [{ type, timestamp, id?, userId?, sessionId?, articleId?, category?, source?, voice?, language?, fromLanguage? }]
+ *    or { events: [...] }, or NDJSON (Content-Type: application/x-ndjson); at most 500 events per batch
+ * type: articleView | headlineListen | skip | repeat | moreOnThis | languageChange
+ * Valid events are stored even when others in the batch are rejected; a retried batch with the
+ * same event ids is not counted twice. Events about an article served recently get its source and
+ * category filled in when the client leaves them out.
+ * Returns: { accepted, duplicates, rejected: [{ index, error }] }
+ */
+app.post('/events', express.text({ type: 'application/x-ndjson', limit: '5mb' }), async (req, res) => {
+    try {
+        let inputs;
+        if (typeof req.body === 'string') {
+            inputs = [];
+            for (const line of req.body.split('\n').filter(value => value.trim())) {
+                try {
+                    inputs.push(JSON.parse(line));
+                } catch (error) {
+                    inputs.push(null);
+                }
+            }
+        } else {
+            inputs = Array.isArray(req.body) ? req.body : req.body && req.body.events;
+        }
+        if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > EVENT_BATCH_LIMIT) {
+            return res.status(400).json({
+                success: false,
+                error: `Send 1-${EVENT_BATCH_LIMIT} events`
+            });
+        }
+
+        const now = Date.now();
+        const events = [];
+        const rejected = [];
+        inputs.forEach((input, index) => {
+            const { event, error } = validateEvent(input, now);
+            if (error) {
+                rejected.push({ index, error });
+                return;
+            }
+            const article = event.articleId && knownArticles.get(event.articleId);
+            if (article && !event.source) {
+                event.source = article.source.name;
+            }
+            if (article && !event.category && article.category) {
+                event.category = article.category;
+            }
+            events.push(event);
+        });
+        if (events.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No valid events',
+                rejected: rejected.slice(0, 50)
+            });
+        }
+
+        const { stored, duplicates } = await eventStore.append(events);
+        res.json({
+            success: true,
+            accepted: stored,
+            duplicates,
+            rejected: rejected.slice(0, 50)
+        });
+    } catch (error) {
+        console.error('❌ Event ingestion error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to store events',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Engagement figures over a time window
+ * GET /events/aggregates?from=2026-01-01&to=2026-01-08&groupBy=voice,language&interval=day
+ * from/to: ISO dates (default: the last 7 days, at most 90 days); groupBy: any of category, voice, language;
+ * interval: hour | day | week (UTC) or omitted for one row per group
+ * Returns: { groups: [{ period?, category?, voice?, language?, articleViews, headlineListens, skips, repeats,
+ *            moreOnThisRequests, languageChanges, engagementRate, averageListensPerArticle, skipRate }], totals }
+ * Rates are per article view, as in the app's MetricsModel; null when there were no views.
+ */
+app.get('/events/aggregates', async (req, res) => {
+    try {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 86400000);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            return res.status(400).json({
+                success: false,
+                error: 'from and to must be ISO dates with from before to'
+            });
+        }
+        if (to - from > AGGREGATE_MAX_DAYS * 86400000) {
+            return res.status(400).json({
+                success: false,
+                error: `The window can span at most ${AGGREGATE_MAX_DAYS} days`
+            });
+        }
+
+        const groupBy = req.query.groupBy
+            ? Array.from(new Set(String(req.query.groupBy).split(',').map(field => field.trim())))
+            : [];
+        const unknownField = groupBy.find(field => !GROUP_FIELDS.includes(field));
+        if (unknownField) {
+            return res.status(400).json({
+                success: false,
+                error: `groupBy must list fields from ${GROUP_FIELDS.join(', ')}`
+            });
+        }
+        const { interval } = req.query;
+        if (interval && !INTERVALS.includes(interval)) {
+            return res.status(400).json({
+                success: false,
+                error: `interval must be one of ${INTERVALS.join(', ')}`
+            });
+        }
+
+        const { groups, totals } = await aggregateEngagement(eventStore.read(from, to), {
+            groupBy,
+            interval
+        });
+        res.json({
+            success: true,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            groupBy,
+            interval: interval || null,
+            groups,
+            totals
+        });
+    } catch (error) {
+        console.error('❌ Event aggregation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to aggregate events',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Audio streaming endpoint
+ * GET /audio/:audioId?format=wav|mp3|opus|aac
+ * The format comes from ?format= or the Accept header (WAV by default); encoded copies are cached
+ * Supports Range (single and multi-range), If-Range and If-None-Match
+ * Returns: Audio file as binary stream (200, 206, 304 or 416)
+ */
+app.get('/audio/:audioId', async (req, res) => {
+    try {
+        const { audioId } = req.params;
+        
+        // Retrieve audio from cache (timing tracks share the cache but are not audio)
+        const entry = await audioStoreFor(audioId).get(audioId);
+        
+        if (!entry || entry.metadata.timingOf) {
+            return res.status(404).json({
+                success: false,
+                error: 'Audio not found or expired'
+            });
+        }
+
+        res.set('Vary', 'Accept');
+        const { format, status, error } = resolveOutputFormat(req.query.format, req.get('Accept'));
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        const variant = await getEncodedAudio(audioId, format, entry);
+        const audioBuffer = variant.audio;
+
+        // Clients may cache the audio for as long as we keep it
+        const maxAge = entry.expiresAt === null
+            ? 31536000
+            : Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+
+        res.set('Cache-Control', `public, max-age=${maxAge}`);
+
+        // Stream the audio (whole body, byte ranges or 304 revalidation)
+        sendWithRanges(req, res, audioBuffer, {
+            contentType: variant.contentType,
+            etag: variant.etag,
+            lastModified: new Date(variant.createdAt || entry.createdAt)
+        });
+        
+        console.log(`🎵 Audio streamed: ${audioId} as ${format} (${res.statusCode}, ${audioBuffer.length} bytes)`);
+        
+    } catch (error) {
+        console.error('❌ Audio streaming error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stream audio',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Timing track of synthesized audio
+ * GET /audio/:audioId/captions?format=json|vtt&level=sentence|word
+ * The format also follows the Accept header (text/vtt); JSON by default.
+ * Returns: { durationMs, sentences: [{ index, text, startMs, endMs }], words: [{ text, startMs, endMs }] }
+ *          or a WebVTT document with one cue per sentence (or word)
+ */
+app.get('/audio/:audioId/captions', async (req, res) => {
+    try {
+        const { audioId } = req.params;
+        const { level = 'sentence' } = req.query;
+        const format = req.query.format || (/\btext\/vtt\b/.test(req.get('Accept') || '') ? 'vtt' : 'json');
+
+        if (!['json', 'vtt'].includes(format) || !['sentence', 'word'].includes(level)) {
+            return res.status(400).json({
+                success: false,
+                error: "format must be 'json' or 'vtt' and level must be 'sentence' or 'word'"
+            });
+        }
+
+        const entry = await audioCache.get(`${audioId}.timing`);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Captions not found or expired'
+            });
+        }
+
+        const timing = JSON.parse(entry.audio.toString('utf8'));
+        res.set('Vary', 'Accept');
+
+        if (format === 'vtt') {
+            return res.type('text/vtt; charset=utf-8').send(toWebVTT(timing, level));
+        }
+        res.json({
+            success: true,
+            audioId,
+            ...timing
+        });
     } catch (error) {
-        console.error('❌ Audio streaming error:', error);
+        console.error('❌ Captions error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to stream audio'
+            error: 'Failed to load captions',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
 /**
  * Get supported voices/languages
+ * GET /voices?language=es-ES
+ * Returns: { voices: [{ code, name, voice }] - one entry per locale, voice is its default voice ID
+ *            (the shape shipped app builds read), catalog: [{ id, displayName, gender, languages, provider, previewUrl }] }
  */
 app.get('/voices', async (req, res) => {
     try {
-        // Return supported languages from your iOS app
-        const supportedVoices = [
-            { code: 'en-US', name: 'English (US)', voice: 'default' },
-            { code: 'es-ES', name: 'Spanish (Spain)', voice: 'default' },
-            { code: 'fr-FR', name: 'French (France)', voice: 'default' },
-            { code: 'de-DE', name: 'German (Germany)', voice: 'default' },
-            { code: 'it-IT', name: 'Italian (Italy)', voice: 'default' },
-            { code: 'pt-BR', name: 'Portuguese (Brazil)', voice: 'default' },
-            { code: 'ja-JP', name: 'Japanese (Japan)', voice: 'default' },
-            { code: 'ko-KR', name: 'Korean (South Korea)', voice: 'default' },
-            { code: 'zh-CN', name: 'Chinese (Simplified)', voice: 'default' }
-        ];
+        const { language } = req.query;
+        const languages = voiceCatalog.listLanguages();
 
         res.json({
             success: true,
-            voices: supportedVoices
+            voices: language ? languages.filter(entry => entry.code === language) : languages,
+            catalog: voiceCatalog.list({ language }).map(voice => ({
+                ...voice,
+                previewUrl: voice.previewUrl || `/voices/${encodeURIComponent(voice.id)}/preview`
+            })),
+            defaultVoice: language ? voiceCatalog.getDefaultVoice(language) : undefined,
+            source: voiceCatalog.getStats().source
         });
     } catch (error) {
         console.error('❌ Error fetching voices:', error);
@@ -677,17 +2806,392 @@ app.get('/voices', async (req, res) => {
     }
 });
 
+/**
+ * Voice preview
+ * GET /voices/:voiceId/preview?language=fr-FR&format=mp3
+ * Speaks a short localized sample sentence; language defaults to the voice's own language.
+ * Returns: Audio file (format negotiated like /audio/:audioId)
+ */
+app.get('/voices/:voiceId/preview', async (req, res) => {
+    try {
+        const voice = voiceCatalog.get(req.params.voiceId);
+        if (!voice) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown voice "${req.params.voiceId}" (see GET /voices)`
+            });
+        }
+
+        const language = req.query.language || voiceCatalog.getPreviewLanguage(voice);
+        if (!voiceCatalog.isSupportedLanguage(language)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported language "${language}"`
+            });
+        }
+
+        res.set('Vary', 'Accept');
+        const { format, status, error } = resolveOutputFormat(req.query.format, req.get('Accept'));
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        if (!ttsProviders.hasSpeechProvider()) {
+            return res.status(503).json({
+                success: false,
+                error: 'TTS service temporarily unavailable. Please check your Inworld AI configuration.'
+            });
+        }
+
+        const preview = await getVoicePreview(voice, language);
+        const variant = await getEncodedAudio(preview.audioId, format, preview);
+
+        res.set({
+            'Cache-Control': 'public, max-age=86400',
+            'X-TTS-Voice': voice.id,
+            'X-TTS-Language': language,
+            'X-TTS-Cache': preview.cached ? 'HIT' : 'MISS',
+            'X-Audio-Id': preview.audioId
+        });
+        sendWithRanges(req, res, variant.audio, {
+            contentType: variant.contentType,
+            etag: variant.etag || createETag(variant.audio)
+        });
+    } catch (error) {
+        console.error('❌ Voice preview error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate voice preview',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Canonical language of a lexicon route, or null after sending a 400
+ */
+function lexiconLanguage(req, res) {
+    const language = canonicalLanguage(req.params.language);
+    if (!language) {
+        res.status(400).json({
+            success: false,
+            error: `Invalid language: ${req.params.language} (expected e.g. 'en' or 'en-US')`
+        });
+    }
+    return language;
+}
+
+/**
+ * Languages that have lexicon entries
+ * GET /lexicon
+ */
+app.get('/lexicon', (req, res) => {
+    res.json({
+        success: true,
+        languages: lexicon.listLanguages()
+    });
+});
+
+/**
+ * List lexicon entries
+ * GET /lexicon/:language/entries?voice=Ashley
+ * :language is a base language ('en', every English locale) or a locale ('en-GB')
+ * Returns: { entries: [{ id, language, grapheme, phoneme, alias, voice, caseSensitive, createdAt, updatedAt }] }
+ */
+app.get('/lexicon/:language/entries', (req, res) => {
+    const language = lexiconLanguage(req, res);
+    if (!language) {
+        return;
+    }
+    const voice = req.query.voice ? voiceCatalog.get(req.query.voice) : undefined;
+    if (voice === null) {
+        return res.status(400).json({
+            success: false,
+            error: validateVoice(req.query.voice)
+        });
+    }
+
+    res.json({
+        success: true,
+        language,
+        entries: lexicon.list(language, { voice: voice && voice.id })
+    });
+});
+
+/**
+ * Add a lexicon entry
+ * POST /lexicon/:language/entries
+ * Body: { grapheme: string, phoneme?: string (IPA) | alias?: string, voice?: string, caseSensitive?: boolean }
+ * Returns: 201 with the entry; 409 when the grapheme already has an entry for that voice
+ */
+app.post('/lexicon/:language/entries', async (req, res) => {
+    try {
+        const language = lexiconLanguage(req, res);
+        if (!language) {
+            return;
+        }
+        const { entry, error, conflict } = await lexicon.add(language, req.body || {});
+        if (error) {
+            return res.status(conflict ? 409 : 400).json({
+                success: false,
+                error,
+                entry: conflict
+            });
+        }
+
+        console.log(`📖 Lexicon ${language}: added "${entry.grapheme}"`);
+        res.status(201).json({
+            success: true,
+            entry
+        });
+    } catch (error) {
+        console.error('❌ Lexicon error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add lexicon entry',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Get a lexicon entry
+ * GET /lexicon/:language/entries/:id
+ */
+app.get('/lexicon/:language/entries/:id', (req, res) => {
+    const language = lexiconLanguage(req, res);
+    if (!language) {
+        return;
+    }
+    const entry = lexicon.get(language, req.params.id);
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: 'Lexicon entry not found'
+        });
+    }
+    res.json({
+        success: true,
+        entry
+    });
+});
+
+/**
+ * Replace a lexicon entry
+ * PUT /lexicon/:language/entries/:id
+ * Body: same as POST /lexicon/:language/entries
+ */
+app.put('/lexicon/:language/entries/:id', async (req, res) => {
+    try {
+        const language = lexiconLanguage(req, res);
+        if (!language) {
+            return;
+        }
+        const result = await lexicon.update(language, req.params.id, req.body || {});
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Lexicon entry not found'
+            });
+        }
+        if (result.error) {
+            return res.status(result.conflict ? 409 : 400).json({
+                success: false,
+                error: result.error,
+                entry: result.conflict
+            });
+        }
+
+        res.json({
+            success: true,
+            entry: result.entry
+        });
+    } catch (error) {
+        console.error('❌ Lexicon error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update lexicon entry',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Delete a lexicon entry
+ * DELETE /lexicon/:language/entries/:id
+ */
+app.delete('/lexicon/:language/entries/:id', async (req, res) => {
+    const language = lexiconLanguage(req, res);
+    if (!language) {
+        return;
+    }
+    const removed = await lexicon.remove(language, req.params.id);
+    if (!removed) {
+        return res.status(404).json({
+            success: false,
+            error: 'Lexicon entry not found'
+        });
+    }
+    res.json({
+        success: true,
+        entry: removed
+    });
+});
+
+/**
+ * Export a language's lexicon
+ * GET /lexicon/:language/export?format=json|pls&voice=Ashley
+ * JSON holds every entry. PLS has no voices or case sensitivity: it holds the entries for all
+ * voices, plus those of ?voice= when given (which win over a general entry for the same grapheme).
+ */
+app.get('/lexicon/:language/export', (req, res) => {
+    const language = lexiconLanguage(req, res);
+    if (!language) {
+        return;
+    }
+    const format = (req.query.format || 'json').toLowerCase();
+    if (format !== 'json' && format !== 'pls') {
+        return res.status(400).json({
+            success: false,
+            error: "format must be 'json' or 'pls'"
+        });
+    }
+    const voice = req.query.voice ? voiceCatalog.get(req.query.voice) : undefined;
+    if (voice === null) {
+        return res.status(400).json({
+            success: false,
+            error: validateVoice(req.query.voice)
+        });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="lexicon-${language}.${format}"`);
+    if (format === 'json') {
+        return res.json({
+            language,
+            entries: lexicon.list(language, { voice: voice && voice.id })
+        });
+    }
+
+    const entries = lexicon.list(language, { voice: voice ? voice.id : null });
+    const overridden = new Set(entries.filter(entry => entry.voice).map(entry => entry.grapheme.toLowerCase()));
+    res.type('application/pls+xml; charset=utf-8').send(toPLS(language,
+        entries.filter(entry => entry.voice || !overridden.has(entry.grapheme.toLowerCase()))));
+});
+
+/**
+ * Import lexicon entries in bulk
+ * POST /lexicon/:language/import?format=json|pls&mode=merge|replace&voice=Ashley
+ * Body: { entries: [...] } (or a bare array) as JSON, or a PLS document (Content-Type: application/pls+xml)
+ * mode=merge (default) updates entries with the same grapheme and voice and adds the rest;
+ * mode=replace removes the language's entries first. ?voice= scopes entries that name no voice.
+ * Nothing is imported when any entry is invalid.
+ * Returns: { added, updated, warnings }
+ */
+app.post('/lexicon/:language/import',
+    express.text({ type: ['application/pls+xml', 'application/xml', 'text/xml'], limit: '5mb' }),
+    async (req, res) => {
+        try {
+            const language = lexiconLanguage(req, res);
+            if (!language) {
+                return;
+            }
+            const format = (req.query.format || (typeof req.body === 'string' ? 'pls' : 'json')).toLowerCase();
+            const mode = (req.query.mode || 'merge').toLowerCase();
+            if ((format !== 'json' && format !== 'pls') || (mode !== 'merge' && mode !== 'replace')) {
+                return res.status(400).json({
+                    success: false,
+                    error: "format must be 'json' or 'pls' and mode 'merge' or 'replace'"
+                });
+            }
+
+            let inputs;
+            const warnings = [];
+            if (format === 'pls') {
+                if (typeof req.body !== 'string') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Send PLS documents with Content-Type: application/pls+xml'
+                    });
+                }
+                let parsed;
+                try {
+                    parsed = parsePLS(req.body);
+                } catch (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+                if (parsed.language && canonicalLanguage(parsed.language) !== language) {
+                    warnings.push(`document language ${parsed.language} imported into ${language}`);
+                }
+                warnings.push(...parsed.warnings);
+                inputs = parsed.entries;
+            } else {
+                inputs = Array.isArray(req.body) ? req.body : req.body && req.body.entries;
+                if (!Array.isArray(inputs)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Body must be { entries: [...] }'
+                    });
+                }
+            }
+
+            const result = await lexicon.import(language, inputs, { replace: mode === 'replace', voice: req.query.voice });
+            if (result.errors) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid lexicon entries',
+                    errors: result.errors.slice(0, 50)
+                });
+            }
+
+            console.log(`📖 Lexicon ${language}: imported ${result.added} new, ${result.updated} updated (${format}, ${mode})`);
+            res.json({
+                success: true,
+                language,
+                added: result.added,
+                updated: result.updated,
+                warnings
+            });
+        } catch (error) {
+            console.error('❌ Lexicon import error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to import lexicon',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    });
+
 /**
  * Main TTS endpoint
  * POST /tts
- * Body: { text: string, language?: string, voice?: string }
- * Returns: Audio file as binary data
+ * Body: { text: string, language?: string, voice?: string,
+ *         rate?: number (0.5-2), pitch?: number (-5-5), temperature?: number (0.1-2), sampleRate?: number,
+ *         sentencePauseMs?: number, paragraphPauseMs?: number }
+ *    or { ssml: string, ... } - SSML subset (break, emphasis, say-as, prosody, sub; see ssml.js)
+ * Output format: body format ('wav' | 'mp3' | 'opus' | 'aac') or the Accept header; WAV by default
+ * Long text is chunked on sentence/paragraph boundaries and stitched into one WAV;
+ * blank lines in the text mark paragraph breaks.
+ * Returns: Audio file as binary data; markup that could not be honoured is listed in X-TTS-Warnings
  */
 app.post('/tts', async (req, res) => {
     try {
-        const { text, language = 'en-US', voice = 'default' } = req.body;
+        const { ssml, language = 'en-US', voice = 'default' } = req.body;
+        const text = ssml !== undefined ? ssml : req.body.text;
 
         // Validation
+        if (ssml !== undefined && req.body.text !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Send either text or ssml, not both'
+            });
+        }
+
         if (!text || typeof text !== 'string' || text.trim().length === 0) {
             return res.status(400).json({
                 success: false,
@@ -695,18 +3199,54 @@ app.post('/tts', async (req, res) => {
             });
         }
 
-        if (text.length > 5000) {
+        if (text.length > MAX_TTS_TEXT_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Text is too long (max ${MAX_TTS_TEXT_LENGTH} characters)`
+            });
+        }
+
+        const { options, error: optionsError } = parseSynthesisOptions(req.body);
+        if (optionsError) {
+            return res.status(400).json({
+                success: false,
+                error: optionsError
+            });
+        }
+
+        const voiceError = validateVoice(voice);
+        if (voiceError) {
             return res.status(400).json({
                 success: false,
-                error: 'Text is too long (max 5000 characters)'
+                error: voiceError
+            });
+        }
+
+        const { format, status: formatStatus, error: formatError } = resolveOutputFormat(req.body.format, req.get('Accept'));
+        if (formatError) {
+            return res.status(formatStatus).json({
+                success: false,
+                error: formatError
             });
         }
 
+        if (ssml !== undefined) {
+            try {
+                parseSSML(ssml, { language });
+            } catch (error) {
+                return res.status(error.status || 400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            options.textType = 'ssml';
+        }
+
         console.log(`📝 TTS request received - Language: ${language}, Text length: ${text.length}`);
 
-        // Check if Inworld API is configured
-        if (!checkInworldConfig()) {
-            console.warn('⚠️  Inworld API not configured, using fallback response');
+        // Check a real speech provider is configured
+        if (!ttsProviders.hasSpeechProvider()) {
+            console.warn('⚠️  No TTS provider configured, using fallback response');
             return res.status(503).json({
                 success: false,
                 error: 'TTS service temporarily unavailable. Please check your Inworld AI configuration.',
@@ -715,16 +3255,27 @@ app.post('/tts', async (req, res) => {
         }
 
         // Generate TTS audio
-        const audioBuffer = await generateTTSAudio(text, language, voice);
+        const synthesis = await synthesizeWithCache(text, language, voice, options);
+        const { audioId, provider, warnings, cached } = synthesis;
+        const { audio: audioBuffer, contentType } = await getEncodedAudio(audioId, format, synthesis);
 
         // Set appropriate headers for audio response
         res.set({
-            'Content-Type': 'audio/wav',
+            'Content-Type': contentType,
+            'Vary': 'Accept',
             'Content-Length': audioBuffer.length,
             'Cache-Control': 'no-cache',
             'X-TTS-Language': language,
-            'X-TTS-Voice': voice
+            'X-TTS-Voice': voice,
+            'X-TTS-Provider': provider,
+            'X-TTS-Cache': cached ? 'HIT' : 'MISS',
+            'X-Audio-Id': audioId,
+            'X-Captions-Url': `/audio/${audioId}/captions`
         });
+        if (warnings.length > 0) {
+            // Header values must stay printable ASCII
+            res.set('X-TTS-Warnings', warnings.join('; ').replace(/[^\x20-\x7E]/g, '?'));
+        }
 
         // Send audio data
         res.send(audioBuffer);
@@ -734,14 +3285,132 @@ app.post('/tts', async (req, res) => {
     } catch (error) {
         console.error('❌ TTS endpoint error:', error);
         
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Internal server error during TTS generation',
+            error: error.status ? error.message : 'Internal server error during TTS generation',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
+/**
+ * Streaming TTS endpoint
+ * POST /tts/stream
+ * Body: { text: string, language?: string, voice?: string, format?: 'wav' | 'pcm', framing?: 'raw' | 'ndjson',
+ *         rate?, pitch?, temperature?, sampleRate?, sentencePauseMs?, paragraphPauseMs? }
+ * Returns: Chunked audio, sent as soon as each TTS chunk is synthesized.
+ *   raw    - audio bytes only (streaming WAV with an open-ended header, or 16-bit PCM);
+ *            the text alignment of every chunk follows in the X-TTS-Alignment trailer
+ *   ndjson - one JSON line per chunk: { seq, text, startMs, endMs, audio (base64) }
+ */
+app.post('/tts/stream', async (req, res) => {
+    const { text, language = 'en-US', voice = 'default', format = 'wav', framing = 'raw' } = req.body;
+
+    // Validation
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Text is required and must be a non-empty string'
+        });
+    }
+
+    if (text.length > MAX_TTS_TEXT_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `Text is too long (max ${MAX_TTS_TEXT_LENGTH} characters)`
+        });
+    }
+
+    const { options, error: optionsError } = parseSynthesisOptions(req.body);
+    if (optionsError) {
+        return res.status(400).json({
+            success: false,
+            error: optionsError
+        });
+    }
+
+    const voiceError = validateVoice(voice);
+    if (voiceError) {
+        return res.status(400).json({
+            success: false,
+            error: voiceError
+        });
+    }
+
+    if (!STREAM_FORMATS.includes(format) || !STREAM_FRAMINGS.includes(framing)) {
+        return res.status(400).json({
+            success: false,
+            error: "format must be 'wav' or 'pcm' and framing must be 'raw' or 'ndjson'"
+        });
+    }
+
+    if (!ttsProviders.hasSpeechProvider()) {
+        return res.status(503).json({
+            success: false,
+            error: 'TTS service temporarily unavailable. Please check your Inworld AI configuration.',
+            fallback: true
+        });
+    }
+
+    console.log(`📝 Streaming TTS request - Language: ${language}, Format: ${format}/${framing}, Text length: ${text.length}`);
+
+    const chunks = streamTTSAudio(text, language, voice, options);
+    let clientGone = false;
+    res.on('close', () => {
+        clientGone = !res.writableEnded;
+    });
+
+    const framer = createStreamFramer({ format, framing });
+
+    try {
+        for await (const chunk of chunks) {
+            if (clientGone) {
+                // Leaving the loop closes the iterator, which stops the provider and cleans up its graph
+                console.log('🔌 Client disconnected, TTS stream stopped');
+                return;
+            }
+
+            // Headers go out with the first chunk, once we know which provider answered
+            if (!res.headersSent) {
+                res.status(200).set({
+                    'Content-Type': framer.contentType(chunk.sampleRate),
+                    'Cache-Control': 'no-cache',
+                    'X-TTS-Language': language,
+                    'X-TTS-Voice': voice,
+                    'X-TTS-Provider': chunk.provider,
+                    'X-TTS-Sample-Rate': String(chunk.sampleRate)
+                });
+                if (framing === 'raw') {
+                    res.set('Trailer', 'X-TTS-Alignment');
+                }
+                res.flushHeaders();
+            }
+
+            res.write(framer.frame(chunk));
+        }
+
+        if (framing === 'raw') {
+            res.addTrailers({ 'X-TTS-Alignment': JSON.stringify(framer.alignment) });
+        }
+        res.end();
+
+        console.log(`✅ TTS stream finished (${framer.alignment.length} chunks, ${framer.sentSamples} samples)`);
+
+    } catch (error) {
+        console.error('❌ TTS stream error:', error);
+
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error during TTS generation',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+        // Audio already started: all we can do is cut the stream short
+        res.destroy(error);
+    }
+});
+
 /**
  * Error handling middleware
  */
@@ -763,17 +3432,26 @@ app.use('*', (req, res) => {
     });
 });
 
+/**
+ * Write the audio cache indexes that are waiting for their batched write
+ */
+async function flushAudioCaches() {
+    await Promise.all([audioCache, articleTextCache, briefingAudio].map(cache => cache.flush()));
+}
+
 /**
  * Graceful shutdown handling
  */
 process.on('SIGTERM', async () => {
     console.log('🛑 SIGTERM received, shutting down gracefully...');
+    await flushAudioCaches();
     await cleanupInworldResources();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('🛑 SIGINT received, shutting down gracefully...');
+    await flushAudioCaches();
     await cleanupInworldResources();
     process.exit(0);
 });
@@ -788,24 +3466,50 @@ async function startServer() {
         // Check Inworld AI configuration
         const inworldConfigured = checkInworldConfig();
         
-        // Check News API configuration
-        const newsApiConfigured = checkNewsApiConfig();
+        // Check the default news source configuration
+        const newsApiConfigured = newsSources.get().isConfigured();
+
+        // Load the persisted audio cache index before serving audio
+        await audioCache.init();
+        await articleTextCache.init();
+        await briefingAudio.init();
+        await voiceCatalog.start();
+        await briefingStore.load();
+        await lexicon.load();
+        await userProfiles.load();
+        await eventStore.init();
+
+        // Compressed output formats need ffmpeg; WAV works without it
+        encoderAvailable = await isEncoderAvailable();
         
         // Start Express server
         app.listen(PORT, () => {
             console.log(`🚀 TTSNewsReader Backend Server running on port ${PORT}`);
             console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
             console.log(`🔧 Inworld AI: ${inworldConfigured ? 'Configured' : 'Not configured'}`);
-            console.log(`📰 News API: ${newsApiConfigured ? 'Configured' : 'Not configured'}`);
+            console.log(`📰 News source (${newsSources.defaultName}): ${newsApiConfigured ? 'Configured' : 'Not configured'}`);
             console.log(`📡 Health check: http://localhost:${PORT}/health`);
             console.log(`🎵 Unified endpoint: http://localhost:${PORT}/news-audio`);
+            console.log(`🗜️  Compressed audio (ffmpeg): ${encoderAvailable ? 'Available' : 'Not available, WAV only'}`);
             
             if (!inworldConfigured) {
                 console.warn('⚠️  Warning: Inworld AI not properly configured. TTS will use fallback audio.');
             }
             
             if (!newsApiConfigured) {
-                console.warn('⚠️  Warning: News API not configured. News fetching will fail.');
+                console.warn(`⚠️  Warning: News source "${newsSources.defaultName}" not configured. News fetching will fail.`);
+            }
+
+            // Scheduled briefings are checked once a minute
+            const checkSchedules = () => runDueSchedules().catch((error) => {
+                console.error('❌ Briefing schedule check failed:', error.message);
+            });
+            setInterval(checkSchedules, BRIEFING_CHECK_INTERVAL_MS).unref();
+            checkSchedules();
+
+            // Runs in the background; previews are synthesized on demand until it finishes
+            if (process.env.VOICE_PREVIEW_WARMUP !== 'false' && ttsProviders.hasSpeechProvider()) {
+                warmVoicePreviews().catch(error => console.warn('⚠️  Voice preview warm-up failed:', error.message));
             }
         });
     } catch (error) {
@@ -0,0 +1,177 @@
+/**
+ * Spoken forms of numbers, dates and spelled-out characters
+ * Word tables are kept per locale; languages without a table get null back, and
+ * callers leave the digits in place for the TTS engine to read natively.
+ */
+
+const LOCALES = {
+    en: {
+        ones: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+            'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'],
+        tens: ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'],
+        scales: [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']],
+        hundred: 'hundred',
+        minus: 'minus',
+        point: 'point',
+        months: ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+            'August', 'September', 'October', 'November', 'December'],
+        ordinalExceptions: {
+            one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth',
+            nine: 'ninth', twelve: 'twelfth'
+        }
+    }
+};
+
+/**
+ * Word table for a language code, or null when there is none
+ * @param {string} language - Language code (e.g., 'en-US')
+ */
+function getLocale(language = 'en-US') {
+    return LOCALES[language.split('-')[0].toLowerCase()] || null;
+}
+
+/**
+ * Words for a whole number below one thousand
+ */
+function hundredsToWords(value, locale) {
+    const words = [];
+    if (value >= 100) {
+        words.push(locale.ones[Math.floor(value / 100)], locale.hundred);
+        value %= 100;
+    }
+    if (value >= 20) {
+        const tens = locale.tens[Math.floor(value / 10)];
+        words.push(value % 10 ? `${tens}-${locale.ones[value % 10]}` : tens);
+    } else if (value > 0 || words.length === 0) {
+        words.push(locale.ones[value]);
+    }
+    return words.join(' ');
+}
+
+/**
+ * Words for a whole number
+ */
+function integerToWords(value, locale) {
+    if (value === 0) {
+        return locale.ones[0];
+    }
+    const words = [];
+    let rest = value;
+    for (const [size, name] of locale.scales) {
+        if (rest >= size) {
+            words.push(`${integerToWords(Math.floor(rest / size), locale)} ${name}`);
+            rest %= size;
+        }
+    }
+    if (rest > 0) {
+        words.push(hundredsToWords(rest, locale));
+    }
+    return words.join(' ');
+}
+
+/**
+ * Spell a number out in words
+ * @param {string|number} value - Number, e.g. 42, '-3.75' or '1,200'
+ * @param {string} language - Language code
+ * @returns {string|null} Words, or null when the language has no table or the value is not a number
+ */
+function numberToWords(value, language) {
+    const locale = getLocale(language);
+    const text = String(value).replace(/,/g, '').trim();
+    const match = /^(-)?(\d+)(?:\.(\d+))?$/.exec(text);
+    if (!locale || !match || match[2].length > 15) {
+        return null;
+    }
+
+    const words = [];
+    if (match[1]) {
+        words.push(locale.minus);
+    }
+    words.push(integerToWords(parseInt(match[2], 10), locale));
+    if (match[3]) {
+        words.push(locale.point, ...match[3].split('').map(digit => locale.ones[digit]));
+    }
+    return words.join(' ');
+}
+
+/**
+ * Spell an ordinal out in words ('third', 'twenty-first')
+ * @param {string|number} value - Whole number
+ * @param {string} language - Language code
+ * @returns {string|null} Words, or null when unsupported
+ */
+function ordinalToWords(value, language) {
+    const locale = getLocale(language);
+    const cardinal = /^\d+$/.test(String(value)) ? numberToWords(value, language) : null;
+    if (!cardinal) {
+        return null;
+    }
+    return cardinal.replace(/([a-z]+)$/, (word) => {
+        if (locale.ordinalExceptions[word]) {
+            return locale.ordinalExceptions[word];
+        }
+        return word.endsWith('y') ? `${word.slice(0, -1)}ieth` : `${word}th`;
+    });
+}
+
+/**
+ * Read a year the way it is spoken ('nineteen ninety-nine', 'two thousand five')
+ */
+function yearToWords(year, language) {
+    const locale = getLocale(language);
+    if (!locale || year < 1100 || year > 9999 || (year >= 2000 && year < 2010) || year % 1000 === 0) {
+        return numberToWords(year, language);
+    }
+    const high = Math.floor(year / 100);
+    const low = year % 100;
+    if (low === 0) {
+        return `${integerToWords(high, locale)} ${locale.hundred}`;
+    }
+    return `${integerToWords(high, locale)} ${low < 10 ? `oh ${locale.ones[low]}` : integerToWords(low, locale)}`;
+}
+
+/**
+ * Spell out a date
+ * @param {string} text - Date such as '2024-03-05', '3/5/2024' or '05.03.2024'
+ * @param {string} format - Field order for ambiguous dates: 'mdy', 'dmy' or 'ymd'
+ * @param {string} language - Language code
+ * @returns {string|null} Words ('March fifth, twenty twenty-four'), or null when unsupported
+ */
+function dateToWords(text, format, language) {
+    const locale = getLocale(language);
+    const parts = String(text).trim().split(/[-/.]/).map(part => parseInt(part, 10));
+    if (!locale || parts.length !== 3 || parts.some(Number.isNaN)) {
+        return null;
+    }
+
+    // Four digit leading field is always year-first
+    const order = String(text).trim().match(/^\d{4}/) ? 'ymd' : (format || 'mdy');
+    const fields = {};
+    order.split('').forEach((field, index) => {
+        fields[field] = parts[index];
+    });
+    if (fields.y < 100) {
+        fields.y += 2000;
+    }
+    if (!(fields.m >= 1 && fields.m <= 12 && fields.d >= 1 && fields.d <= 31)) {
+        return null;
+    }
+    return `${locale.months[fields.m - 1]} ${ordinalToWords(fields.d, language)}, ${yearToWords(fields.y, language)}`;
+}
+
+/**
+ * Spell text out character by character ('NVDA' -> 'N V D A')
+ * @param {string} text - Text
+ * @returns {string} Characters separated by spaces
+ */
+function spellCharacters(text) {
+    return Array.from(text.replace(/\s+/g, '')).join(' ');
+}
+
+module.exports = {
+    numberToWords,
+    ordinalToWords,
+    yearToWords,
+    dateToWords,
+    spellCharacters
+};
@@ -0,0 +1,68 @@
+/**
+ * Minimal Server-Sent Events helper
+ * Opens a text/event-stream response, keeps it alive with comment heartbeats
+ * and stops writing once the client disconnects.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Start an SSE response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} [onClose] - Called once when the client disconnects or the stream is closed
+ * @returns {{send: Function, close: Function, isOpen: Function}}
+ */
+function openEventStream(req, res, onClose) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    let open = true;
+    let eventId = 0;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    function cleanup() {
+        if (!open) {
+            return;
+        }
+        open = false;
+        clearInterval(heartbeat);
+        if (onClose) {
+            onClose();
+        }
+    }
+
+    req.on('close', cleanup);
+
+    return {
+        /**
+         * Send one event
+         * @param {string} event - Event name
+         * @param {Object} data - JSON payload
+         */
+        send(event, data) {
+            if (!open) {
+                return;
+            }
+            res.write(`id: ${eventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+
+        close() {
+            cleanup();
+            res.end();
+        },
+
+        isOpen() {
+            return open;
+        }
+    };
+}
+
+module.exports = {
+    openEventStream
+};
@@ -0,0 +1,312 @@
+/**
+ * SSML subset for POST /tts
+ * Parses markup into segments the synthesis pipeline understands:
+ *
+ *   { type: 'text', text, pitch, speakingRate }    // spoken with these prosody settings
+ *   { type: 'break', ms }                          // explicit silence
+ *   { type: 'break', kind: 'sentence'|'paragraph' } // <s>/<p> end, uses the configured pause
+ *
+ * Supported: <speak>, <break time|strength>, <emphasis level>, <prosody rate|pitch>,
+ * <say-as interpret-as="date|number|cardinal|ordinal|characters|spell-out|digits">,
+ * <sub alias>, <p>, <s>. Other elements are dropped (their text is kept) and reported
+ * as warnings rather than failing the request.
+ */
+
+const { decodeHTMLEntities } = require('./article-extractor');
+const { numberToWords, ordinalToWords, dateToWords, spellCharacters } = require('./spoken-forms');
+
+const MAX_BREAK_MS = 5000;
+
+// Inworld inference limits
+const PITCH_RANGE = [-5, 5];
+const SPEAKING_RATE_RANGE = [0.5, 1.5];
+
+const BREAK_STRENGTHS = {
+    'none': 0,
+    'x-weak': 100,
+    'weak': 200,
+    'medium': 400,
+    'strong': 700,
+    'x-strong': 1200
+};
+
+const RATE_KEYWORDS = { 'x-slow': 0.6, 'slow': 0.8, 'medium': 1, 'default': 1, 'fast': 1.2, 'x-fast': 1.4 };
+const PITCH_KEYWORDS = { 'x-low': -4, 'low': -2, 'medium': 0, 'default': 0, 'high': 2, 'x-high': 4 };
+
+// Emphasis is approximated by slowing down and raising pitch
+const EMPHASIS_LEVELS = {
+    strong: { rate: 0.9, pitch: 1.5 },
+    moderate: { rate: 0.95, pitch: 0.75 },
+    none: { rate: 1, pitch: 0 },
+    reduced: { rate: 1.05, pitch: -0.75 }
+};
+
+/**
+ * Error for markup that cannot be parsed; routes answer it with 400
+ */
+function createSSMLError(message) {
+    const error = new Error(`Invalid SSML: ${message}`);
+    error.status = 400;
+    return error;
+}
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+/**
+ * Read one attribute from a tag's attribute string
+ */
+function getAttribute(attributes, name) {
+    const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i').exec(attributes);
+    return match ? decodeHTMLEntities(match[1] ?? match[2]).trim() : null;
+}
+
+/**
+ * Parse a break duration such as '500ms', '1.5s' or '2'
+ */
+function parseBreakTime(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s)?$/i.exec(value);
+    if (!match) {
+        return null;
+    }
+    const ms = (match[2] || 'ms').toLowerCase() === 's' ? parseFloat(match[1]) * 1000 : parseFloat(match[1]);
+    return Math.round(Math.min(ms, MAX_BREAK_MS));
+}
+
+/**
+ * Apply a <prosody rate> value to the current rate: keyword, percentage or multiplier
+ */
+function applyRate(current, value) {
+    if (RATE_KEYWORDS[value] !== undefined) {
+        return current * RATE_KEYWORDS[value];
+    }
+    const match = /^(\d+(?:\.\d+)?)(%)?$/.exec(value);
+    if (!match) {
+        return null;
+    }
+    return current * (match[2] ? parseFloat(match[1]) / 100 : parseFloat(match[1]));
+}
+
+/**
+ * Apply a <prosody pitch> value to the current pitch: keyword, '+2st' / '-1' steps or '+10%'
+ */
+function applyPitch(current, value) {
+    if (PITCH_KEYWORDS[value] !== undefined) {
+        return current + PITCH_KEYWORDS[value];
+    }
+    const match = /^([+-]?\d+(?:\.\d+)?)(st|%)?$/.exec(value);
+    if (!match) {
+        return null;
+    }
+    // Percentages are scaled so +/-50% spans the whole pitch range
+    return current + (match[2] === '%' ? parseFloat(match[1]) / 10 : parseFloat(match[1]));
+}
+
+/**
+ * Expand <say-as> content into the words to speak
+ */
+function interpretSayAs(text, interpretAs, format, language, warnings) {
+    const value = text.trim();
+    let spoken = null;
+    switch (interpretAs) {
+        case 'characters':
+        case 'spell-out':
+            spoken = spellCharacters(value);
+            break;
+        case 'digits':
+            spoken = spellCharacters(value.replace(/\D/g, ''));
+            break;
+        case 'number':
+        case 'cardinal':
+            spoken = numberToWords(value, language);
+            break;
+        case 'ordinal':
+            spoken = ordinalToWords(value.replace(/(st|nd|rd|th)$/i, ''), language);
+            break;
+        case 'date':
+            spoken = dateToWords(value, format, language);
+            break;
+        default:
+            warnings.push(`say-as interpret-as="${interpretAs}" is not supported`);
+            return text;
+    }
+    if (spoken === null) {
+        // Unsupported language or value: let the engine read it as written
+        warnings.push(`say-as ${interpretAs} could not expand "${value.substring(0, 20)}" for ${language}`);
+        return text;
+    }
+    return spoken;
+}
+
+/**
+ * Parse SSML markup into segments
+ * @param {string} markup - SSML, with or without a <speak> root
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language used for say-as expansions
+ * @returns {{segments: Object[], warnings: string[]}}
+ * @throws {Error} With status 400 when tags are mismatched or unclosed
+ */
+function parseSSML(markup, { language = 'en-US' } = {}) {
+    const warnings = [];
+    const segments = [];
+    const stack = [{ tag: '#root', pitch: 0, speakingRate: 1, capture: null }];
+    const top = () => stack[stack.length - 1];
+
+    function appendText(text) {
+        const frame = top();
+        if (frame.capture !== null) {
+            frame.capture.text += text;
+            return;
+        }
+        const last = segments[segments.length - 1];
+        if (last && last.type === 'text' && last.pitch === frame.pitch && last.speakingRate === frame.speakingRate) {
+            last.text += text;
+        } else {
+            segments.push({ type: 'text', text, pitch: frame.pitch, speakingRate: frame.speakingRate });
+        }
+    }
+
+    const tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/)?([a-zA-Z][\w:-]*)([^>]*?)(\/)?>|[^<]+|</g;
+    let match;
+    while ((match = tokenPattern.exec(markup)) !== null) {
+        const [token, closing, rawTag, attributes = '', selfClosing] = match;
+
+        if (!rawTag) {
+            if (token === '<') {
+                throw createSSMLError('stray "<" in text');
+            }
+            if (token[0] !== '<') {
+                appendText(decodeHTMLEntities(token));
+            }
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase();
+
+        if (closing) {
+            if (tag === 'break') {
+                continue; // <break></break> is the same as <break/>
+            }
+            const frame = stack.pop();
+            if (frame.tag !== tag || stack.length === 0) {
+                throw createSSMLError(`unexpected </${tag}>`);
+            }
+            if (frame.onClose) {
+                frame.onClose(frame.capture ? frame.capture.text : '');
+            }
+            continue;
+        }
+
+        if (tag === 'break') {
+            const time = getAttribute(attributes, 'time');
+            const strength = getAttribute(attributes, 'strength');
+            let ms = time !== null ? parseBreakTime(time) : BREAK_STRENGTHS[strength || 'medium'];
+            if (ms === null || ms === undefined) {
+                warnings.push('break with unreadable time/strength replaced by a medium pause');
+                ms = BREAK_STRENGTHS.medium;
+            }
+            if (top().capture === null) {
+                segments.push({ type: 'break', ms });
+            }
+            continue;
+        }
+
+        const parent = top();
+        // Markup nested in <say-as> or <sub> shares the ancestor's capture buffer, so its text is kept
+        const frame = { tag, pitch: parent.pitch, speakingRate: parent.speakingRate, capture: parent.capture };
+
+        switch (tag) {
+            case 'speak':
+                break;
+
+            case 'p':
+            case 's':
+                frame.onClose = () => {
+                    if (frame.capture === null) {
+                        segments.push({ type: 'break', kind: tag === 'p' ? 'paragraph' : 'sentence' });
+                    }
+                };
+                break;
+
+            case 'emphasis': {
+                const level = EMPHASIS_LEVELS[getAttribute(attributes, 'level') || 'moderate'];
+                if (!level) {
+                    warnings.push(`emphasis level "${getAttribute(attributes, 'level')}" is not supported`);
+                    break;
+                }
+                frame.speakingRate = parent.speakingRate * level.rate;
+                frame.pitch = parent.pitch + level.pitch;
+                break;
+            }
+
+            case 'prosody': {
+                const rate = getAttribute(attributes, 'rate');
+                const pitch = getAttribute(attributes, 'pitch');
+                if (rate !== null) {
+                    const value = applyRate(parent.speakingRate, rate);
+                    if (value === null) {
+                        warnings.push(`prosody rate "${rate}" is not supported`);
+                    } else {
+                        frame.speakingRate = value;
+                    }
+                }
+                if (pitch !== null) {
+                    const value = applyPitch(parent.pitch, pitch);
+                    if (value === null) {
+                        warnings.push(`prosody pitch "${pitch}" is not supported`);
+                    } else {
+                        frame.pitch = value;
+                    }
+                }
+                if (getAttribute(attributes, 'volume') !== null) {
+                    warnings.push('prosody volume is not supported');
+                }
+                break;
+            }
+
+            case 'say-as': {
+                const interpretAs = (getAttribute(attributes, 'interpret-as') || '').toLowerCase();
+                const format = (getAttribute(attributes, 'format') || '').toLowerCase();
+                frame.capture = { text: '' };
+                // Runs after the frame is popped, so the words land in the parent
+                frame.onClose = text => appendText(interpretSayAs(text, interpretAs, format, language, warnings));
+                break;
+            }
+
+            case 'sub': {
+                const alias = getAttribute(attributes, 'alias');
+                if (alias === null) {
+                    warnings.push('sub without alias reads its text');
+                    break;
+                }
+                frame.capture = { text: '' };
+                frame.onClose = () => appendText(alias);
+                break;
+            }
+
+            default:
+                warnings.push(`<${tag}> is not supported, reading its text`);
+        }
+
+        frame.pitch = clamp(frame.pitch, PITCH_RANGE);
+        frame.speakingRate = clamp(frame.speakingRate, SPEAKING_RATE_RANGE);
+
+        if (!selfClosing) {
+            stack.push(frame);
+        }
+    }
+
+    if (stack.length > 1) {
+        throw createSSMLError(`<${top().tag}> is not closed`);
+    }
+
+    return {
+        segments: segments
+            .map(segment => (segment.type === 'text' ? { ...segment, text: segment.text.replace(/\s+/g, ' ') } : segment))
+            .filter(segment => segment.type !== 'text' || segment.text.trim()),
+        warnings: Array.from(new Set(warnings))
+    };
+}
+
+module.exports = {
+    parseSSML
+};
@@ -0,0 +1,80 @@
+/**
+ * Framing for POST /tts/stream
+ * Turns synthesized chunks into the bytes written to the response and keeps the text
+ * alignment of every chunk:
+ *   raw    - audio bytes only (streaming WAV with an open-ended header, or 16-bit PCM);
+ *            each alignment entry records the byteOffset where its audio starts
+ *   ndjson - one JSON line per chunk: { seq, text, startMs, endMs, audio (base64) }
+ */
+
+const { createStreamingWAVHeader, samplesToPCM16 } = require('./audio');
+
+const STREAM_FORMATS = ['wav', 'pcm'];
+const STREAM_FRAMINGS = ['raw', 'ndjson'];
+
+/**
+ * Create a framer for one stream
+ * @param {Object} options
+ * @param {string} options.format - 'wav' or 'pcm'
+ * @param {string} options.framing - 'raw' or 'ndjson'
+ */
+function createStreamFramer({ format, framing }) {
+    const alignment = [];
+    let sentSamples = 0;
+    let sentBytes = 0;
+
+    return {
+        alignment,
+
+        /**
+         * Content-Type of the response, known once the first chunk's sample rate is
+         * @param {number} sampleRate - Sample rate of the stream
+         */
+        contentType(sampleRate) {
+            if (framing === 'ndjson') {
+                return 'application/x-ndjson';
+            }
+            return format === 'wav' ? 'audio/wav' : `audio/L16; rate=${sampleRate}; channels=1`;
+        },
+
+        /**
+         * Frame one chunk; the WAV header goes out in front of the first one
+         * @param {{samples: Float32Array, sampleRate: number, text: string}} chunk - Synthesized chunk
+         * @returns {Buffer|string} Data to write
+         */
+        frame(chunk) {
+            const pcm = samplesToPCM16(chunk.samples);
+            const header = format === 'wav' && sentSamples === 0 ? createStreamingWAVHeader(chunk.sampleRate) : null;
+            const segment = {
+                seq: alignment.length,
+                text: chunk.text,
+                startMs: Math.round(sentSamples / chunk.sampleRate * 1000),
+                endMs: Math.round((sentSamples + chunk.samples.length) / chunk.sampleRate * 1000)
+            };
+            sentSamples += chunk.samples.length;
+            const audio = header ? Buffer.concat([header, pcm]) : pcm;
+
+            if (framing === 'ndjson') {
+                alignment.push(segment);
+                return JSON.stringify({ ...segment, audio: audio.toString('base64') }) + '\n';
+            }
+            segment.byteOffset = sentBytes + (header ? header.length : 0);
+            sentBytes += audio.length;
+            alignment.push(segment);
+            return audio;
+        },
+
+        /**
+         * Samples framed so far
+         */
+        get sentSamples() {
+            return sentSamples;
+        }
+    };
+}
+
+module.exports = {
+    STREAM_FORMATS,
+    STREAM_FRAMINGS,
+    createStreamFramer
+};
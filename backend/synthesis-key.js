@@ -0,0 +1,95 @@
+/**
+ * Content-addressed keys for synthesized audio
+ * Identical text + voice + language + model + synthesis parameters always map to the
+ * same key, so audio can be synthesized once and shared between requests, including
+ * requests that arrive while the first synthesis is still running.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Normalize text so trivially different copies of the same headline share a key.
+ * Paragraph breaks (blank lines) are kept as '\n\n' since they change the pauses.
+ * @param {string} text - Text to be synthesized
+ * @returns {string} Normalized text
+ */
+function normalizeSynthesisText(text) {
+    return text.normalize('NFC')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/**
+ * Serialize an object with sorted keys so property order never changes the hash
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Derive the audio ID for a synthesis request
+ * @param {Object} request
+ * @param {string} request.text - Text to be synthesized
+ * @param {string} request.voice - Resolved voice ID
+ * @param {string} request.language - Language code
+ * @param {Object} request.options - Synthesis options (modelId, sampleRate, pitch, ...)
+ * @param {string} [request.lexicon] - Text as rewritten by the pronunciation lexicon, when it differs
+ * @returns {string} Audio ID, e.g. 'tts_3f2a...'
+ */
+function createSynthesisKey({ text, voice, language, options, lexicon }) {
+    const hash = crypto.createHash('sha256')
+        .update(stableStringify({
+            text: normalizeSynthesisText(text),
+            voice,
+            language,
+            options,
+            lexicon
+        }))
+        .digest('hex');
+    return `tts_${hash.substring(0, 32)}`;
+}
+
+/**
+ * Track running tasks by key so concurrent callers with the same key share one run
+ * @returns {{run: function(string, function(): Promise): {promise: Promise, joined: boolean}, size: number}}
+ */
+function createInflightRegistry() {
+    const inflight = new Map();
+
+    return {
+        /**
+         * Start `task` for `key`, or join the run already in progress.
+         * The run is registered synchronously, so a caller can never slip past the lookup.
+         */
+        run(key, task) {
+            if (inflight.has(key)) {
+                return { promise: inflight.get(key), joined: true };
+            }
+            const promise = task().finally(() => inflight.delete(key));
+            inflight.set(key, promise);
+            return { promise, joined: false };
+        },
+
+        get size() {
+            return inflight.size;
+        }
+    };
+}
+
+module.exports = {
+    normalizeSynthesisText,
+    stableStringify,
+    createSynthesisKey,
+    createInflightRegistry
+};
@@ -0,0 +1,45 @@
+/**
+ * Per-request synthesis parameters
+ * Validates the rate, pitch, temperature, sample rate and pause overrides a client may
+ * send with a TTS request and maps them to the option names the providers use.
+ */
+
+// Public name -> option name and accepted values
+const SYNTHESIS_PARAMETERS = {
+    rate: { option: 'speakingRate', min: 0.5, max: 2 },
+    pitch: { option: 'pitch', min: -5, max: 5 },
+    temperature: { option: 'temperature', min: 0.1, max: 2 },
+    sampleRate: { option: 'sampleRate', values: [8000, 16000, 22050, 24000, 32000, 44100, 48000] },
+    sentencePauseMs: { option: 'sentencePauseMs', min: 0, max: 5000, integer: true },
+    paragraphPauseMs: { option: 'paragraphPauseMs', min: 0, max: 5000, integer: true }
+};
+
+/**
+ * Read per-request synthesis parameters (rate, pitch, temperature, sampleRate and pauses)
+ * from a request body or query string
+ * @param {Object} input - req.body or req.query
+ * @returns {{options: Object, error: string|null}} Synthesis overrides, or a validation error
+ */
+function parseSynthesisOptions(input) {
+    const options = {};
+    for (const [name, rule] of Object.entries(SYNTHESIS_PARAMETERS)) {
+        if (input[name] === undefined || input[name] === '') {
+            continue;
+        }
+        const value = Number(input[name]);
+        if (rule.values) {
+            if (!rule.values.includes(value)) {
+                return { options, error: `${name} must be one of ${rule.values.join(', ')}` };
+            }
+        } else if (!Number.isFinite(value) || value < rule.min || value > rule.max || (rule.integer && !Number.isInteger(value))) {
+            return { options, error: `${name} must be ${rule.integer ? 'an integer' : 'a number'} between ${rule.min} and ${rule.max}` };
+        }
+        options[rule.option] = value;
+    }
+    return { options, error: null };
+}
+
+module.exports = {
+    SYNTHESIS_PARAMETERS,
+    parseSynthesisOptions
+};
@@ -45,7 +45,7 @@ async function testVoices() {
         
         if (response.ok && data.success) {
             console.log('✅ Voices endpoint passed');
-            console.log(`   - Found ${data.voices.length} supported voices`);
+            console.log(`   - Found ${data.voices.length} supported voices (${data.catalog.length} in the catalog)`);
             data.voices.slice(0, 3).forEach(voice => {
                 console.log(`   - ${voice.name} (${voice.code})`);
             });
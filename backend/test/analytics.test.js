@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { validateEvent, createEventStore, aggregateEngagement } = require('../analytics');
+
+const event = (fields) => {
+    const { event: valid, error } = validateEvent({ timestamp: new Date().toISOString(), ...fields });
+    assert.equal(error, undefined);
+    return valid;
+};
+
+test('validateEvent rejects unknown types and bad fields', () => {
+    assert.match(validateEvent({ type: 'click', timestamp: Date.now() }).error, /type must be one of/);
+    assert.match(validateEvent({ type: 'skip', timestamp: 'soon' }).error, /timestamp/);
+    assert.match(validateEvent({ type: 'skip', timestamp: Date.now(), category: 'not valid!' }).error, /Invalid category/);
+    assert.match(validateEvent({ type: 'languageChange', timestamp: Date.now() }).error, /needs the new language/);
+    assert.equal(validateEvent({ type: 'skip', timestamp: Date.now(), source: '  Tech Daily ' }).event.source, 'Tech Daily');
+});
+
+test('readUser returns only that user\'s events, also after a restart', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'events-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const store = createEventStore({ directory });
+    await store.init();
+    await store.append([
+        event({ type: 'headlineListen', userId: 'u1', category: 'technology' }),
+        event({ type: 'skip', userId: 'u2', category: 'sports' }),
+        event({ type: 'articleView', category: 'general' })
+    ]);
+    const from = new Date(Date.now() - 86400000);
+    const to = new Date(Date.now() + 1000);
+    assert.deepEqual(store.readUser('u1', from, to).map(item => item.category), ['technology']);
+    assert.deepEqual(store.readUser('nobody', from, to), []);
+
+    const reopened = createEventStore({ directory });
+    await reopened.init();
+    assert.deepEqual(reopened.readUser('u2', from, to).map(item => item.type), ['skip']);
+    assert.equal(reopened.getStats().indexedUsers, 2);
+});
+
+test('retried events are not stored twice and aggregates compute rates per view', async () => {
+    const store = createEventStore({});
+    const batch = [
+        event({ id: 'e1', type: 'articleView', category: 'technology' }),
+        event({ id: 'e2', type: 'articleView', category: 'technology' }),
+        event({ id: 'e3', type: 'headlineListen', category: 'technology' }),
+        event({ id: 'e4', type: 'skip', category: 'technology' })
+    ];
+    assert.deepEqual(await store.append(batch), { stored: 4, duplicates: 0 });
+    assert.deepEqual(await store.append(batch), { stored: 0, duplicates: 4 });
+
+    const { groups, totals } = await aggregateEngagement(store.read(new Date(Date.now() - 86400000), new Date(Date.now() + 1000)), { groupBy: ['category'] });
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].category, 'technology');
+    assert.equal(totals.articleViews, 2);
+    assert.equal(totals.engagementRate, 0.5);
+    assert.equal(totals.skipRate, 0.5);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { extractReadableText, isNonPublicAddress, fetchArticleText } = require('../article-extractor');
+
+test('extractReadableText keeps the article body and drops boilerplate', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'article.html'), 'utf8');
+    assert.deepEqual(extractReadableText(html), {
+        title: 'City council approves new bike lanes',
+        byline: 'Jane Reporter',
+        siteName: 'Example News',
+        paragraphs: [
+            'The city council voted seven to two on Tuesday night to build protected bike lanes along Main Street.',
+            'Construction is expected to start in the spring & to take about six months, officials said.',
+            'What changes for drivers',
+            'Street parking on the north side will be removed, while delivery zones stay in front of the shops.',
+            'Residents can comment on the final design at a public meeting next month.'
+        ]
+    });
+});
+
+test('isNonPublicAddress flags loopback, link-local and private ranges', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+        '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe',
+        '64:ff9b::7f00:1', '64:ff9b::a9fe:a9fe', '64:ff9b:1::a00:1']) {
+        assert.equal(isNonPublicAddress(address), true, address);
+    }
+    for (const address of ['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:4700::1111']) {
+        assert.equal(isNonPublicAddress(address), false, address);
+    }
+    assert.equal(isNonPublicAddress('not-an-ip'), true);
+});
+
+test('fetchArticleText refuses local pages, by IP literal or by name', async (t) => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        res.setHeader('Content-Type', 'text/html');
+        res.end('<html><body><p>Internal admin page that must never be read aloud to anyone.</p></body></html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const { port } = server.address();
+
+    await assert.rejects(fetchArticleText(`http://127.0.0.1:${port}/`), /not a public address/);
+    await assert.rejects(fetchArticleText(`http://2130706433:${port}/`), /not a public address/);
+    await assert.rejects(fetchArticleText(`http://[::ffff:127.0.0.1]:${port}/`), /not a public address/);
+    await assert.rejects(fetchArticleText(`http://[64:ff9b::7f00:1]:${port}/`), /not a public address/);
+    await assert.rejects(fetchArticleText(`http://localhost:${port}/`), /not a public address/);
+    assert.equal(requests, 0);
+});
+
+test('fetchArticleText only fetches http and https URLs', async () => {
+    await assert.rejects(fetchArticleText('file:///etc/passwd'), /Unsupported article URL protocol/);
+});
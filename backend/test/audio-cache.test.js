@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createAudioCache } = require('../audio-cache');
+
+const bytes = (length, fill = 1) => Buffer.alloc(length, fill);
+
+test('evicts least recently used entries to stay within the byte budget', async () => {
+    const cache = createAudioCache({ maxBytes: 30, defaultTtlMs: 60000 });
+    await cache.set('a', bytes(10));
+    await cache.set('b', bytes(10));
+    await cache.set('c', bytes(10));
+    assert.ok(await cache.get('a'));
+
+    await cache.set('d', bytes(10));
+    assert.equal(cache.peek('b'), null);
+    assert.deepEqual(['a', 'c', 'd'].map(key => Boolean(cache.peek(key))), [true, true, true]);
+    assert.equal(cache.getStats().evictions, 1);
+    assert.equal(cache.getStats().bytes, 30);
+});
+
+test('expired entries are misses and are swept', async () => {
+    const cache = createAudioCache({ maxBytes: 100, defaultTtlMs: 60000 });
+    await cache.set('gone', bytes(5), { ttlMs: 0 });
+    assert.equal(await cache.get('gone'), null);
+    assert.equal(cache.getStats().expirations, 1);
+
+    await cache.set('swept', bytes(5), { ttlMs: 0 });
+    await cache.set('kept', bytes(5), { ttlMs: Infinity });
+    assert.equal(await cache.sweepExpired(), 1);
+    assert.equal(cache.peek('kept').expiresAt, null);
+    assert.equal(cache.getStats().bytes, 5);
+});
+
+test('audio larger than the whole budget is rejected without evicting anything', async () => {
+    const cache = createAudioCache({ maxBytes: 30, defaultTtlMs: 60000 });
+    await cache.set('a', bytes(10));
+    assert.equal(await cache.set('huge', bytes(31)), false);
+    assert.equal(cache.peek('huge'), null);
+    assert.ok(cache.peek('a'));
+    assert.equal(cache.getStats().evictions, 0);
+});
+
+test('concurrent operations on one key run in order and count the bytes once', async () => {
+    const cache = createAudioCache({ maxBytes: 100, defaultTtlMs: 60000 });
+    const [first, second, read] = await Promise.all([
+        cache.set('k', bytes(10, 1)),
+        cache.set('k', bytes(20, 2)),
+        cache.get('k')
+    ]);
+    assert.equal(first, true);
+    assert.equal(second, true);
+    assert.equal(read.audio.length, 20);
+    assert.equal(cache.getStats().entries, 1);
+    assert.equal(cache.getStats().bytes, 20);
+});
+
+test('the disk backend reloads its index after a restart', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-cache-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const first = createAudioCache({ maxBytes: 100, defaultTtlMs: 60000, directory });
+    await first.init();
+    await first.set('kept', bytes(10, 7), { contentType: 'audio/mpeg', metadata: { format: 'mp3' } });
+    await first.set('expired', bytes(10), { ttlMs: 0 });
+    await first.flush();
+
+    const second = createAudioCache({ maxBytes: 100, defaultTtlMs: 60000, directory });
+    await second.init();
+    const entry = await second.get('kept');
+    assert.deepEqual(entry.audio, bytes(10, 7));
+    assert.equal(entry.contentType, 'audio/mpeg');
+    assert.deepEqual(entry.metadata, { format: 'mp3' });
+    assert.equal(second.peek('expired'), null);
+    assert.equal(second.getStats().bytes, 10);
+});
+
+test('pinned entries are never evicted, and audio that cannot fit beside them is rejected', async () => {
+    const cache = createAudioCache({ maxBytes: 30, defaultTtlMs: 60000 });
+    await cache.set('preview', bytes(10), { ttlMs: Infinity, pinned: true });
+    await cache.set('a', bytes(10));
+    await cache.set('b', bytes(10));
+    await cache.set('c', bytes(10));
+    assert.ok(cache.peek('preview'));
+    assert.equal(cache.peek('a'), null);
+    assert.equal(cache.getStats().pinnedBytes, 10);
+
+    assert.equal(await cache.set('big', bytes(25)), false);
+    assert.ok(cache.peek('b') && cache.peek('c'));
+
+    await cache.delete('preview');
+    assert.equal(cache.getStats().pinnedBytes, 0);
+    assert.equal(await cache.set('big', bytes(25)), true);
+});
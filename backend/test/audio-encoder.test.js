@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { contentTypeFor, encodeAudio, negotiateFormat } = require('../audio-encoder');
+
+test('negotiateFormat prefers the format parameter and its aliases', () => {
+    assert.equal(negotiateFormat('MP3', 'audio/wav'), 'mp3');
+    assert.equal(negotiateFormat('ogg'), 'opus');
+    assert.equal(negotiateFormat('m4a'), 'aac');
+    assert.equal(negotiateFormat('flac', 'audio/mpeg'), null);
+});
+
+test('negotiateFormat falls back to WAV without a preference', () => {
+    assert.equal(negotiateFormat(undefined, undefined), 'wav');
+    assert.equal(negotiateFormat(undefined, '*/*'), 'wav');
+    assert.equal(negotiateFormat(undefined, 'audio/*'), 'wav');
+});
+
+test('negotiateFormat orders Accept entries by quality, then by position', () => {
+    assert.equal(negotiateFormat(undefined, 'audio/wav;q=0.5, audio/ogg'), 'opus');
+    assert.equal(negotiateFormat(undefined, 'audio/aac, audio/mpeg'), 'aac');
+    assert.equal(negotiateFormat(undefined, 'audio/mpeg;q=0, audio/x-m4a;q=0.2'), 'aac');
+    assert.equal(negotiateFormat(undefined, 'text/html, application/json'), null);
+});
+
+test('negotiateFormat prefers formats that can be produced right now', () => {
+    assert.equal(negotiateFormat(undefined, 'audio/mpeg, audio/wav;q=0.8', ['wav']), 'wav');
+    // Nothing available is acceptable: report the client's first choice so the caller can refuse it
+    assert.equal(negotiateFormat(undefined, 'audio/mpeg', ['wav']), 'mp3');
+});
+
+test('encodeAudio passes WAV through and reports unusable encoders', async (t) => {
+    assert.equal(contentTypeFor('opus'), 'audio/ogg; codecs=opus');
+    const wav = Buffer.from('RIFF');
+    assert.equal(await encodeAudio(wav, 'wav'), wav);
+    await assert.rejects(encodeAudio(wav, 'flac'), /Unsupported audio format: flac/);
+
+    const ffmpegPath = process.env.FFMPEG_PATH;
+    t.after(() => {
+        if (ffmpegPath === undefined) {
+            delete process.env.FFMPEG_PATH;
+        } else {
+            process.env.FFMPEG_PATH = ffmpegPath;
+        }
+    });
+    process.env.FFMPEG_PATH = '/nonexistent/ffmpeg';
+    await assert.rejects(encodeAudio(wav, 'mp3'), /ffmpeg not found/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createETag, parseRange, sendWithRanges } = require('../http-range');
+
+const BODY = Buffer.from('0123456789abcdefghij');
+const ETAG = createETag(BODY);
+const LAST_MODIFIED = new Date('2025-08-01T08:00:00Z');
+
+test('parseRange reads single, open-ended and suffix ranges', () => {
+    assert.deepEqual(parseRange('bytes=0-4', 20), [{ start: 0, end: 4 }]);
+    assert.deepEqual(parseRange('bytes=15-', 20), [{ start: 15, end: 19 }]);
+    assert.deepEqual(parseRange('bytes=-5', 20), [{ start: 15, end: 19 }]);
+    assert.deepEqual(parseRange('bytes=-50', 20), [{ start: 0, end: 19 }]);
+    assert.deepEqual(parseRange('bytes=10-99', 20), [{ start: 10, end: 19 }]);
+});
+
+test('parseRange merges overlapping and adjacent ranges in order', () => {
+    assert.deepEqual(parseRange('bytes=10-14, 0-3, 2-5, 6-7', 20), [{ start: 0, end: 7 }, { start: 10, end: 14 }]);
+    assert.deepEqual(parseRange('bytes=0-9,-15', 20), [{ start: 0, end: 19 }]);
+});
+
+test('parseRange ignores malformed headers and too many ranges', () => {
+    assert.equal(parseRange(undefined, 20), null);
+    assert.equal(parseRange('items=0-4', 20), null);
+    assert.equal(parseRange('bytes=5-2', 20), null);
+    assert.equal(parseRange('bytes=-', 20), null);
+    const eleven = Array.from({ length: 11 }, (_, i) => `${i}-${i}`).join(',');
+    assert.equal(parseRange(`bytes=${eleven}`, 20), null);
+    assert.equal(parseRange(`bytes=${eleven.split(',').slice(0, 10).join(',')}`, 20).length, 1);
+});
+
+test('parseRange reports ranges past the end as unsatisfiable', () => {
+    assert.equal(parseRange('bytes=20-30', 20), 'unsatisfiable');
+    assert.equal(parseRange('bytes=-0', 20), 'unsatisfiable');
+    assert.deepEqual(parseRange('bytes=25-30, 0-1', 20), [{ start: 0, end: 1 }]);
+});
+
+test('sendWithRanges', async (t) => {
+    const app = express();
+    app.get('/audio', (req, res) => sendWithRanges(req, res, BODY, { contentType: 'audio/wav', etag: ETAG, lastModified: LAST_MODIFIED }));
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => server.close());
+    const request = headers => fetch(`http://127.0.0.1:${server.address().port}/audio`, { headers });
+
+    await t.test('serves the full body with validators', async () => {
+        const response = await request({});
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('accept-ranges'), 'bytes');
+        assert.equal(response.headers.get('etag'), ETAG);
+        assert.equal(response.headers.get('last-modified'), LAST_MODIFIED.toUTCString());
+        assert.equal(await response.text(), BODY.toString());
+    });
+
+    await t.test('serves a suffix range as 206', async () => {
+        const response = await request({ Range: 'bytes=-4' });
+        assert.equal(response.status, 206);
+        assert.equal(response.headers.get('content-range'), 'bytes 16-19/20');
+        assert.equal(await response.text(), 'ghij');
+    });
+
+    await t.test('serves several ranges as multipart/byteranges', async () => {
+        const response = await request({ Range: 'bytes=0-1,5-6,6-7' });
+        assert.equal(response.status, 206);
+        const boundary = /boundary=(\w+)/.exec(response.headers.get('content-type'))[1];
+        const body = await response.text();
+        assert.equal(body.split(`--${boundary}\r\n`).length - 1, 2);
+        assert.match(body, /Content-Range: bytes 0-1\/20\r\n\r\n01\r\n/);
+        assert.match(body, /Content-Range: bytes 5-7\/20\r\n\r\n567\r\n/);
+        assert.ok(body.endsWith(`--${boundary}--\r\n`));
+    });
+
+    await t.test('answers an unsatisfiable range with 416', async () => {
+        const response = await request({ Range: 'bytes=40-50' });
+        assert.equal(response.status, 416);
+        assert.equal(response.headers.get('content-range'), 'bytes */20');
+    });
+
+    await t.test('answers a matching If-None-Match with 304', async () => {
+        assert.equal((await request({ 'If-None-Match': `"other", W/${ETAG}` })).status, 304);
+        assert.equal((await request({ 'If-None-Match': '*' })).status, 304);
+        assert.equal((await request({ 'If-None-Match': '"other"' })).status, 200);
+    });
+
+    await t.test('honours Range only while If-Range still matches', async () => {
+        assert.equal((await request({ Range: 'bytes=0-1', 'If-Range': ETAG })).status, 206);
+        assert.equal((await request({ Range: 'bytes=0-1', 'If-Range': LAST_MODIFIED.toUTCString() })).status, 206);
+        assert.equal((await request({ Range: 'bytes=0-1', 'If-Range': '"stale"' })).status, 200);
+        assert.equal((await request({ Range: 'bytes=0-1', 'If-Range': new Date().toUTCString() })).status, 200);
+    });
+});
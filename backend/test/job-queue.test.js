@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../job-queue');
+
+test('never runs more jobs at once than the concurrency limit', async () => {
+    const queue = createJobQueue({ concurrency: 2, retentionMs: 60000 });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running--;
+        return 'done';
+    };
+
+    const jobs = Array.from({ length: 5 }, () => queue.enqueue(task, { batchId: 'batch_1' }));
+    assert.deepEqual(queue.getStats(), { concurrency: 2, pending: 5, running: 0, completed: 0, failed: 0 });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(queue.getStats().running, 2);
+    assert.equal(queue.getStats().pending, 3);
+
+    const finished = await Promise.all(jobs.map(job => queue.waitFor(job.id, 5000)));
+    assert.equal(peak, 2);
+    assert.deepEqual(finished.map(job => job.status), Array(5).fill('completed'));
+    assert.deepEqual(queue.listBatch('batch_1').map(job => job.id), jobs.map(job => job.id));
+});
+
+test('a failed job frees its slot and records the error', async () => {
+    const queue = createJobQueue({ concurrency: 1, retentionMs: 60000 });
+    const failing = queue.enqueue(async () => { throw new Error('provider down'); });
+    const next = queue.enqueue(async job => {
+        job.progress('synthesizing');
+        return 42;
+    });
+    const stages = [];
+    queue.events.on('progress', progress => stages.push(progress.stage));
+
+    const completed = await queue.waitFor(next.id, 5000);
+    assert.equal(completed.status, 'completed');
+    assert.equal(completed.result, 42);
+    const failed = queue.get(failing.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'provider down');
+    assert.deepEqual(stages, ['synthesizing']);
+});
+
+test('waitFor returns the current state once the timeout passes', async () => {
+    const queue = createJobQueue({ concurrency: 1, retentionMs: 60000 });
+    let finish;
+    const job = queue.enqueue(() => new Promise(resolve => { finish = resolve; }));
+    const snapshot = await queue.waitFor(job.id, 20);
+    assert.equal(snapshot.status, 'running');
+    assert.equal(await queue.waitFor('job_missing', 20), null);
+    finish();
+    assert.equal((await queue.waitFor(job.id, 5000)).status, 'completed');
+});
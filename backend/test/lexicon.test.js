@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePLS, toPLS } = require('../lexicon');
+
+test('toPLS and parsePLS round-trip entries with XML special characters', () => {
+    // Stored entries carry both fields, one of them null
+    const entries = [
+        { grapheme: 'AT&T', phoneme: null, alias: 'A T and T' },
+        { grapheme: 'O\'Brien', phoneme: 'oʊˈbraɪən', alias: null },
+        { grapheme: '<NASA>', phoneme: null, alias: '"NASA"' }
+    ];
+    const parsed = parsePLS(toPLS('en-US', entries));
+    assert.equal(parsed.language, 'en-US');
+    assert.deepEqual(parsed.entries, [
+        { grapheme: 'AT&T', alias: 'A T and T' },
+        { grapheme: 'O\'Brien', phoneme: 'oʊˈbraɪən' },
+        { grapheme: '<NASA>', alias: '"NASA"' }
+    ]);
+    assert.deepEqual(parsed.warnings, []);
+});
+
+test('parsePLS reads CDATA, character references and non-IPA warnings', () => {
+    const parsed = parsePLS(`<?xml version="1.0"?>
+<lexicon version="1.0" alphabet="ipa" xml:lang="de">
+  <lexeme><grapheme><![CDATA[M&M's]]></grapheme><alias>M and M&#39;s</alias></lexeme>
+  <lexeme><grapheme>Zürich</grapheme><phoneme alphabet="x-sampa">"tsy:rIC</phoneme></lexeme>
+</lexicon>`);
+    assert.equal(parsed.language, 'de');
+    assert.deepEqual(parsed.entries, [{ grapheme: 'M&M\'s', alias: 'M and M\'s' }]);
+    assert.deepEqual(parsed.warnings, ['lexeme 2: alphabet "x-sampa" is not supported (IPA only)']);
+});
+
+test('parsePLS rejects documents without a lexicon element', () => {
+    assert.throws(() => parsePLS('<rss/>'), /Not a PLS document/);
+});
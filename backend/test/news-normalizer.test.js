@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanNewsText, expandForSpeech } = require('../news-normalizer');
+
+test('en: a hyphen after a word or number is not a minus sign', () => {
+    assert.equal(expandForSpeech('COVID-19 cases rose', 'en-US'), 'COVID-nineteen cases rose');
+    assert.equal(expandForSpeech('The F-35 and the G-20', 'en-US'), 'The F-thirty-five and the G-twenty');
+    assert.equal(expandForSpeech('A Boeing 737-800 landed', 'en-US'), 'A Boeing seven hundred thirty-seven eight hundred landed');
+    assert.equal(expandForSpeech('It fell to -5 overnight', 'en-US'), 'It fell to minus five overnight');
+});
+
+test('en: decades', () => {
+    assert.equal(expandForSpeech('The 1990s', 'en-US'), 'The nineteen nineties');
+    assert.equal(expandForSpeech('the 2000s and the 2010s', 'en-US'), 'the two thousands and the twenty tens');
+    assert.equal(expandForSpeech("Back in the '80s", 'en-US'), 'Back in the eighties');
+    assert.equal(expandForSpeech('In their 20s', 'en-US'), 'In their twenties');
+});
+
+test('en: clock times', () => {
+    assert.equal(expandForSpeech('Meet at 10:30 a.m. today', 'en-US'), 'Meet at ten thirty A M today');
+    assert.equal(expandForSpeech('At 9:05 p.m.', 'en-US'), 'At nine oh five P M.');
+    assert.equal(expandForSpeech('Doors open 7:00 p.m.', 'en-US'), 'Doors open seven P M.');
+    assert.equal(expandForSpeech('Lunch at 12:00', 'en-US'), "Lunch at twelve o'clock");
+    assert.equal(expandForSpeech('Kickoff 15:00', 'en-US'), 'Kickoff fifteen hundred');
+});
+
+test('en: currencies, percentages, quarters and years', () => {
+    assert.equal(expandForSpeech('$3.99', 'en-US'), 'three dollars and ninety-nine cents');
+    assert.equal(expandForSpeech('US$1.5bn', 'en-US'), 'one point five billion dollars');
+    assert.equal(expandForSpeech('up 12% in Q3', 'en-US'), 'up twelve percent in third quarter');
+    assert.equal(expandForSpeech('in 1999', 'en-US'), 'in nineteen ninety-nine');
+});
+
+for (const language of ['es-ES', 'fr-FR', 'de-DE']) {
+    test(`${language}: numbers stay digits for the TTS engine`, () => {
+        assert.equal(expandForSpeech('COVID-19 a 10:30, 1990s', language), 'COVID-19 a 10:30, 1990s');
+        assert.equal(expandForSpeech('-5', language), '-5');
+    });
+}
+
+test('es: currency, percent and abbreviations', () => {
+    assert.equal(expandForSpeech('Sube 5% en EE.UU.', 'es-ES'), 'Sube 5 por ciento en Estados Unidos.');
+    assert.equal(expandForSpeech('Cuesta €20', 'es-ES'), 'Cuesta 20 euros');
+});
+
+test('fr: currency, percent and abbreviations', () => {
+    assert.equal(expandForSpeech('Hausse de 5% selon Mme Dupont', 'fr-FR'), 'Hausse de 5 pour cent selon Madame Dupont');
+    assert.equal(expandForSpeech('Prix : 20 €', 'fr-FR'), 'Prix : 20 euros');
+});
+
+test('de: currency, percent and abbreviations', () => {
+    assert.equal(expandForSpeech('Plus 5% z.B. in Berlin', 'de-DE'), 'Plus 5 Prozent zum Beispiel in Berlin');
+    assert.equal(expandForSpeech('Nr. 7 kostet £20', 'de-DE'), 'Nummer 7 kostet 20 Pfund');
+});
+
+test('cleanNewsText drops truncation markers and source suffixes', () => {
+    assert.equal(
+        cleanNewsText('Markets rally - Reuters', { sourceName: 'Reuters' }),
+        'Markets rally'
+    );
+    assert.equal(cleanNewsText('Stocks rose today… [+1234 chars]'), 'Stocks rose today');
+});
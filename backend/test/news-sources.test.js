@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const path = require('node:path');
+const {
+    normalizeArticle,
+    createArticleId,
+    parseFeed,
+    parseFeedList,
+    createFeedSource,
+    createFixtureSource,
+    createNewsSourceRegistry
+} = require('../news-sources');
+
+const fixture = createFixtureSource({ file: path.join(__dirname, '..', 'fixtures', 'news.json') });
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/"><channel>
+<title>Example Wire</title>
+<item>
+  <title>Older &amp; quieter</title>
+  <link>https://example.com/older</link>
+  <description><![CDATA[<p>First <b>story</b> &amp; more&nbsp;news</p>]]></description>
+  <pubDate>Fri, 01 Aug 2025 08:00:00 GMT</pubDate>
+</item>
+<item>
+  <title>Newer story</title>
+  <link>https://example.com/newer</link>
+  <media:content url="https://example.com/newer.jpg" medium="image"/>
+  <pubDate>Sat, 02 Aug 2025 08:00:00 GMT</pubDate>
+</item>
+</channel></rss>`;
+
+const ATOM = `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+<title>Atom Desk</title>
+<entry>
+  <title>Atom entry</title>
+  <link rel="alternate" href="https://example.org/entry"/>
+  <summary>Summary text</summary>
+  <published>2025-08-01T10:00:00Z</published>
+</entry>
+</feed>`;
+
+test('fixture source returns normalized articles newest first', async () => {
+    const articles = await fixture.fetchArticles({ category: 'general', country: 'us', pageSize: 3 });
+    assert.equal(articles.length, 3);
+    assert.deepEqual(Object.keys(articles[0]).sort(), ['category', 'description', 'publishedAt', 'source', 'title', 'url', 'urlToImage']);
+    const times = articles.map(article => Date.parse(article.publishedAt));
+    assert.deepEqual(times, times.slice().sort((a, b) => b - a));
+});
+
+test('fixture source filters by category and country', async () => {
+    const technology = await fixture.fetchArticles({ category: 'technology', country: 'us', pageSize: 10 });
+    assert.ok(technology.length > 0);
+    assert.ok(technology.every(article => article.category === 'technology'));
+    assert.deepEqual(await fixture.fetchArticles({ category: 'general', country: 'zz', pageSize: 10 }), []);
+});
+
+test('normalizeArticle fills the article shape and drops untitled items', () => {
+    assert.deepEqual(normalizeArticle({ title: ' Hello ', source: 'Wire', publishedAt: 'not a date' }, 'Fallback'), {
+        title: 'Hello',
+        description: null,
+        url: null,
+        urlToImage: null,
+        publishedAt: null,
+        source: { id: null, name: 'Wire' },
+        category: null
+    });
+    assert.equal(normalizeArticle({ title: '  ' }, 'Fallback'), null);
+});
+
+test('article IDs are stable and derived from the URL', () => {
+    const id = createArticleId({ url: 'https://example.com/a', title: 'A' });
+    assert.match(id, /^art_[0-9a-f]{16}$/);
+    assert.equal(createArticleId({ url: 'https://example.com/a', title: 'B' }), id);
+    assert.notEqual(createArticleId({ url: 'https://example.com/b', title: 'A' }), id);
+});
+
+test('parseFeed reads RSS 2.0 items', () => {
+    const [older, newer] = parseFeed(RSS, 'example.com');
+    assert.equal(older.title, 'Older & quieter');
+    assert.equal(older.description, 'First story & more news');
+    assert.equal(older.source.name, 'Example Wire');
+    assert.equal(older.publishedAt, '2025-08-01T08:00:00.000Z');
+    assert.equal(newer.urlToImage, 'https://example.com/newer.jpg');
+});
+
+test('parseFeed reads Atom entries', () => {
+    const [entry] = parseFeed(ATOM, 'example.org');
+    assert.equal(entry.title, 'Atom entry');
+    assert.equal(entry.url, 'https://example.org/entry');
+    assert.equal(entry.description, 'Summary text');
+    assert.equal(entry.source.name, 'Atom Desk');
+});
+
+test('parseFeedList reads optional category prefixes', () => {
+    assert.deepEqual(parseFeedList('technology=https://a.example/tech.rss, https://b.example/all.atom'), [
+        { category: 'technology', url: 'https://a.example/tech.rss' },
+        { url: 'https://b.example/all.atom' }
+    ]);
+    assert.deepEqual(parseFeedList(''), []);
+});
+
+test('feed source merges feeds from a local server, newest first', async (t) => {
+    const server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/xml');
+        res.end(req.url === '/rss' ? RSS : ATOM);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const source = createFeedSource({ feeds: [{ url: `${base}/rss` }, { url: `${base}/atom`, category: 'science' }] });
+    const general = await source.fetchArticles({ category: 'general', pageSize: 10 });
+    assert.deepEqual(general.map(article => article.title), ['Newer story', 'Older & quieter']);
+    const science = await source.fetchArticles({ category: 'science', pageSize: 10 });
+    assert.deepEqual(science.map(article => article.title), ['Newer story', 'Atom entry', 'Older & quieter']);
+});
+
+test('registry resolves sources by name', () => {
+    const registry = createNewsSourceRegistry([fixture], 'fixture');
+    assert.equal(registry.get(), fixture);
+    assert.equal(registry.get('newsapi'), null);
+    assert.throws(() => createNewsSourceRegistry([fixture], 'newsapi'), /Unknown news source: newsapi/);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAffinities, rankArticles } = require('../ranking');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const hoursAgo = hours => new Date(NOW - hours * 3600000).toISOString();
+const daysAgo = days => hoursAgo(days * 24);
+
+const CANDIDATES = [
+    { id: 'a', category: 'general', source: 'Local Wire', publishedAt: hoursAgo(1) },
+    { id: 'b', category: 'business', source: 'Market Desk', publishedAt: hoursAgo(2) },
+    { id: 'c', category: 'technology', source: 'Tech Daily', publishedAt: hoursAgo(3) },
+    { id: 'd', category: 'technology', source: 'Tech Daily', publishedAt: hoursAgo(3) },
+    { id: 'e', category: 'health', source: 'Health Journal', publishedAt: null }
+];
+
+const NO_SIGNALS = { categories: new Map(), sources: new Map() };
+const ids = result => result.ranked.map(entry => entry.candidate.id);
+
+test('buildAffinities weighs listens for and skips against, saturating towards ±1', () => {
+    const affinities = buildAffinities([
+        { type: 'headlineListen', timestamp: hoursAgo(0), category: 'technology', source: 'Tech Daily' },
+        { type: 'repeat', timestamp: hoursAgo(0), category: 'technology', source: 'Tech Daily' },
+        { type: 'skip', timestamp: hoursAgo(0), category: 'Sports' },
+        { type: 'articleView', timestamp: hoursAgo(0), category: 'business' }
+    ], NOW);
+    assert.equal(affinities.categories.get('technology'), 0.4545);
+    assert.equal(affinities.sources.get('tech daily'), 0.4545);
+    assert.equal(affinities.categories.get('sports'), -0.3333);
+    assert.equal(affinities.categories.has('business'), false);
+});
+
+test('buildAffinities halves an event\'s weight every 14 days', () => {
+    const fresh = buildAffinities([{ type: 'moreOnThis', timestamp: daysAgo(0), category: 'science' }], NOW);
+    const old = buildAffinities([{ type: 'moreOnThis', timestamp: daysAgo(14), category: 'science' }], NOW);
+    // raw 2 -> 2 / (2 + 3); raw 1 -> 1 / (1 + 3)
+    assert.equal(fresh.categories.get('science'), 0.4);
+    assert.equal(old.categories.get('science'), 0.25);
+});
+
+test('without signals, newer articles come first and ties keep the source order', () => {
+    const result = rankArticles(CANDIDATES, { affinities: NO_SIGNALS, now: NOW });
+    assert.deepEqual(ids(result), ['a', 'b', 'c', 'd', 'e']);
+    assert.equal(result.ranked[0].components.recency, 0.9715);
+    assert.deepEqual(result.ranked[4].reasons, ['no publish date (+0)']);
+    assert.deepEqual(result.filtered, []);
+});
+
+test('category and source affinity lift engaged articles', () => {
+    const affinities = buildAffinities([
+        { type: 'moreOnThis', timestamp: hoursAgo(1), category: 'technology', source: 'Tech Daily' },
+        { type: 'repeat', timestamp: hoursAgo(1), category: 'technology', source: 'Tech Daily' }
+    ], NOW);
+    const result = rankArticles(CANDIDATES, { affinities, now: NOW });
+    assert.deepEqual(ids(result), ['c', 'd', 'a', 'b', 'e']);
+    const [top] = result.ranked;
+    assert.ok(top.components.category > 0 && top.components.source > 0);
+    assert.equal(top.score, Math.round((top.components.category + top.components.source + top.components.recency) * 10000) / 10000);
+    assert.match(top.reasons[0], /^engages with technology \(\+/);
+});
+
+test('source preferences boost and block', () => {
+    const result = rankArticles(CANDIDATES, {
+        affinities: NO_SIGNALS,
+        preferredSources: ['health journal'],
+        blockedSources: ['Market Desk'],
+        now: NOW
+    });
+    assert.deepEqual(ids(result), ['a', 'c', 'd', 'e']);
+    assert.equal(result.ranked.find(entry => entry.candidate.id === 'e').components.source, 0.5);
+    assert.deepEqual(result.filtered.map(({ candidate, reason }) => [candidate.id, reason]), [['b', 'blocked source Market Desk']]);
+});
+
+test('sources the user keeps skipping are left out unless preferred', () => {
+    const skips = Array.from({ length: 8 }, () => ({ type: 'skip', timestamp: hoursAgo(1), source: 'Local Wire' }));
+    const affinities = buildAffinities(skips, NOW);
+    assert.deepEqual(rankArticles(CANDIDATES, { affinities, now: NOW }).filtered.map(entry => entry.reason), ['mostly skipped from Local Wire']);
+    assert.deepEqual(rankArticles(CANDIDATES, { affinities, preferredSources: ['Local Wire'], now: NOW }).filtered, []);
+});
+
+test('listening history sinks finished, lifts partly heard and drops skipped articles', () => {
+    const history = {
+        a: { status: 'finished', positionMs: 60000 },
+        d: { status: 'partial', positionMs: 42000 },
+        b: { status: 'skipped', positionMs: 1000 }
+    };
+    const result = rankArticles(CANDIDATES, { affinities: NO_SIGNALS, getHistory: id => history[id] || null, now: NOW });
+    assert.deepEqual(ids(result), ['d', 'c', 'e', 'a']);
+    assert.equal(result.ranked[0].components.history, 0.3);
+    assert.match(result.ranked[0].reasons.at(-1), /resume at 42s/);
+    assert.equal(result.ranked[3].components.history, -1);
+    assert.deepEqual(result.filtered.map(entry => entry.reason), ['skipped before']);
+});
+
+test('ranking is deterministic for the same inputs', () => {
+    const affinities = buildAffinities([{ type: 'headlineListen', timestamp: hoursAgo(5), category: 'business' }], NOW);
+    const first = rankArticles(CANDIDATES, { affinities, now: NOW });
+    const second = rankArticles(CANDIDATES.slice(), { affinities, now: NOW });
+    assert.deepEqual(first, second);
+});
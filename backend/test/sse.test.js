@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { openEventStream } = require('../sse');
+
+async function listen(app, t) {
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('frames each event with an id, a name and one line of JSON', async (t) => {
+    const app = express();
+    app.get('/events', (req, res) => {
+        const stream = openEventStream(req, res);
+        stream.send('progress', { stage: 'synthesizing', text: 'line one\nline two' });
+        stream.send('done', { audioId: 'tts_1' });
+        stream.close();
+        stream.send('ignored', {});
+    });
+    const base = await listen(app, t);
+
+    const response = await fetch(`${base}/events`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    assert.equal(response.headers.get('cache-control'), 'no-cache');
+    assert.equal(response.headers.get('x-accel-buffering'), 'no');
+    assert.equal(await response.text(),
+        'id: 0\nevent: progress\ndata: {"stage":"synthesizing","text":"line one\\nline two"}\n\n' +
+        'id: 1\nevent: done\ndata: {"audioId":"tts_1"}\n\n');
+});
+
+test('stops sending and calls onClose once the client disconnects', async (t) => {
+    let stream;
+    let closes = 0;
+    let resolveClosed;
+    const closed = new Promise(resolve => { resolveClosed = resolve; });
+    const app = express();
+    app.get('/events', (req, res) => {
+        stream = openEventStream(req, res, () => {
+            closes++;
+            resolveClosed();
+        });
+        stream.send('ready', {});
+    });
+    const base = await listen(app, t);
+
+    const controller = new AbortController();
+    const response = await fetch(`${base}/events`, { signal: controller.signal });
+    await response.body.getReader().read();
+    controller.abort();
+
+    await closed;
+    assert.equal(stream.isOpen(), false);
+    stream.send('late', {});
+    stream.close();
+    assert.equal(closes, 1);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSSML } = require('../ssml');
+
+const textOf = markup => parseSSML(markup).segments.filter(segment => segment.type === 'text').map(segment => segment.text).join('|');
+
+test('markup nested in say-as keeps its text', () => {
+    assert.equal(textOf('<speak><say-as interpret-as="characters"><emphasis>ABC</emphasis></say-as> done</speak>'), 'A B C done');
+    assert.equal(textOf('<speak><say-as interpret-as="characters">A<s>B</s>C</say-as></speak>'), 'A B C');
+});
+
+test('markup nested in sub is replaced by the alias', () => {
+    assert.equal(textOf('<speak>The <sub alias="World Health Organization"><emphasis>WHO</emphasis></sub> said</speak>'), 'The World Health Organization said');
+});
+
+test('breaks are capped at five seconds each', () => {
+    const breaks = parseSSML('<speak>a<break time="30s"/>b</speak>').segments.filter(segment => segment.type === 'break');
+    assert.deepEqual(breaks, [{ type: 'break', ms: 5000 }]);
+});
+
+test('mismatched tags are rejected', () => {
+    assert.throws(() => parseSSML('<speak><emphasis>a</speak>'), /unexpected <\/speak>/);
+});
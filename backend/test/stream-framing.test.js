@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStreamFramer } = require('../stream-framing');
+
+const chunk = (text, length, sampleRate = 8000) => ({ text, samples: new Float32Array(length).fill(0.5), sampleRate });
+
+test('raw WAV framing sends one open-ended header and records byte offsets', () => {
+    const framer = createStreamFramer({ format: 'wav', framing: 'raw' });
+    assert.equal(framer.contentType(8000), 'audio/wav');
+
+    const first = framer.frame(chunk('Hello there.', 8000));
+    const second = framer.frame(chunk('Goodbye.', 4000));
+    assert.equal(first.length, 44 + 16000);
+    assert.equal(first.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(first.readUInt32LE(40), 0xFFFFFFFF);
+    assert.equal(first.readInt16LE(44), 16383);
+    assert.equal(second.length, 8000);
+
+    assert.deepEqual(framer.alignment, [
+        { seq: 0, text: 'Hello there.', startMs: 0, endMs: 1000, byteOffset: 44 },
+        { seq: 1, text: 'Goodbye.', startMs: 1000, endMs: 1500, byteOffset: 44 + 16000 }
+    ]);
+    assert.equal(framer.sentSamples, 12000);
+});
+
+test('raw PCM framing sends bare samples', () => {
+    const framer = createStreamFramer({ format: 'pcm', framing: 'raw' });
+    assert.equal(framer.contentType(24000), 'audio/L16; rate=24000; channels=1');
+    assert.equal(framer.frame(chunk('Hi.', 10)).length, 20);
+    assert.equal(framer.frame(chunk('Bye.', 10)).length, 20);
+    assert.deepEqual(framer.alignment.map(segment => segment.byteOffset), [0, 20]);
+});
+
+test('ndjson framing sends one JSON line per chunk with base64 audio', () => {
+    const framer = createStreamFramer({ format: 'wav', framing: 'ndjson' });
+    assert.equal(framer.contentType(8000), 'application/x-ndjson');
+
+    const lines = [framer.frame(chunk('One.', 800)), framer.frame(chunk('Two.', 800))];
+    assert.ok(lines.every(line => line.endsWith('\n') && !line.slice(0, -1).includes('\n')));
+    const [first, second] = lines.map(line => JSON.parse(line));
+    assert.deepEqual({ ...first, audio: undefined }, { seq: 0, text: 'One.', startMs: 0, endMs: 100, audio: undefined });
+    assert.deepEqual({ ...second, audio: undefined }, { seq: 1, text: 'Two.', startMs: 100, endMs: 200, audio: undefined });
+    // Only the first line carries the WAV header
+    assert.equal(Buffer.from(first.audio, 'base64').length, 44 + 1600);
+    assert.equal(Buffer.from(second.audio, 'base64').length, 1600);
+    assert.equal(framer.alignment[0].byteOffset, undefined);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createInflightRegistry, createSynthesisKey, normalizeSynthesisText } = require('../synthesis-key');
+
+const request = {
+    text: 'Markets rallied today.\n\nOil prices fell.',
+    voice: 'Ashley',
+    language: 'en-US',
+    options: { modelId: 'inworld-tts-1', sampleRate: 22050, pitch: 0 }
+};
+
+test('normalizeSynthesisText collapses whitespace but keeps paragraph breaks', () => {
+    assert.equal(normalizeSynthesisText('  Markets   rallied\ttoday. \n \n\n Oil\nprices fell.  '),
+        'Markets rallied today.\n\nOil prices fell.');
+    assert.equal(normalizeSynthesisText('Café'), 'Café');
+});
+
+test('createSynthesisKey is stable across whitespace and option order', () => {
+    const key = createSynthesisKey(request);
+    assert.match(key, /^tts_[0-9a-f]{32}$/);
+    assert.equal(createSynthesisKey(request), key);
+    assert.equal(createSynthesisKey({
+        ...request,
+        text: '  Markets rallied   today.\n   \nOil prices fell. ',
+        options: { pitch: 0, sampleRate: 22050, modelId: 'inworld-tts-1' },
+        lexicon: undefined
+    }), key);
+});
+
+test('createSynthesisKey changes with anything that changes the audio', () => {
+    const key = createSynthesisKey(request);
+    for (const changed of [
+        { text: 'Markets rallied today. Oil prices fell.' },
+        { voice: 'Dennis' },
+        { language: 'en-GB' },
+        { options: { ...request.options, pitch: 1 } },
+        { lexicon: 'Markets rallied today.\n\nOyl prices fell.' }
+    ]) {
+        assert.notEqual(createSynthesisKey({ ...request, ...changed }), key, JSON.stringify(changed));
+    }
+});
+
+test('createInflightRegistry shares one run between concurrent callers of a key', async () => {
+    const inflight = createInflightRegistry();
+    let runs = 0;
+    let finish;
+    const task = () => {
+        runs++;
+        return new Promise(resolve => { finish = resolve; });
+    };
+
+    const first = inflight.run('tts_a', task);
+    const second = inflight.run('tts_a', task);
+    const other = inflight.run('tts_b', async () => 'b');
+    assert.equal(first.joined, false);
+    assert.equal(second.joined, true);
+    assert.equal(second.promise, first.promise);
+    assert.equal(runs, 1);
+    assert.equal(inflight.size, 2);
+
+    finish('a');
+    assert.deepEqual(await Promise.all([first.promise, second.promise, other.promise]), ['a', 'a', 'b']);
+    assert.equal(inflight.size, 0);
+
+    // Once settled the key starts a fresh run, also after a failure
+    const failed = inflight.run('tts_a', async () => { throw new Error('provider down'); });
+    await assert.rejects(failed.promise, /provider down/);
+    assert.equal(inflight.run('tts_a', async () => 'again').joined, false);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSynthesisOptions } = require('../synthesis-options');
+
+test('maps accepted parameters to provider option names', () => {
+    assert.deepEqual(parseSynthesisOptions({
+        rate: '1.5', pitch: -5, temperature: 2, sampleRate: '48000', sentencePauseMs: '0', paragraphPauseMs: 5000, voice: 'Ashley'
+    }), {
+        options: { speakingRate: 1.5, pitch: -5, temperature: 2, sampleRate: 48000, sentencePauseMs: 0, paragraphPauseMs: 5000 },
+        error: null
+    });
+    assert.deepEqual(parseSynthesisOptions({ rate: '', pitch: undefined }), { options: {}, error: null });
+});
+
+test('rejects values outside each parameter range', () => {
+    const errorFor = input => parseSynthesisOptions(input).error;
+    assert.equal(errorFor({ rate: 0.49 }), 'rate must be a number between 0.5 and 2');
+    assert.equal(errorFor({ rate: 2.01 }), 'rate must be a number between 0.5 and 2');
+    assert.equal(errorFor({ pitch: 'high' }), 'pitch must be a number between -5 and 5');
+    assert.equal(errorFor({ temperature: 0 }), 'temperature must be a number between 0.1 and 2');
+    assert.equal(errorFor({ temperature: 'Infinity' }), 'temperature must be a number between 0.1 and 2');
+    assert.equal(errorFor({ sampleRate: 22051 }), 'sampleRate must be one of 8000, 16000, 22050, 24000, 32000, 44100, 48000');
+    assert.equal(errorFor({ sentencePauseMs: 250.5 }), 'sentencePauseMs must be an integer between 0 and 5000');
+    assert.equal(errorFor({ paragraphPauseMs: -1 }), 'paragraphPauseMs must be an integer between 0 and 5000');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitSentences, endsSentence, splitLongSentence, chunkText } = require('../text-chunker');
+
+const texts = chunks => chunks.map(chunk => chunk.text);
+
+test('splitSentences keeps abbreviations and initials inside a sentence', () => {
+    assert.deepEqual(splitSentences('Dr. Smith met J. R. Doe in the U.S. on Monday. Really?! "Yes."', 'en-US'), [
+        'Dr. Smith met J. R. Doe in the U.S. on Monday.',
+        'Really?!',
+        '"Yes."'
+    ]);
+});
+
+test('CJK full-width punctuation ends a sentence without a following space', () => {
+    assert.deepEqual(splitSentences('今日は晴れです。明日は雨ですか？「はい」と言った。', 'ja-JP'), [
+        '今日は晴れです。',
+        '明日は雨ですか？',
+        '「はい」と言った。'
+    ]);
+    assert.deepEqual(chunkText('第一句。第二句。', { language: 'zh-CN', maxChars: 10 }).map(chunk => chunk.text), ['第一句。第二句。']);
+});
+
+test('Arabic question mark and full stop split sentences', () => {
+    assert.deepEqual(splitSentences('هل ستمطر غدا؟ نعم، ستمطر. شكرا', 'ar-SA'), ['هل ستمطر غدا؟', 'نعم، ستمطر.', 'شكرا']);
+    assert.equal(endsSentence('هل ستمطر غدا؟', 'ar'), true);
+});
+
+test('Devanagari danda splits Hindi sentences', () => {
+    assert.deepEqual(splitSentences('आज मौसम अच्छा है।कल बारिश होगी॥ ठीक है', 'hi-IN'), ['आज मौसम अच्छा है।', 'कल बारिश होगी॥', 'ठीक है']);
+    assert.equal(endsSentence('बारिश होगी।', 'hi-IN'), true);
+    assert.equal(endsSentence('बारिश होगी', 'hi-IN'), false);
+});
+
+test('chunkText starts a new chunk at every paragraph and marks paragraph ends', () => {
+    const chunks = chunkText('First sentence. Second sentence.\n\n  Next   paragraph\nwraps here.', { maxChars: 30 });
+    assert.deepEqual(chunks, [
+        { text: 'First sentence.', paragraph: 0, endsParagraph: false },
+        { text: 'Second sentence.', paragraph: 0, endsParagraph: true },
+        { text: 'Next paragraph wraps here.', paragraph: 1, endsParagraph: true }
+    ]);
+});
+
+test('chunkText packs short sentences up to maxChars', () => {
+    assert.deepEqual(texts(chunkText('One. Two. Three. Four.', { maxChars: 10 })), ['One. Two.', 'Three.', 'Four.']);
+});
+
+test('a sentence longer than maxChars is split at clauses, then words, then hard', () => {
+    assert.deepEqual(splitLongSentence('short', 10), ['short']);
+    assert.deepEqual(splitLongSentence('alpha beta, gamma delta, epsilon', 14), ['alpha beta,', 'gamma delta,', 'epsilon']);
+    assert.deepEqual(splitLongSentence('one two three four five six', 10), ['one two', 'three four', 'five six']);
+    assert.deepEqual(splitLongSentence('あいうえおかきくけこさしす', 5), ['あいうえお', 'かきくけこ', 'さしす']);
+
+    const chunks = chunkText(`${'word '.repeat(50).trim()}.`, { maxChars: 40 });
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(chunk.text.length <= 40, chunk.text));
+    assert.equal(texts(chunks).join(' '), `${'word '.repeat(50).trim()}.`);
+});
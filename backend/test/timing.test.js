@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTimingTrack, scaleTimings, toWebVTT } = require('../timing');
+
+test('buildTimingTrack interpolates sentences and offsets word timings', () => {
+    const track = buildTimingTrack([
+        { text: 'Hello world. Bye now.', offsetMs: 0, durationMs: 2100 },
+        { text: null, offsetMs: 2100, durationMs: 500 },
+        {
+            text: 'Next one.',
+            offsetMs: 2600,
+            durationMs: 1000,
+            words: [{ text: 'Next', startMs: 100, endMs: 400 }, { text: 'one.', startMs: 500, endMs: 900 }]
+        }
+    ], 3600.4, 'en-US');
+
+    assert.equal(track.durationMs, 3600);
+    assert.deepEqual(track.sentences, [
+        { index: 0, text: 'Hello world.', startMs: 0, endMs: 1200 },
+        { index: 1, text: 'Bye now.', startMs: 1300, endMs: 2100 },
+        { index: 2, text: 'Next one.', startMs: 2700, endMs: 3500 }
+    ]);
+    assert.deepEqual(track.words, [
+        { text: 'Next', startMs: 2700, endMs: 3000 },
+        { text: 'one.', startMs: 3100, endMs: 3500 }
+    ]);
+});
+
+test('scaleTimings follows the speaking rate', () => {
+    const words = [{ text: 'Hi', startMs: 100, endMs: 300 }];
+    assert.equal(scaleTimings(words, 1), words);
+    assert.deepEqual(scaleTimings(words, 2), [{ text: 'Hi', startMs: 50, endMs: 150 }]);
+});
+
+test('toWebVTT numbers cues, formats timestamps and escapes cue text', () => {
+    const track = {
+        durationMs: 3724000,
+        sentences: [
+            { index: 0, text: 'Tom & Jerry <live>', startMs: 0, endMs: 1500 },
+            { index: 1, text: 'a --> b', startMs: 3723004, endMs: 3723000 }
+        ],
+        words: [{ text: 'Tom', startMs: 0, endMs: 250 }]
+    };
+    assert.equal(toWebVTT(track), [
+        'WEBVTT',
+        '',
+        '1',
+        '00:00:00.000 --> 00:00:01.500',
+        'Tom &amp; Jerry &lt;live>',
+        '',
+        '2',
+        '01:02:03.004 --> 01:02:03.004',
+        'a --&gt; b',
+        ''
+    ].join('\n'));
+    assert.equal(toWebVTT(track, 'word'), 'WEBVTT\n\n1\n00:00:00.000 --> 00:00:00.250\nTom\n');
+    assert.equal(toWebVTT({ durationMs: 0, sentences: [], words: [] }), 'WEBVTT\n');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { buildTranslationMessages, createStubTranslator, createHttpTranslator, createTranslator } = require('../translators');
+
+const LLM_CONFIG = { modelName: 'local-model', max_new_tokens: 256, temperature: 0.2, top_p: 0.9, stop_sequences: [] };
+const LANGUAGE_NAMES = { 'ko-KR': 'Korean', 'es-ES': 'Spanish' };
+
+/**
+ * Local stand-in for an OpenAI-compatible chat completions server
+ */
+async function startStubModel(reply) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push(JSON.parse(body));
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: reply } }] }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, url: `http://127.0.0.1:${server.address().port}/v1/chat/completions` };
+}
+
+test('stub translator tags the text with the target language', async () => {
+    const translator = createTranslator({ type: 'stub' });
+    assert.equal(translator.name, 'stub');
+    assert.equal(translator.isConfigured(), true);
+    assert.equal(await translator.translate('Markets rally', 'ko-KR'), '[ko-KR] Markets rally');
+    assert.equal(await createStubTranslator().translate('Markets rally', 'ko-KR'), '[ko-KR] Markets rally');
+});
+
+test('translation prompt names the target language', () => {
+    const [system, user] = buildTranslationMessages('Markets rally', 'Korean');
+    assert.equal(system.role, 'system');
+    assert.match(system.content, /from English to Korean/);
+    assert.deepEqual(user, { role: 'user', content: 'Markets rally' });
+});
+
+test('http translator asks a local model and returns its reply', async (t) => {
+    const model = await startStubModel('  증시 상승  ');
+    t.after(() => model.server.close());
+
+    const translator = createHttpTranslator({ url: model.url, llmConfig: LLM_CONFIG, languageNames: LANGUAGE_NAMES });
+    assert.equal(translator.isConfigured(), true);
+    assert.equal(await translator.translate('Markets rally', 'ko-KR'), '증시 상승');
+
+    const [request] = model.requests;
+    assert.equal(request.model, 'local-model');
+    assert.equal(request.max_tokens, 256);
+    assert.match(request.messages[0].content, /to Korean/);
+    assert.equal(request.messages[1].content, 'Markets rally');
+});
+
+test('http translator rejects an empty reply so the caller can fall back', async (t) => {
+    const model = await startStubModel('   ');
+    t.after(() => model.server.close());
+
+    const translator = createHttpTranslator({ url: model.url, llmConfig: LLM_CONFIG, languageNames: LANGUAGE_NAMES });
+    await assert.rejects(translator.translate('Markets rally', 'es-ES'), /empty content/);
+});
+
+test('http translator is not configured without a URL', () => {
+    assert.equal(createHttpTranslator({ llmConfig: LLM_CONFIG, languageNames: LANGUAGE_NAMES }).isConfigured(), false);
+});
+
+test('unknown translator types are rejected', () => {
+    assert.throws(() => createTranslator({ type: 'nope' }), /Unknown translator type: nope/);
+});
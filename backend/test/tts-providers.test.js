@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeProvider, createTTSProviderRegistry, createProviders } = require('../tts-providers');
+
+const OPTIONS = { sampleRate: 16000, speakingRate: 1, pitch: 0 };
+
+/**
+ * Provider that always fails, to exercise the fallback chain
+ */
+function createFailingProvider(name) {
+    return {
+        name,
+        isAvailable: () => true,
+        async synthesize() {
+            throw new Error(`${name} is down`);
+        }
+    };
+}
+
+test('fake provider is deterministic for the same text and voice', async () => {
+    const provider = createFakeProvider();
+    const first = await provider.synthesize('Markets rally today', 'Ashley', OPTIONS);
+    const second = await provider.synthesize('Markets rally today', 'Ashley', OPTIONS);
+    assert.equal(first.sampleRate, 16000);
+    assert.ok(first.samples.length > 0);
+    assert.deepEqual(first.samples, second.samples);
+    assert.deepEqual(first.words.map(word => word.text), ['Markets', 'rally', 'today']);
+});
+
+test('fake provider output depends on the voice and the speaking rate', async () => {
+    const provider = createFakeProvider();
+    const ashley = await provider.synthesize('Markets rally', 'Ashley', OPTIONS);
+    const dennis = await provider.synthesize('Markets rally', 'Dennis', OPTIONS);
+    const fast = await provider.synthesize('Markets rally', 'Ashley', { ...OPTIONS, speakingRate: 2 });
+    assert.notDeepEqual(ashley.samples, dennis.samples);
+    assert.ok(fast.samples.length < ashley.samples.length);
+});
+
+test('registry falls back in order and reports who served the request', async () => {
+    const registry = createTTSProviderRegistry([createFailingProvider('broken'), createFakeProvider()]);
+    const result = await registry.synthesize('Markets rally', 'Ashley', OPTIONS);
+    assert.equal(result.provider, 'fake');
+
+    const stats = registry.getStats();
+    assert.deepEqual(stats.order, ['broken', 'fake']);
+    assert.equal(stats.providers[0].failures, 1);
+    assert.equal(stats.providers[0].lastError, 'broken is down');
+    assert.equal(stats.providers[1].served, 1);
+    assert.equal(stats.recentRequests[0].provider, 'fake');
+    assert.deepEqual(stats.recentRequests[0].failedProviders, ['broken']);
+});
+
+test('registry fails when every provider fails', async () => {
+    const registry = createTTSProviderRegistry([createFailingProvider('a'), createFailingProvider('b')]);
+    await assert.rejects(registry.synthesize('Markets rally', 'Ashley', OPTIONS), (error) => {
+        assert.match(error.message, /All TTS providers failed \(a, b\)/);
+        assert.deepEqual(error.attempts.map(attempt => attempt.provider), ['a', 'b']);
+        return true;
+    });
+});
+
+test('registry streams from the fake provider', async () => {
+    const registry = createTTSProviderRegistry([createFakeProvider()]);
+    const chunks = [];
+    for await (const chunk of registry.stream('Markets rally today', 'Ashley', OPTIONS)) {
+        chunks.push(chunk);
+    }
+    assert.ok(chunks.length > 0);
+    assert.ok(chunks.every(chunk => chunk.provider === 'fake' && chunk.sampleRate === 16000));
+});
+
+test('providers are created by name', () => {
+    assert.deepEqual(createProviders(['fake', 'test-tone'], {}).map(provider => provider.name), ['fake', 'test-tone']);
+    assert.throws(() => createProviders(['nope'], {}), /Unknown TTS provider: nope/);
+});
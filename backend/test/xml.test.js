@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeXml, decodeXml } = require('../xml');
+
+test('escapeXml escapes markup and both quote characters', () => {
+    assert.equal(escapeXml('Tom & Jerry <"live"> it\'s'), 'Tom &amp; Jerry &lt;&quot;live&quot;&gt; it&apos;s');
+    assert.equal(escapeXml(42), '42');
+});
+
+test('decodeXml decodes entities and character references once', () => {
+    assert.equal(decodeXml(' &lt;b&gt; &quot;x&quot; &apos;y&apos; &#233; &#xE9; '), '<b> "x" \'y\' é é');
+    assert.equal(decodeXml('&amp;lt;'), '&lt;');
+    assert.equal(decodeXml('&nbsp; &#x110000;'), '&nbsp; &#x110000;');
+});
+
+test('decodeXml keeps CDATA content as is', () => {
+    assert.equal(decodeXml('<![CDATA[<p>A &amp; B</p>]]> &amp; more'), '<p>A &amp; B</p> & more');
+});
+
+test('escapeXml and decodeXml round-trip', () => {
+    const text = 'R&D <"quotes"> \'apostrophes\' ü';
+    assert.equal(decodeXml(escapeXml(text)), text);
+});
@@ -0,0 +1,222 @@
+/**
+ * Text chunking for long-form synthesis
+ * Splits text on paragraph and sentence boundaries (with language-aware punctuation
+ * for CJK, Arabic and Hindi) and packs sentences into chunks small enough for one
+ * TTS request each.
+ */
+
+// Abbreviations that end in a period without ending the sentence
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'etc', 'inc', 'ltd', 'co', 'corp',
+    'no', 'gen', 'gov', 'sen', 'rep', 'rev', 'lt', 'col', 'sgt', 'capt', 'jan', 'feb', 'mar', 'apr',
+    'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'approx', 'dept', 'est', 'fig'
+]);
+
+// Per-script sentence rules: terminators that end a sentence even without a following space
+// (full-width CJK punctuation, Devanagari danda) and terminators that need whitespace after them
+const SENTENCE_RULES = {
+    cjk: { closed: '。！？；…', spaced: '.!?' },
+    arabic: { closed: '', spaced: '.!?؟۔' },
+    devanagari: { closed: '।॥', spaced: '.!?' },
+    latin: { closed: '', spaced: '.!?…' }
+};
+
+// Clause punctuation used to break up sentences that are too long on their own
+const CLAUSE_BREAKS = /([,;:，、；：،])\s*/g;
+
+/**
+ * Pick the sentence rules for a language code
+ * @param {string} language - Language code (e.g., 'ja-JP')
+ */
+function rulesForLanguage(language = 'en-US') {
+    const code = language.split('-')[0].toLowerCase();
+    if (code === 'ja' || code === 'zh') {
+        return SENTENCE_RULES.cjk;
+    }
+    if (code === 'ar' || code === 'fa' || code === 'ur') {
+        return SENTENCE_RULES.arabic;
+    }
+    if (code === 'hi' || code === 'mr' || code === 'ne') {
+        return SENTENCE_RULES.devanagari;
+    }
+    // Korean mostly uses Latin punctuation, but may contain full-width marks
+    return code === 'ko' ? { closed: SENTENCE_RULES.cjk.closed, spaced: SENTENCE_RULES.latin.spaced } : SENTENCE_RULES.latin;
+}
+
+/**
+ * Whether the period ending `before` belongs to an abbreviation or initial
+ */
+function isAbbreviation(before) {
+    const word = /([\p{L}.]+)\.$/u.exec(before);
+    if (!word) {
+        return false;
+    }
+    // Initials and dotted acronyms: "J.", "U.S.", "e.g."
+    if (/^\p{Lu}$/u.test(word[1]) || /^(\p{L}\.)+\p{L}$/u.test(word[1])) {
+        return true;
+    }
+    return ABBREVIATIONS.has(word[1].toLowerCase());
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text without paragraph breaks
+ * @param {string} language - Language code
+ * @returns {string[]} Sentences
+ */
+function splitSentences(text, language) {
+    const { closed, spaced } = rulesForLanguage(language);
+    const sentences = [];
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const isClosed = closed.includes(char);
+        if (!isClosed && !spaced.includes(char)) {
+            continue;
+        }
+
+        // Swallow repeated terminators and closing quotes/brackets: "Really?!" or 'done."'
+        let end = i + 1;
+        while (end < text.length && (closed.includes(text[end]) || spaced.includes(text[end]) || /["'”’»)\]」』]/.test(text[end]))) {
+            end++;
+        }
+
+        const next = text[end];
+        const atBoundary = isClosed || next === undefined || /\s/.test(next);
+        if (!atBoundary || (char === '.' && isAbbreviation(text.slice(start, i + 1)))) {
+            i = end - 1;
+            continue;
+        }
+
+        const sentence = text.slice(start, end).trim();
+        if (sentence) {
+            sentences.push(sentence);
+        }
+        start = end;
+        i = end - 1;
+    }
+
+    const rest = text.slice(start).trim();
+    if (rest) {
+        sentences.push(rest);
+    }
+    return sentences;
+}
+
+/**
+ * Whether text ends with sentence-final punctuation (ignoring closing quotes/brackets)
+ * @param {string} text - Text
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+function endsSentence(text, language) {
+    const { closed, spaced } = rulesForLanguage(language);
+    const last = text.trim().replace(/["'”’»)\]」』]+$/, '').slice(-1);
+    return last !== '' && (closed.includes(last) || spaced.includes(last));
+}
+
+/**
+ * Break a sentence longer than maxChars at clause punctuation, then whitespace, then hard
+ * @param {string} sentence - Sentence
+ * @param {number} maxChars - Maximum piece length
+ * @returns {string[]} Pieces
+ */
+function splitLongSentence(sentence, maxChars) {
+    if (sentence.length <= maxChars) {
+        return [sentence];
+    }
+
+    const pieces = [];
+    let current = '';
+    const push = (piece) => {
+        if (piece.trim()) {
+            pieces.push(piece.trim());
+        }
+    };
+
+    const clauses = sentence.replace(CLAUSE_BREAKS, '$1\u0000').split('\u0000');
+    for (const clause of clauses) {
+        if ((current + clause).length <= maxChars) {
+            current += clause;
+            continue;
+        }
+        push(current);
+        current = '';
+
+        if (clause.length <= maxChars) {
+            current = clause;
+            continue;
+        }
+
+        // Clause still too long: fall back to word boundaries, then to a hard cut (CJK has no spaces)
+        for (const word of clause.split(/(\s+)/)) {
+            if ((current + word).length <= maxChars) {
+                current += word;
+            } else if (word.length > maxChars) {
+                push(current);
+                for (let offset = 0; offset < word.length; offset += maxChars) {
+                    push(word.slice(offset, offset + maxChars));
+                }
+                current = '';
+            } else {
+                push(current);
+                current = word;
+            }
+        }
+    }
+    push(current);
+    return pieces;
+}
+
+/**
+ * Split text into synthesis chunks that end on sentence boundaries
+ * @param {string} text - Text; blank lines separate paragraphs
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language code used for sentence rules
+ * @param {number} [options.maxChars] - Maximum characters per chunk
+ * @returns {Array<{text: string, paragraph: number, endsParagraph: boolean}>} Chunks in reading order
+ */
+function chunkText(text, { language = 'en-US', maxChars = 400 } = {}) {
+    const paragraphs = text
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+
+    const chunks = [];
+    paragraphs.forEach((paragraph, paragraphIndex) => {
+        const pieces = splitSentences(paragraph, language).flatMap(sentence => splitLongSentence(sentence, maxChars));
+
+        // CJK sentences are joined without a space
+        const separator = rulesForLanguage(language) === SENTENCE_RULES.cjk ? '' : ' ';
+        let current = '';
+        const paragraphChunks = [];
+        for (const piece of pieces) {
+            if (current && (current + separator + piece).length > maxChars) {
+                paragraphChunks.push(current);
+                current = piece;
+            } else {
+                current = current ? current + separator + piece : piece;
+            }
+        }
+        if (current) {
+            paragraphChunks.push(current);
+        }
+
+        paragraphChunks.forEach((chunk, index) => {
+            chunks.push({
+                text: chunk,
+                paragraph: paragraphIndex,
+                endsParagraph: index === paragraphChunks.length - 1
+            });
+        });
+    });
+    return chunks;
+}
+
+module.exports = {
+    splitSentences,
+    endsSentence,
+    splitLongSentence,
+    chunkText
+};
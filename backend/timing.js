@@ -0,0 +1,153 @@
+/**
+ * Timing tracks for synthesized audio
+ * A track lists where every sentence (and, when the provider reports them, every word)
+ * starts and ends in the final audio:
+ *
+ *   {
+ *       durationMs,
+ *       sentences: [{ index, text, startMs, endMs }],
+ *       words: [{ text, startMs, endMs }]
+ *   }
+ *
+ * Providers may return `words` (word timings) or `spans` (timed text pieces, e.g. the
+ * chunks of the Inworld graph stream). Sentence boundaries are interpolated by character
+ * position inside the most precise pieces available; without any the whole unit is one piece.
+ */
+
+const { splitSentences } = require('./text-chunker');
+
+const round = value => Math.round(value);
+
+/**
+ * Find where each piece sits in the unit text, in order
+ * @returns {Array<{start: number, end: number, startMs: number, endMs: number}>|null} Null when a piece is not found
+ */
+function locatePieces(text, pieces) {
+    const located = [];
+    let cursor = 0;
+    for (const piece of pieces) {
+        const pieceText = piece.text.trim();
+        const start = pieceText ? text.indexOf(pieceText, cursor) : -1;
+        if (start < 0) {
+            return null;
+        }
+        cursor = start + pieceText.length;
+        located.push({ start, end: cursor, startMs: piece.startMs, endMs: piece.endMs });
+    }
+    return located;
+}
+
+/**
+ * Time (ms from the unit start) at a character position, interpolated inside the piece that holds it
+ */
+function timeAtCharacter(located, position) {
+    for (const piece of located) {
+        if (position < piece.start) {
+            return piece.startMs;
+        }
+        if (position <= piece.end) {
+            const fraction = piece.end > piece.start ? (position - piece.start) / (piece.end - piece.start) : 0;
+            return piece.startMs + fraction * (piece.endMs - piece.startMs);
+        }
+    }
+    return located[located.length - 1].endMs;
+}
+
+/**
+ * Build the timing track for stitched audio
+ * @param {Array<Object>} units - In playback order: { text, offsetMs, durationMs, words?, spans? },
+ *   where offsetMs is where the unit starts in the final audio and words/spans are relative to it
+ * @param {number} durationMs - Length of the final audio
+ * @param {string} language - Language code, for sentence splitting
+ * @returns {{durationMs: number, sentences: Object[], words: Object[]}}
+ */
+function buildTimingTrack(units, durationMs, language) {
+    const sentences = [];
+    const words = [];
+
+    for (const unit of units) {
+        if (!unit.text || !unit.text.trim()) {
+            continue;
+        }
+        const whole = [{ start: 0, end: unit.text.length, startMs: 0, endMs: unit.durationMs }];
+        const located = (unit.words && unit.words.length > 0 && locatePieces(unit.text, unit.words))
+            || (unit.spans && unit.spans.length > 0 && locatePieces(unit.text, unit.spans))
+            || whole;
+
+        let cursor = 0;
+        for (const sentence of splitSentences(unit.text, language)) {
+            const start = unit.text.indexOf(sentence, cursor);
+            if (start < 0) {
+                continue;
+            }
+            const end = start + sentence.length;
+            cursor = end;
+            sentences.push({
+                index: sentences.length,
+                text: sentence,
+                startMs: round(unit.offsetMs + timeAtCharacter(located, start)),
+                endMs: round(unit.offsetMs + timeAtCharacter(located, end))
+            });
+        }
+
+        for (const word of unit.words || []) {
+            words.push({
+                text: word.text,
+                startMs: round(unit.offsetMs + word.startMs),
+                endMs: round(unit.offsetMs + word.endMs)
+            });
+        }
+    }
+
+    return { durationMs: round(durationMs), sentences, words };
+}
+
+/**
+ * Scale a provider's word/span timings when its audio was time-stretched afterwards
+ * @param {Object[]} [pieces] - { text, startMs, endMs }
+ * @param {number} speakingRate - Stretch factor applied to the audio
+ * @returns {Object[]|undefined}
+ */
+function scaleTimings(pieces, speakingRate) {
+    if (!pieces || speakingRate === 1) {
+        return pieces;
+    }
+    return pieces.map(piece => ({ ...piece, startMs: piece.startMs / speakingRate, endMs: piece.endMs / speakingRate }));
+}
+
+/**
+ * WebVTT timestamp (hh:mm:ss.ttt)
+ */
+function formatTimestamp(ms) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms / 60000) % 60;
+    const seconds = Math.floor(ms / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Render a timing track as WebVTT
+ * @param {Object} track - From buildTimingTrack
+ * @param {string} [level] - 'sentence' (default) or 'word'
+ * @returns {string} WebVTT document
+ */
+function toWebVTT(track, level = 'sentence') {
+    const cues = level === 'word' ? track.words : track.sentences;
+    const lines = ['WEBVTT', ''];
+    cues.forEach((cue, index) => {
+        lines.push(
+            String(index + 1),
+            `${formatTimestamp(cue.startMs)} --> ${formatTimestamp(Math.max(cue.endMs, cue.startMs))}`,
+            cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '--&gt;'),
+            ''
+        );
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildTimingTrack,
+    scaleTimings,
+    toWebVTT
+};
@@ -0,0 +1,221 @@
+/**
+ * Translation backends for TTSNewsReader
+ * Every translator implements the same interface so the server can swap the
+ * Inworld LLM graph for a local model (or a deterministic stub) without touching routes:
+ *
+ *   {
+ *       name: string,
+ *       isConfigured(): boolean,
+ *       translate(text, targetLanguage): Promise<string>
+ *   }
+ */
+
+const axios = require('axios');
+const { NodeFactory, GraphBuilder } = require('@inworld/runtime/graph');
+const { GraphTypes } = require('@inworld/runtime/common');
+
+/**
+ * Build the chat messages used to ask an LLM for a translation
+ * @param {string} text - Text to translate
+ * @param {string} targetLanguageName - Human readable language name (e.g., 'Korean')
+ * @returns {Array<{role: string, content: string}>} Chat messages
+ */
+function buildTranslationMessages(text, targetLanguageName) {
+    return [
+        {
+            role: 'system',
+            content: `You are a professional news translator. Translate the user's text from English to ${targetLanguageName}. ` +
+                'Keep names, numbers and facts unchanged, keep it suitable for being read aloud, ' +
+                'and reply with the translation only - no quotes, notes or explanations.'
+        },
+        {
+            role: 'user',
+            content: text
+        }
+    ];
+}
+
+/**
+ * Map our snake_case LLM config onto the Inworld text generation config
+ * @param {Object} llmConfig - LLM_CONFIG from server.js
+ * @returns {Object} Inworld textGenerationConfig
+ */
+function toTextGenerationConfig(llmConfig) {
+    return {
+        maxNewTokens: llmConfig.max_new_tokens,
+        maxPromptLength: llmConfig.max_prompt_length,
+        repetitionPenalty: llmConfig.repetition_penalty,
+        topP: llmConfig.top_p,
+        temperature: llmConfig.temperature,
+        frequencyPenalty: llmConfig.frequency_penalty,
+        presencePenalty: llmConfig.presence_penalty,
+        stopSequences: llmConfig.stop_sequences
+    };
+}
+
+/**
+ * Pull the generated text out of an LLM graph result
+ * @param {*} data - Graph output data (Content object or plain string)
+ * @returns {string} Generated text
+ */
+function extractLLMContent(data) {
+    if (typeof data === 'string') {
+        return data;
+    }
+    if (data && typeof data.content === 'string') {
+        return data.content;
+    }
+    return '';
+}
+
+/**
+ * Translator backed by an Inworld remote LLM chat node
+ * @param {Object} options
+ * @param {string} options.apiKey - Inworld API key
+ * @param {Object} options.llmConfig - LLM configuration (provider, modelName, generation params)
+ * @param {Object} options.languageNames - Language code -> language name map
+ */
+function createInworldTranslator({ apiKey, llmConfig, languageNames }) {
+    return {
+        name: 'inworld-llm',
+
+        isConfigured() {
+            return Boolean(apiKey) && !apiKey.includes('your_');
+        },
+
+        async translate(text, targetLanguage) {
+            const targetLanguageName = languageNames[targetLanguage] || targetLanguage;
+
+            const llmNode = NodeFactory.createRemoteLLMChatNode({
+                id: `llm_translation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                llmConfig: {
+                    provider: llmConfig.provider,
+                    modelName: llmConfig.modelName,
+                    apiKey,
+                    stream: false,
+                    textGenerationConfig: toTextGenerationConfig(llmConfig)
+                }
+            });
+
+            // Single node graph: chat request in, generated content out
+            const executor = new GraphBuilder(`translation_graph_${Date.now()}`)
+                .addNode(llmNode)
+                .setStartNode(llmNode)
+                .setEndNode(llmNode)
+                .getExecutor();
+
+            let outputStream = null;
+            try {
+                outputStream = await executor.execute(
+                    new GraphTypes.LLMChatRequest({
+                        messages: buildTranslationMessages(text, targetLanguageName)
+                    }),
+                    `translation_${Date.now()}`
+                );
+
+                const result = await outputStream.next();
+                const translated = extractLLMContent(result.data).trim();
+
+                if (!translated) {
+                    throw new Error('LLM returned empty translation');
+                }
+                return translated;
+            } finally {
+                // Clean up graph resources
+                if (outputStream) {
+                    executor.closeExecution(outputStream);
+                }
+                executor.stopExecutor();
+                executor.cleanupAllExecutions();
+                executor.destroy();
+            }
+        }
+    };
+}
+
+/**
+ * Translator that talks to an OpenAI-compatible chat completions endpoint,
+ * e.g. a local model server used during development and tests
+ * @param {Object} options
+ * @param {string} options.url - Chat completions URL (e.g., http://localhost:8080/v1/chat/completions)
+ * @param {string} [options.model] - Model name sent with the request
+ * @param {Object} options.llmConfig - LLM configuration (generation params)
+ * @param {Object} options.languageNames - Language code -> language name map
+ */
+function createHttpTranslator({ url, model, llmConfig, languageNames }) {
+    return {
+        name: 'http-llm',
+
+        isConfigured() {
+            return Boolean(url);
+        },
+
+        async translate(text, targetLanguage) {
+            const targetLanguageName = languageNames[targetLanguage] || targetLanguage;
+
+            const response = await axios.post(url, {
+                model: model || llmConfig.modelName,
+                messages: buildTranslationMessages(text, targetLanguageName),
+                max_tokens: llmConfig.max_new_tokens,
+                temperature: llmConfig.temperature,
+                top_p: llmConfig.top_p,
+                stop: llmConfig.stop_sequences
+            }, {
+                timeout: 30000
+            });
+
+            const choice = response.data && response.data.choices && response.data.choices[0];
+            const translated = extractLLMContent(choice && choice.message).trim();
+
+            if (!translated) {
+                throw new Error('Translation endpoint returned empty content');
+            }
+            return translated;
+        }
+    };
+}
+
+/**
+ * Deterministic translator for offline development and tests.
+ * Tags the text with the target language instead of translating it.
+ */
+function createStubTranslator() {
+    return {
+        name: 'stub',
+
+        isConfigured() {
+            return true;
+        },
+
+        async translate(text, targetLanguage) {
+            return `[${targetLanguage}] ${text}`;
+        }
+    };
+}
+
+/**
+ * Create the translator selected by configuration
+ * @param {Object} options
+ * @param {string} [options.type] - 'inworld' (default), 'http' or 'stub'
+ * @returns {Object} Translator
+ */
+function createTranslator({ type = 'inworld', apiKey, url, model, llmConfig, languageNames }) {
+    switch (type) {
+        case 'inworld':
+            return createInworldTranslator({ apiKey, llmConfig, languageNames });
+        case 'http':
+            return createHttpTranslator({ url, model, llmConfig, languageNames });
+        case 'stub':
+            return createStubTranslator();
+        default:
+            throw new Error(`Unknown translator type: ${type}`);
+    }
+}
+
+module.exports = {
+    buildTranslationMessages,
+    createInworldTranslator,
+    createHttpTranslator,
+    createStubTranslator,
+    createTranslator
+};
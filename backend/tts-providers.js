@@ -0,0 +1,543 @@
+/**
+ * TTS provider registry for TTSNewsReader
+ * Every speech engine implements the same interface:
+ *
+ *   {
+ *       name: string,
+ *       placeholder?: boolean,          // true for engines that don't produce real speech
+ *       capabilities?: {                // what the engine honours natively
+ *           prosody: boolean,               // pitch / speakingRate
+ *           speakingRateRange?: [min, max], // beyond these the registry time-stretches the rest
+ *           pitchRange?: [min, max]
+ *       },
+ *       isAvailable(): boolean,
+ *       synthesize(text, voice, options): Promise<
+ *           { samples: Float32Array, sampleRate: number } |   // PCM
+ *           { audio: Buffer, contentType: string }            // already encoded audio
+ *           // either may add timings ({ text, startMs, endMs }) of its words or text spans:
+ *           // { words?: Object[], spans?: Object[] }
+ *       >,
+ *       stream?(text, voice, options): AsyncIterable<
+ *           { samples: Float32Array, sampleRate: number, text: string }
+ *       >
+ *   }
+ *
+ * options: { language, modelId, sampleRate, pitch, speakingRate, temperature }
+ *
+ * The registry tries providers in the configured order and reports which one
+ * served each request, so routes never need to know which engine answered.
+ * Speaking rate, pitch and sample rate an engine can't produce are applied to its
+ * PCM afterwards, so the result sounds the same whichever provider answered.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { NodeFactory, GraphBuilder, ComponentFactory } = require('@inworld/runtime/graph');
+const { concatSamples, decodeWAV, generateTone, adjustProsody, resampleLinear } = require('./audio');
+const { scaleTimings } = require('./timing');
+
+const RECENT_REQUESTS_LIMIT = 20;
+
+/**
+ * Check an API key is set and not a template placeholder
+ */
+function isRealApiKey(apiKey) {
+    return Boolean(apiKey) && !apiKey.includes('your_');
+}
+
+/**
+ * Inworld graph executor provider (node_tts pattern)
+ * @param {Object} options
+ * @param {string} options.apiKey - Inworld API key
+ */
+function createInworldGraphProvider({ apiKey }) {
+    return {
+        name: 'inworld-graph',
+        capabilities: { prosody: true, speakingRateRange: [0.5, 1.5], pitchRange: [-5, 5] },
+
+        isAvailable() {
+            return isRealApiKey(apiKey);
+        },
+
+        /**
+         * Stream audio chunks as the TTS graph produces them
+         */
+        async *stream(text, voice, options) {
+            // Create TTS component following node_tts template pattern
+            const ttsComponent = ComponentFactory.createRemoteTTSComponent({
+                id: `tts_component_${Date.now()}`,
+                apiKey,
+                synthesisConfig: {
+                    type: 'inworld',
+                    config: {
+                        modelId: options.modelId,
+                        postprocessing: {
+                            sampleRate: options.sampleRate,
+                        },
+                        inference: {
+                            pitch: options.pitch,
+                            speakingRate: options.speakingRate,
+                            temperature: options.temperature,
+                        },
+                    },
+                },
+            });
+
+            // Create TTS node that will convert text to speech
+            const ttsNode = NodeFactory.createRemoteTTSNode({
+                id: `tts_node_${Date.now()}`,
+                ttsComponentId: ttsComponent.id,
+                voice: {
+                    speakerId: voice,
+                },
+            });
+
+            // Create input and output proxy nodes for the graph
+            const inputProxyNode = NodeFactory.createProxyNode({
+                id: `input_${Date.now()}`,
+                reportToClient: false,
+            });
+
+            const outputProxyNode = NodeFactory.createProxyNode({
+                id: `output_${Date.now()}`,
+                reportToClient: false,
+            });
+
+            // Build the graph: input -> TTS -> output
+            const executor = new GraphBuilder(`tts_graph_${Date.now()}`)
+                .addComponent(ttsComponent)
+                .addNode(inputProxyNode)
+                .addNode(ttsNode)
+                .addNode(outputProxyNode)
+                .addEdge(inputProxyNode, ttsNode)
+                .addEdge(ttsNode, outputProxyNode)
+                .setStartNode(inputProxyNode)
+                .setEndNode(outputProxyNode)
+                .getExecutor();
+
+            let outputStream = null;
+            try {
+                console.log(`🎵 Executing TTS graph for ${text.length} characters...`);
+                outputStream = await executor.execute(text, `execution_${Date.now()}`);
+
+                // Get TTS stream from the output
+                const ttsResult = await outputStream.next();
+                const ttsStream = ttsResult.data;
+
+                let resultCount = 0;
+
+                // Hand each audio chunk on as soon as it arrives, with the text it covers
+                let chunk = await ttsStream.next();
+                while (!chunk.done) {
+                    if (chunk.audio && chunk.audio.data) {
+                        yield {
+                            samples: Float32Array.from(chunk.audio.data),
+                            sampleRate: options.sampleRate,
+                            text: chunk.text || ''
+                        };
+                    }
+                    resultCount++;
+                    chunk = await ttsStream.next();
+                }
+
+                console.log(`✅ TTS graph completed - Result count: ${resultCount}`);
+            } finally {
+                // Clean up graph resources
+                if (outputStream) {
+                    executor.closeExecution(outputStream);
+                }
+                executor.stopExecutor();
+                executor.cleanupAllExecutions();
+                executor.destroy();
+            }
+        },
+
+        async synthesize(text, voice, options) {
+            const audioChunks = [];
+            const spans = [];
+            let offsetMs = 0;
+            for await (const chunk of this.stream(text, voice, options)) {
+                audioChunks.push(chunk.samples);
+                // Each chunk carries the text it speaks, which gives a coarse alignment
+                const durationMs = chunk.samples.length / chunk.sampleRate * 1000;
+                if (chunk.text.trim()) {
+                    spans.push({ text: chunk.text, startMs: offsetMs, endMs: offsetMs + durationMs });
+                }
+                offsetMs += durationMs;
+            }
+
+            const samples = concatSamples(audioChunks);
+            if (samples.length === 0) {
+                throw new Error('No audio content from TTS graph');
+            }
+            return { samples, sampleRate: options.sampleRate, spans };
+        }
+    };
+}
+
+/**
+ * Inworld REST provider (POST /tts/v1/voice)
+ * @param {Object} options
+ * @param {string} options.apiKey - Inworld API key (Basic auth)
+ * @param {string} options.apiBase - Inworld API base URL
+ */
+function createInworldRestProvider({ apiKey, apiBase }) {
+    return {
+        name: 'inworld-rest',
+
+        isAvailable() {
+            return isRealApiKey(apiKey);
+        },
+
+        async synthesize(text, voice, options) {
+            const response = await axios.post(
+                `${apiBase}/tts/v1/voice`,
+                {
+                    text,
+                    voiceId: voice,
+                    modelId: options.modelId,
+                    audioConfig: {
+                        audioEncoding: 'LINEAR16',
+                        sampleRateHertz: options.sampleRate
+                    },
+                    timestampType: 'WORD'
+                },
+                {
+                    headers: {
+                        'Authorization': `Basic ${apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 30000
+                }
+            );
+
+            if (!response.data || !response.data.audioContent) {
+                throw new Error('No audio content from REST API');
+            }
+
+            const decoded = decodeWAV(Buffer.from(response.data.audioContent, 'base64'), options.sampleRate);
+            const alignment = response.data.timestampInfo && response.data.timestampInfo.wordAlignment;
+            if (alignment && Array.isArray(alignment.words)) {
+                decoded.words = alignment.words.map((word, index) => ({
+                    text: word,
+                    startMs: alignment.wordStartTimeSeconds[index] * 1000,
+                    endMs: alignment.wordEndTimeSeconds[index] * 1000
+                }));
+            }
+            return decoded;
+        }
+    };
+}
+
+/**
+ * Test tone provider - a short 440Hz beep used when no real engine is available
+ */
+function createTestToneProvider() {
+    return {
+        name: 'test-tone',
+        placeholder: true,
+
+        isAvailable() {
+            return true;
+        },
+
+        async synthesize(text, voice, options) {
+            const duration = Math.min(text.length * 0.1, 3); // Max 3 seconds
+            return {
+                samples: generateTone(440, duration, options.sampleRate),
+                sampleRate: options.sampleRate
+            };
+        }
+    };
+}
+
+/**
+ * Deterministic fake provider for tests.
+ * The same text and voice always produce the same samples: one short tone per word,
+ * pitched from a hash of the word and voice, shifted by pitch (semitones) and
+ * shortened by speakingRate.
+ */
+function createFakeProvider() {
+    return {
+        name: 'fake',
+        capabilities: { prosody: true },
+
+        isAvailable() {
+            return true;
+        },
+
+        async synthesize(text, voice, options) {
+            const words = text.split(/\s+/).filter(Boolean);
+            const timings = [];
+            let offsetMs = 0;
+            const chunks = words.map((word) => {
+                const hash = crypto.createHash('sha1').update(`${voice}:${word}`).digest();
+                const frequency = (200 + hash.readUInt16LE(0) % 400) * Math.pow(2, (options.pitch || 0) / 12);
+                const duration = (0.06 + word.length * 0.02) / (options.speakingRate || 1);
+                const tone = generateTone(frequency, duration, options.sampleRate, 0.2);
+                const durationMs = tone.length / options.sampleRate * 1000;
+                timings.push({ text: word, startMs: offsetMs, endMs: offsetMs + durationMs });
+                offsetMs += durationMs;
+                return tone;
+            });
+            return { samples: concatSamples(chunks), sampleRate: options.sampleRate, words: timings };
+        }
+    };
+}
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+/**
+ * Split the requested prosody into the part a provider produces itself and the
+ * remainder that has to be applied to its output
+ * @param {Object} provider - TTS provider
+ * @param {Object} options - Synthesis options
+ * @returns {{providerOptions: Object, remainder: {speakingRate: number, pitch: number}}}
+ */
+function splitProsody(provider, options) {
+    const capabilities = provider.capabilities || {};
+    const speakingRate = options.speakingRate || 1;
+    const pitch = options.pitch || 0;
+
+    if (!capabilities.prosody) {
+        return {
+            providerOptions: { ...options, speakingRate: 1, pitch: 0 },
+            remainder: { speakingRate, pitch }
+        };
+    }
+
+    const nativeRate = capabilities.speakingRateRange ? clamp(speakingRate, capabilities.speakingRateRange) : speakingRate;
+    const nativePitch = capabilities.pitchRange ? clamp(pitch, capabilities.pitchRange) : pitch;
+    return {
+        providerOptions: { ...options, speakingRate: nativeRate, pitch: nativePitch },
+        remainder: { speakingRate: speakingRate / nativeRate, pitch: pitch - nativePitch }
+    };
+}
+
+/**
+ * Bring PCM audio to the requested sample rate and apply the prosody remainder (word/span timings follow)
+ * @param {{samples: Float32Array, sampleRate: number}} audio - Provider PCM
+ * @param {Object} remainder - From splitProsody
+ * @param {number} sampleRate - Requested sample rate
+ */
+function conformAudio(audio, remainder, sampleRate) {
+    const samples = resampleLinear(audio.samples, audio.sampleRate, sampleRate);
+    return {
+        ...audio,
+        samples: adjustProsody(samples, sampleRate, remainder),
+        sampleRate,
+        words: scaleTimings(audio.words, remainder.speakingRate),
+        spans: scaleTimings(audio.spans, remainder.speakingRate)
+    };
+}
+
+/**
+ * Stream a provider's output, synthesizing in one go when it has no native streaming
+ * @param {Object} provider - TTS provider
+ * @returns {AsyncIterable<{samples: Float32Array, sampleRate: number, text: string}>}
+ */
+async function* streamFromProvider(provider, text, voice, options) {
+    if (provider.stream) {
+        yield* provider.stream(text, voice, options);
+        return;
+    }
+
+    const result = await provider.synthesize(text, voice, options);
+    if (result.samples) {
+        yield { samples: result.samples, sampleRate: result.sampleRate, text };
+    } else if (result.contentType === 'audio/wav') {
+        yield { ...decodeWAV(result.audio, options.sampleRate), text };
+    } else {
+        throw new Error(`Provider ${provider.name} returned ${result.contentType}, which cannot be streamed as PCM`);
+    }
+}
+
+/**
+ * Create a registry that synthesizes through an ordered list of providers
+ * @param {Object[]} providers - Providers, in fallback order
+ */
+function createTTSProviderRegistry(providers) {
+    const order = providers.map(provider => provider.name);
+    const stats = new Map(order.map(name => [name, {
+        served: 0,
+        failures: 0,
+        lastServedAt: null,
+        lastError: null
+    }]));
+    const recentRequests = [];
+
+    function recordRequest(entry) {
+        recentRequests.unshift(entry);
+        recentRequests.length = Math.min(recentRequests.length, RECENT_REQUESTS_LIMIT);
+    }
+
+    return {
+        /**
+         * Whether any provider that produces real speech is available
+         */
+        hasSpeechProvider() {
+            return providers.some(provider => !provider.placeholder && provider.isAvailable());
+        },
+
+        /**
+         * Synthesize text with the first provider that succeeds
+         * @returns {Promise<Object>} Provider result (PCM at options.sampleRate unless the provider returned
+         *   encoded audio), plus the name of the provider that served it and whether prosody had to be dropped
+         */
+        async synthesize(text, voice, options) {
+            const attempts = [];
+
+            for (const provider of providers) {
+                if (!provider.isAvailable()) {
+                    attempts.push({ provider: provider.name, skipped: true });
+                    continue;
+                }
+
+                const providerStats = stats.get(provider.name);
+                const { providerOptions, remainder } = splitProsody(provider, options);
+                try {
+                    let result = await provider.synthesize(text, voice, providerOptions);
+                    if (!result.samples && result.contentType === 'audio/wav') {
+                        result = decodeWAV(result.audio, providerOptions.sampleRate);
+                    }
+                    const needsProsody = remainder.speakingRate !== 1 || remainder.pitch !== 0;
+
+                    providerStats.served++;
+                    providerStats.lastServedAt = new Date().toISOString();
+                    recordRequest({
+                        at: providerStats.lastServedAt,
+                        provider: provider.name,
+                        voice,
+                        textLength: text.length,
+                        failedProviders: attempts.filter(attempt => attempt.error).map(attempt => attempt.provider)
+                    });
+
+                    if (!result.samples) {
+                        // Encoded audio can't be adjusted; report what was left out
+                        return { ...result, provider: provider.name, prosodyIgnored: needsProsody };
+                    }
+                    return { ...conformAudio(result, remainder, options.sampleRate), provider: provider.name, prosodyIgnored: false };
+                } catch (error) {
+                    console.warn(`⚠️  TTS provider ${provider.name} failed:`, error.message);
+                    providerStats.failures++;
+                    providerStats.lastError = error.message;
+                    attempts.push({ provider: provider.name, error: error.message });
+                }
+            }
+
+            recordRequest({
+                at: new Date().toISOString(),
+                provider: null,
+                voice,
+                textLength: text.length,
+                failedProviders: attempts.filter(attempt => attempt.error).map(attempt => attempt.provider)
+            });
+
+            const error = new Error(`All TTS providers failed (${order.join(', ')})`);
+            error.attempts = attempts;
+            throw error;
+        },
+
+        /**
+         * Stream audio chunks from the first provider that produces any.
+         * Falls back to the next provider only until the first chunk has been sent.
+         * @returns {AsyncIterable<{samples: Float32Array, sampleRate: number, text: string, provider: string}>}
+         */
+        async *stream(text, voice, options) {
+            const attempts = [];
+
+            for (const provider of providers) {
+                if (!provider.isAvailable()) {
+                    attempts.push({ provider: provider.name, skipped: true });
+                    continue;
+                }
+
+                const providerStats = stats.get(provider.name);
+                const { providerOptions, remainder } = splitProsody(provider, options);
+                let started = false;
+                try {
+                    for await (const chunk of streamFromProvider(provider, text, voice, providerOptions)) {
+                        if (!started) {
+                            started = true;
+                            providerStats.served++;
+                            providerStats.lastServedAt = new Date().toISOString();
+                            recordRequest({
+                                at: providerStats.lastServedAt,
+                                provider: provider.name,
+                                voice,
+                                textLength: text.length,
+                                streamed: true,
+                                failedProviders: attempts.filter(attempt => attempt.error).map(attempt => attempt.provider)
+                            });
+                        }
+                        yield { ...conformAudio(chunk, remainder, options.sampleRate), provider: provider.name };
+                    }
+                    if (started) {
+                        return;
+                    }
+                    throw new Error('Provider produced no audio');
+                } catch (error) {
+                    console.warn(`⚠️  TTS provider ${provider.name} failed:`, error.message);
+                    providerStats.failures++;
+                    providerStats.lastError = error.message;
+                    if (started) {
+                        // Audio already went out, so the client cannot be switched to another voice engine
+                        throw error;
+                    }
+                    attempts.push({ provider: provider.name, error: error.message });
+                }
+            }
+
+            const error = new Error(`All TTS providers failed (${order.join(', ')})`);
+            error.attempts = attempts;
+            throw error;
+        },
+
+        /**
+         * Provider status for /health
+         */
+        getStats() {
+            return {
+                order,
+                providers: providers.map(provider => ({
+                    name: provider.name,
+                    available: provider.isAvailable(),
+                    ...stats.get(provider.name)
+                })),
+                recentRequests: recentRequests.slice()
+            };
+        }
+    };
+}
+
+const PROVIDER_FACTORIES = {
+    'inworld-graph': createInworldGraphProvider,
+    'inworld-rest': createInworldRestProvider,
+    'test-tone': createTestToneProvider,
+    'fake': createFakeProvider
+};
+
+/**
+ * Create providers by name, in order
+ * @param {string[]} names - Provider names (e.g., ['inworld-graph', 'inworld-rest', 'test-tone'])
+ * @param {Object} config - Shared provider config ({ apiKey, apiBase })
+ * @returns {Object[]} Providers
+ */
+function createProviders(names, config) {
+    return names.map((name) => {
+        const factory = PROVIDER_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown TTS provider: ${name}`);
+        }
+        return factory(config);
+    });
+}
+
+module.exports = {
+    createInworldGraphProvider,
+    createInworldRestProvider,
+    createTestToneProvider,
+    createFakeProvider,
+    createTTSProviderRegistry,
+    createProviders
+};
@@ -0,0 +1,229 @@
+/**
+ * User profiles for TTSNewsReader
+ * Keeps per-user listening preferences and listening history on the server so they follow
+ * the user across devices. Users are identified by an opaque ID chosen by the client (e.g. a
+ * device or account ID); a profile is created the first time it is written.
+ *
+ *   {
+ *       id,
+ *       preferences: { language, voice, categories, country, rate, ... },
+ *       history: { <articleId or audioId>: { articleId, audioId, title, status, positionMs, durationMs, ... } },
+ *       createdAt, updatedAt
+ *   }
+ *
+ * A history item is 'partial' while being listened to, 'finished' once played to (nearly)
+ * the end and 'skipped' when the listener moved on; finished items stay finished on replay.
+ */
+
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Profiles are keyed by user ID on plain objects (as they are persisted); these keys would
+// reach Object.prototype instead of an own property
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Items kept per user; the least recently updated are dropped first
+const HISTORY_LIMIT = 1000;
+
+// Playback this close to the end counts as finished
+const FINISHED_FRACTION = 0.95;
+const FINISHED_REMAINING_MS = 3000;
+
+const HISTORY_STATUSES = ['partial', 'finished', 'skipped'];
+const HISTORY_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,128}$/;
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Whether a string can be used as a user ID
+ * @param {string} id - User ID
+ * @returns {boolean}
+ */
+function isValidUserId(id) {
+    return typeof id === 'string' && USER_ID_PATTERN.test(id) && !RESERVED_KEYS.includes(id);
+}
+
+/**
+ * Whether a string can be used as an article or audio ID in the history
+ * @param {string} key - Article or audio ID
+ * @returns {boolean}
+ */
+function isValidHistoryKey(key) {
+    return typeof key === 'string' && HISTORY_KEY_PATTERN.test(key) && !RESERVED_KEYS.includes(key);
+}
+
+/**
+ * Create the profile store
+ * @param {Object} options
+ * @param {Object} options.store - JSON store (createJsonStore) holding { users: {} }
+ */
+function createUserProfiles({ store }) {
+    const newProfile = (id, now) => ({ id, preferences: {}, history: {}, createdAt: now, updatedAt: now });
+
+    return {
+        /**
+         * Read the stored profiles
+         */
+        load() {
+            return store.load();
+        },
+
+        /**
+         * @param {string} id - User ID
+         * @returns {Object|null} Profile
+         */
+        get(id) {
+            const { users } = store.read();
+            return hasOwn(users, id) ? users[id] : null;
+        },
+
+        /**
+         * Saved preferences of a user; empty for unknown users
+         * @param {string} id - User ID
+         * @returns {Object}
+         */
+        getPreferences(id) {
+            const profile = this.get(id);
+            return profile ? profile.preferences : {};
+        },
+
+        /**
+         * Replace a user's preferences, creating the profile when needed
+         * @param {string} id - User ID
+         * @param {Object} preferences - Validated preferences
+         * @returns {Promise<Object>} Profile
+         */
+        setPreferences(id, preferences) {
+            if (!isValidUserId(id)) {
+                return Promise.reject(new Error(`Invalid user ID: ${id}`));
+            }
+            return store.update((data) => {
+                const now = new Date().toISOString();
+                const profile = this.get(id) || newProfile(id, now);
+                profile.preferences = preferences;
+                profile.updatedAt = now;
+                data.users[id] = profile;
+                return profile;
+            });
+        },
+
+        /**
+         * Record a playback position report
+         * @param {string} id - User ID
+         * @param {Object} report
+         * @param {string} [report.articleId] - Article the audio reads (the history key when given)
+         * @param {string} [report.audioId] - Audio being played
+         * @param {string} [report.title] - Title to show in the history
+         * @param {number} report.positionMs - Playback position
+         * @param {number} [report.durationMs] - Length of the audio
+         * @param {string} [report.state] - 'playing' | 'paused' | 'finished' | 'skipped'
+         * @param {Date} [report.at] - When the position was reached; reports older than the stored item are ignored
+         * @returns {Promise<{item: Object, ignored: boolean}>} The history item after the report
+         */
+        recordProgress(id, { articleId, audioId, title, positionMs, durationMs, state, at = new Date() }) {
+            const key = articleId || audioId;
+            if (!isValidUserId(id)) {
+                return Promise.reject(new Error(`Invalid user ID: ${id}`));
+            }
+            if (!isValidHistoryKey(key)) {
+                return Promise.reject(new Error(`Invalid history key: ${key}`));
+            }
+            return store.update((data) => {
+                const now = new Date().toISOString();
+                const profile = this.get(id) || newProfile(id, now);
+                data.users[id] = profile;
+                profile.history = profile.history || {};
+
+                const reportedAt = at.toISOString();
+                const existing = hasOwn(profile.history, key) ? profile.history[key] : null;
+                // Another device may have reported a later position already
+                if (existing && existing.updatedAt > reportedAt) {
+                    return { item: existing, ignored: true };
+                }
+
+                const item = existing || {
+                    articleId: articleId || null,
+                    audioId: audioId || null,
+                    title: null,
+                    status: 'partial',
+                    positionMs: 0,
+                    durationMs: null,
+                    startedAt: reportedAt,
+                    finishedAt: null
+                };
+                item.audioId = audioId || item.audioId;
+                item.title = title || item.title;
+                item.positionMs = positionMs;
+                item.durationMs = durationMs || item.durationMs;
+                item.updatedAt = reportedAt;
+
+                const reachedEnd = item.durationMs
+                    && (positionMs >= item.durationMs * FINISHED_FRACTION || item.durationMs - positionMs <= FINISHED_REMAINING_MS);
+                if (state === 'finished' || reachedEnd) {
+                    item.status = 'finished';
+                    item.finishedAt = item.finishedAt || reportedAt;
+                } else if (state === 'skipped' && item.status !== 'finished') {
+                    item.status = 'skipped';
+                } else if (item.status === 'skipped') {
+                    // Playing a skipped item again makes it partial
+                    item.status = 'partial';
+                }
+
+                profile.history[key] = item;
+                const keys = Object.keys(profile.history);
+                if (keys.length > HISTORY_LIMIT) {
+                    keys.sort((a, b) => profile.history[a].updatedAt.localeCompare(profile.history[b].updatedAt))
+                        .slice(0, keys.length - HISTORY_LIMIT)
+                        .forEach((oldKey) => {
+                            delete profile.history[oldKey];
+                        });
+                }
+                profile.updatedAt = now;
+                return { item, ignored: false };
+            });
+        },
+
+        /**
+         * Listening history, most recently played first
+         * @param {string} id - User ID
+         * @param {Object} [filter]
+         * @param {string} [filter.status] - 'partial' | 'finished' | 'skipped'
+         * @param {number} [filter.limit] - Maximum number of items
+         * @returns {Object[]} History items
+         */
+        getHistory(id, { status, limit = 50 } = {}) {
+            const profile = this.get(id);
+            return Object.values((profile && profile.history) || {})
+                .filter(item => !status || item.status === status)
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+                .slice(0, limit);
+        },
+
+        /**
+         * History item for an article or audio ID
+         * @returns {Object|null}
+         */
+        getProgress(id, key) {
+            const profile = this.get(id);
+            const history = (profile && profile.history) || {};
+            return hasOwn(history, key) ? history[key] : null;
+        },
+
+        /**
+         * Whether the user finished or skipped an article
+         * @param {string} id - User ID
+         * @param {string} articleId - Article ID
+         * @returns {boolean}
+         */
+        hasHeard(id, articleId) {
+            const item = this.getProgress(id, articleId);
+            return Boolean(item) && item.status !== 'partial';
+        }
+    };
+}
+
+module.exports = {
+    HISTORY_STATUSES,
+    isValidUserId,
+    isValidHistoryKey,
+    createUserProfiles
+};
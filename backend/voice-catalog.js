@@ -0,0 +1,323 @@
+/**
+ * Voice catalog for TTSNewsReader
+ * Lists the voices the TTS engine can speak with:
+ *
+ *   { id, displayName, gender, languages: ['en'], provider, previewUrl }
+ *
+ * Voices come from the Inworld voices API when an API key is configured, with a
+ * built-in list of Inworld's stock voices as the fallback. Every supported locale has
+ * a default voice, which deployments can override with TTS_DEFAULT_VOICES.
+ */
+
+const axios = require('axios');
+
+const REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Inworld stock voices; languages are the ones each voice is recorded in
+const STATIC_VOICES = [
+    ['Alex', 'male', ['en']],
+    ['Ashley', 'female', ['en']],
+    ['Craig', 'male', ['en']],
+    ['Deborah', 'female', ['en']],
+    ['Dennis', 'male', ['en']],
+    ['Edward', 'male', ['en']],
+    ['Elizabeth', 'female', ['en']],
+    ['Hades', 'male', ['en']],
+    ['Julia', 'female', ['en']],
+    ['Mark', 'male', ['en']],
+    ['Olivia', 'female', ['en']],
+    ['Pixie', 'female', ['en']],
+    ['Priya', 'female', ['en']],
+    ['Ronald', 'male', ['en']],
+    ['Sarah', 'female', ['en']],
+    ['Shaun', 'male', ['en']],
+    ['Theodore', 'male', ['en']],
+    ['Timothy', 'male', ['en']],
+    ['Wendy', 'female', ['en']],
+    ['Diego', 'male', ['es']],
+    ['Lupita', 'female', ['es']],
+    ['Miguel', 'male', ['es']],
+    ['Rafael', 'male', ['es']],
+    ['Alain', 'male', ['fr']],
+    ['Hélène', 'female', ['fr']],
+    ['Mathieu', 'male', ['fr']],
+    ['Étienne', 'male', ['fr']],
+    ['Johanna', 'female', ['de']],
+    ['Josef', 'male', ['de']],
+    ['Gianni', 'male', ['it']],
+    ['Orietta', 'female', ['it']],
+    ['Heitor', 'male', ['pt']],
+    ['Maitê', 'female', ['pt']],
+    ['Asuka', 'female', ['ja']],
+    ['Satoshi', 'male', ['ja']],
+    ['Hyunwoo', 'male', ['ko']],
+    ['Minji', 'female', ['ko']],
+    ['Seojun', 'male', ['ko']],
+    ['Yoona', 'female', ['ko']],
+    ['Jing', 'female', ['zh']],
+    ['Xiaoyin', 'female', ['zh']],
+    ['Xinyi', 'female', ['zh']],
+    ['Yichen', 'male', ['zh']],
+    ['Dmitry', 'male', ['ru']],
+    ['Elena', 'female', ['ru']],
+    ['Nikolai', 'male', ['ru']],
+    ['Svetlana', 'female', ['ru']]
+].map(([id, gender, languages]) => ({
+    id,
+    displayName: id,
+    gender,
+    languages,
+    provider: 'inworld',
+    previewUrl: null
+}));
+
+// Supported locales and the voice each one uses unless a request or TTS_DEFAULT_VOICES picks another.
+// The multilingual model reads every language, so locales without a native voice use an English one.
+const LANGUAGES = {
+    'en-US': { name: 'English (US)', voice: 'Hades' },
+    'en-GB': { name: 'English (UK)', voice: 'Ronald' },
+    'es-ES': { name: 'Spanish (Spain)', voice: 'Ronald' },
+    'fr-FR': { name: 'French (France)', voice: 'Ronald' },
+    'de-DE': { name: 'German (Germany)', voice: 'Ronald' },
+    'it-IT': { name: 'Italian (Italy)', voice: 'Ronald' },
+    'pt-BR': { name: 'Portuguese (Brazil)', voice: 'Ronald' },
+    'ja-JP': { name: 'Japanese (Japan)', voice: 'Ronald' },
+    'ko-KR': { name: 'Korean (South Korea)', voice: 'Ashley' },
+    'zh-CN': { name: 'Chinese (Simplified)', voice: 'Ashley' },
+    'ru-RU': { name: 'Russian (Russia)', voice: 'Dennis' },
+    'ar-SA': { name: 'Arabic (Saudi Arabia)', voice: 'Dennis' },
+    'hi-IN': { name: 'Hindi (India)', voice: 'Hades' }
+};
+
+const FALLBACK_LANGUAGE = 'en-US';
+
+// Sample sentences for voice previews, by base language; {name} is the voice's display name
+const PREVIEW_SENTENCES = {
+    en: 'Hello, I\'m {name}. Here are today\'s top stories.',
+    es: 'Hola, soy {name}. Estas son las noticias más importantes de hoy.',
+    fr: 'Bonjour, je suis {name}. Voici les principales informations du jour.',
+    de: 'Hallo, ich bin {name}. Hier sind die wichtigsten Nachrichten des Tages.',
+    it: 'Ciao, sono {name}. Ecco le notizie principali di oggi.',
+    pt: 'Olá, eu sou {name}. Estas são as principais notícias de hoje.',
+    ja: 'こんにちは、{name}です。今日の主なニュースをお伝えします。',
+    ko: '안녕하세요, {name}입니다. 오늘의 주요 뉴스를 전해 드립니다.',
+    zh: '你好，我是{name}。下面是今天的头条新闻。',
+    ru: 'Здравствуйте, меня зовут {name}. Вот главные новости дня.',
+    ar: 'مرحبًا، أنا {name}. إليكم أهم أخبار اليوم.',
+    hi: 'नमस्ते, मैं {name} हूँ। ये हैं आज की मुख्य खबरें।'
+};
+
+/**
+ * Base language of a locale ('es-ES' -> 'es')
+ */
+const baseLanguage = language => String(language).toLowerCase().split(/[-_]/)[0];
+
+/**
+ * Parse TTS_DEFAULT_VOICES ("es-ES=Diego,fr-FR=Alain")
+ * @param {string} value - TTS_DEFAULT_VOICES value
+ * @returns {Object<string, string>} Locale -> voice ID
+ */
+function parseVoiceDefaults(value) {
+    const defaults = {};
+    (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .forEach((entry) => {
+            const match = /^([a-z]{2,3}(?:-[a-z0-9]+)?)\s*=\s*(.+)$/i.exec(entry);
+            if (match) {
+                defaults[match[1]] = match[2].trim();
+            } else {
+                console.warn(`⚠️  Ignoring TTS_DEFAULT_VOICES entry "${entry}" (expected locale=voice)`);
+            }
+        });
+    return defaults;
+}
+
+/**
+ * Localized sample sentence for a voice preview
+ * @param {Object} voice - Catalog voice
+ * @param {string} language - Locale (e.g., 'fr-FR'); English is used when there is no sentence
+ * @returns {string} Sentence to synthesize
+ */
+function getPreviewText(voice, language) {
+    const sentence = PREVIEW_SENTENCES[baseLanguage(language)] || PREVIEW_SENTENCES.en;
+    return sentence.replace('{name}', voice.displayName);
+}
+
+/**
+ * Map a voice from the Inworld voices API to a catalog entry
+ * @param {Object} raw - { voiceId, displayName, languages, tags, ... }
+ * @returns {Object|null} Voice, or null without an ID
+ */
+function normalizeInworldVoice(raw) {
+    const id = raw.voiceId || raw.id;
+    if (!id) {
+        return null;
+    }
+    const tags = (raw.tags || []).map(tag => String(tag).toLowerCase());
+    return {
+        id,
+        displayName: raw.displayName || id,
+        gender: tags.includes('female') ? 'female' : tags.includes('male') ? 'male' : (raw.gender || null),
+        languages: Array.from(new Set((raw.languages || []).map(baseLanguage))),
+        provider: 'inworld',
+        previewUrl: raw.previewUrl || raw.sampleUrl || null
+    };
+}
+
+/**
+ * Create the voice catalog
+ * @param {Object} options
+ * @param {string} [options.apiKey] - Inworld API key; without one the built-in list is used
+ * @param {string} options.apiBase - Inworld API base URL
+ * @param {Object<string, string>} [options.defaults] - Locale -> voice overrides (parseVoiceDefaults)
+ */
+function createVoiceCatalog({ apiKey, apiBase, defaults = {} }) {
+    let voices = STATIC_VOICES;
+    let source = 'static';
+    let updatedAt = null;
+    let refreshTimer = null;
+
+    const findVoice = (id) => {
+        if (!id) {
+            return null;
+        }
+        const wanted = String(id).toLowerCase();
+        return voices.find(voice => voice.id.toLowerCase() === wanted) || null;
+    };
+
+    const loadFromApi = async () => {
+        try {
+            const response = await axios.get(`${apiBase}/tts/v1/voices`, {
+                headers: { 'Authorization': `Basic ${apiKey}` },
+                timeout: 10000
+            });
+            const fetched = (response.data && response.data.voices || [])
+                .map(normalizeInworldVoice)
+                .filter(Boolean);
+            if (fetched.length === 0) {
+                throw new Error('voices API returned no voices');
+            }
+            voices = fetched;
+            source = 'inworld';
+            updatedAt = new Date().toISOString();
+            console.log(`🎭 Loaded ${voices.length} voices from Inworld`);
+        } catch (error) {
+            console.warn(`⚠️  Voice list unavailable, using ${source} voices:`, error.message);
+        }
+    };
+
+    return {
+        /**
+         * Load voices from the Inworld API, keeping the current list when that fails
+         * @returns {Promise<void>}
+         */
+        async refresh() {
+            if (apiKey && !apiKey.includes('your_')) {
+                await loadFromApi();
+            }
+
+            for (const [language, id] of Object.entries(defaults)) {
+                if (!findVoice(id)) {
+                    console.warn(`⚠️  Default voice "${id}" for ${language} is not in the catalog`);
+                }
+            }
+        },
+
+        /**
+         * Refresh now and then periodically in the background
+         */
+        async start() {
+            await this.refresh();
+            if (!refreshTimer) {
+                refreshTimer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS).unref();
+            }
+        },
+
+        /**
+         * List voices
+         * @param {Object} [filter]
+         * @param {string} [filter.language] - Locale or language code; voices recorded in that language
+         * @returns {Object[]} Voices
+         */
+        list({ language } = {}) {
+            if (!language) {
+                return voices;
+            }
+            const wanted = baseLanguage(language);
+            return voices.filter(voice => voice.languages.includes(wanted));
+        },
+
+        /**
+         * @param {string} id - Voice ID (case-insensitive)
+         * @returns {Object|null} Voice
+         */
+        get(id) {
+            return findVoice(id);
+        },
+
+        /**
+         * Default voice for a locale: deployment override, built-in default, then the
+         * first catalog voice recorded in the language
+         * @param {string} language - Locale (e.g., 'es-ES')
+         * @returns {string} Voice ID
+         */
+        getDefaultVoice(language) {
+            const candidates = [
+                defaults[language],
+                LANGUAGES[language] && LANGUAGES[language].voice,
+                ...this.list({ language }).map(voice => voice.id),
+                defaults[FALLBACK_LANGUAGE],
+                LANGUAGES[FALLBACK_LANGUAGE].voice
+            ];
+            const voice = candidates.map(findVoice).find(Boolean);
+            return voice ? voice.id : voices[0].id;
+        },
+
+        /**
+         * Locale a voice's preview is spoken in when the request names none:
+         * the first supported locale of the voice's own language
+         * @param {Object} voice - Catalog voice
+         * @returns {string} Locale
+         */
+        getPreviewLanguage(voice) {
+            const locale = Object.keys(LANGUAGES).find(code => voice.languages.includes(baseLanguage(code)));
+            return locale || FALLBACK_LANGUAGE;
+        },
+
+        /**
+         * @param {string} language - Locale
+         * @returns {boolean} Whether the locale is one of the supported ones
+         */
+        isSupportedLanguage(language) {
+            return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+        },
+
+        /**
+         * Supported locales with their display name and default voice
+         * @returns {Array<{code: string, name: string, voice: string}>}
+         */
+        listLanguages() {
+            return Object.entries(LANGUAGES).map(([code, { name }]) => ({
+                code,
+                name,
+                voice: this.getDefaultVoice(code)
+            }));
+        },
+
+        /**
+         * Catalog status for /health
+         */
+        getStats() {
+            return { source, voices: voices.length, updatedAt, defaults };
+        }
+    };
+}
+
+module.exports = {
+    STATIC_VOICES,
+    parseVoiceDefaults,
+    getPreviewText,
+    createVoiceCatalog
+};
@@ -0,0 +1,49 @@
+/**
+ * XML text helpers for TTSNewsReader
+ * Shared by the modules that read and write small XML documents (RSS/Atom feeds, the
+ * podcast feed, PLS lexicons). Just enough XML for those documents; not a parser.
+ */
+
+const PREDEFINED_ENTITIES = { quot: '"', apos: '\'', lt: '<', gt: '>', amp: '&' };
+
+const TEXT_PATTERN = /<!\[CDATA\[([\s\S]*?)\]\]>|&(?:#x([0-9a-fA-F]+)|#(\d+)|(quot|apos|lt|gt|amp));/g;
+
+/**
+ * Escape text for XML element content and attribute values
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Decode XML text: unwrap CDATA sections (whose content is kept as is) and decode
+ * the predefined entities and character references; unknown references are left alone
+ * @param {string} value - Element content or attribute value
+ * @returns {string} Trimmed text
+ */
+function decodeXml(value) {
+    return value
+        .replace(TEXT_PATTERN, (match, cdata, hex, decimal, name) => {
+            if (cdata !== undefined) {
+                return cdata;
+            }
+            if (name) {
+                return PREDEFINED_ENTITIES[name];
+            }
+            const codePoint = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+            return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+        })
+        .trim();
+}
+
+module.exports = {
+    escapeXml,
+    decodeXml
+};